@@ -0,0 +1,68 @@
+/**
+ * Proveedor de claves de AWS KMS para el cifrado de tokens (producción)
+ * KMS genera y descifra las claves de datos; la clave maestra nunca sale de KMS.
+ * Implementa la misma interfaz que LocalKeyProvider
+ */
+
+const AWS = require('aws-sdk');
+const config = require('../services/configService');
+
+/**
+ * Proveedor de claves basado en AWS KMS
+ */
+class KmsKeyProvider {
+  /**
+   * @param {Object} options - { keyId } ID, ARN o alias de la clave de KMS y { kms } cliente opcional
+   */
+  constructor({ keyId, kms = null }) {
+    if (!keyId) {
+      throw new Error('Falta el ID de la clave de KMS (TOKEN_KMS_KEY_ID)');
+    }
+
+    this.keyId = keyId;
+    this.kms = kms || new AWS.KMS({ region: config.get('app.region') });
+  }
+
+  /**
+   * Devuelve el identificador de la clave maestra con la que se cifra ahora
+   * Cambiar TOKEN_KMS_KEY_ID hace que los tokens se vuelvan a cifrar al leerlos
+   * @returns {string} - ID de la clave configurada
+   */
+  getCurrentKeyId() {
+    return this.keyId;
+  }
+
+  /**
+   * Genera una clave de datos nueva con KMS
+   * @returns {Promise<Object>} - { keyId, plaintextKey, encryptedKey }
+   */
+  async generateDataKey() {
+    const result = await this.kms.generateDataKey({
+      KeyId: this.keyId,
+      KeySpec: 'AES_256'
+    }).promise();
+
+    return {
+      keyId: this.keyId,
+      plaintextKey: Buffer.from(result.Plaintext),
+      encryptedKey: Buffer.from(result.CiphertextBlob)
+    };
+  }
+
+  /**
+   * Descifra una clave de datos con KMS
+   * @param {Buffer} encryptedKey - Clave de datos cifrada
+   * @param {string} keyId - ID de la clave de KMS con la que se cifró
+   * @returns {Promise<Buffer>} - Clave de datos en claro
+   */
+  async decryptDataKey(encryptedKey, keyId) {
+    const result = await this.kms.decrypt({
+      CiphertextBlob: encryptedKey,
+      KeyId: keyId
+    }).promise();
+
+    return Buffer.from(result.Plaintext);
+  }
+}
+
+module.exports = KmsKeyProvider;
@@ -0,0 +1,181 @@
+/**
+ * Proveedor local de claves para el cifrado de tokens (desarrollo)
+ * Guarda las claves maestras en un fichero JSON y cifra las claves de datos
+ * con AES-256-GCM. Implementa la misma interfaz que KmsKeyProvider
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Algoritmo con el que se cifran las claves de datos
+const ALGORITHM = 'aes-256-gcm';
+
+// Longitudes en bytes de la clave, el vector de inicialización y la etiqueta
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Proveedor de claves basado en un fichero local
+ * Formato del fichero: { currentKeyId, keys: { [keyId]: claveEnBase64 } }
+ */
+class LocalKeyProvider {
+  /**
+   * @param {Object} options - { keyFile } ruta del fichero de claves
+   */
+  constructor({ keyFile }) {
+    this.keyFile = path.resolve(keyFile);
+    this.keyring = null;
+  }
+
+  /**
+   * Devuelve el identificador de la clave maestra con la que se cifra ahora
+   * @returns {string} - ID de la clave actual
+   */
+  getCurrentKeyId() {
+    return this._loadKeyring().currentKeyId;
+  }
+
+  /**
+   * Genera una clave de datos nueva cifrada con la clave maestra actual
+   * @returns {Promise<Object>} - { keyId, plaintextKey, encryptedKey }
+   */
+  async generateDataKey() {
+    const keyId = this.getCurrentKeyId();
+    const plaintextKey = crypto.randomBytes(KEY_LENGTH);
+
+    return {
+      keyId,
+      plaintextKey,
+      encryptedKey: this._wrap(plaintextKey, this._getMasterKey(keyId))
+    };
+  }
+
+  /**
+   * Descifra una clave de datos
+   * @param {Buffer} encryptedKey - Clave de datos cifrada
+   * @param {string} keyId - ID de la clave maestra con la que se cifró
+   * @returns {Promise<Buffer>} - Clave de datos en claro
+   */
+  async decryptDataKey(encryptedKey, keyId) {
+    return this._unwrap(encryptedKey, this._getMasterKey(keyId));
+  }
+
+  /**
+   * Añade una clave maestra nueva y la convierte en la actual
+   * Las claves anteriores se conservan para descifrar los tokens existentes
+   * @returns {string} - ID de la nueva clave
+   */
+  rotateKey() {
+    const keyring = this._loadKeyring();
+    const keyId = this._newKeyId();
+
+    keyring.keys[keyId] = crypto.randomBytes(KEY_LENGTH).toString('base64');
+    keyring.currentKeyId = keyId;
+    this._saveKeyring(keyring);
+
+    logger.info('Clave maestra local rotada', { keyId });
+
+    return keyId;
+  }
+
+  /**
+   * Genera un identificador único para una clave maestra nueva
+   * @returns {string} - ID de la clave
+   * @private
+   */
+  _newKeyId() {
+    return `local-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Obtiene una clave maestra del fichero
+   * @param {string} keyId - ID de la clave
+   * @returns {Buffer} - Clave maestra
+   * @private
+   */
+  _getMasterKey(keyId) {
+    const key = this._loadKeyring().keys[keyId];
+
+    if (!key) {
+      throw new Error(`Clave maestra desconocida: ${keyId}`);
+    }
+
+    return Buffer.from(key, 'base64');
+  }
+
+  /**
+   * Lee el fichero de claves; si no existe, lo crea con una clave nueva
+   * @returns {Object} - { currentKeyId, keys }
+   * @private
+   */
+  _loadKeyring() {
+    if (this.keyring) {
+      return this.keyring;
+    }
+
+    if (fs.existsSync(this.keyFile)) {
+      this.keyring = JSON.parse(fs.readFileSync(this.keyFile, 'utf8'));
+      return this.keyring;
+    }
+
+    logger.warn('Fichero de claves no encontrado, se genera uno nuevo', { keyFile: this.keyFile });
+
+    const keyId = this._newKeyId();
+    this._saveKeyring({
+      currentKeyId: keyId,
+      keys: { [keyId]: crypto.randomBytes(KEY_LENGTH).toString('base64') }
+    });
+
+    return this.keyring;
+  }
+
+  /**
+   * Guarda el fichero de claves con permisos solo para el propietario
+   * @param {Object} keyring - { currentKeyId, keys }
+   * @private
+   */
+  _saveKeyring(keyring) {
+    fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+    fs.writeFileSync(this.keyFile, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+    this.keyring = keyring;
+  }
+
+  /**
+   * Cifra una clave de datos con una clave maestra
+   * @param {Buffer} dataKey - Clave de datos
+   * @param {Buffer} masterKey - Clave maestra
+   * @returns {Buffer} - iv + etiqueta + clave cifrada
+   * @private
+   */
+  _wrap(dataKey, masterKey) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /**
+   * Descifra una clave de datos cifrada con _wrap
+   * @param {Buffer} wrapped - iv + etiqueta + clave cifrada
+   * @param {Buffer} masterKey - Clave maestra
+   * @returns {Buffer} - Clave de datos
+   * @private
+   */
+  _unwrap(wrapped, masterKey) {
+    const iv = wrapped.subarray(0, IV_LENGTH);
+    const tag = wrapped.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([
+      decipher.update(wrapped.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final()
+    ]);
+  }
+}
+
+module.exports = LocalKeyProvider;
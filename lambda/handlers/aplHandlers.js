@@ -0,0 +1,166 @@
+/**
+ * Manejadores para los eventos táctiles de la capa visual APL
+ * Los botones de la pantalla de reproducción envían un
+ * Alexa.Presentation.APL.UserEvent con los argumentos ["nowPlaying", acción]
+ * y los elementos de la lista de resultados ["searchResults", ordinal]
+ */
+
+const logger = require('../utils/logger');
+const queueService = require('../services/queueService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const {
+  NOW_PLAYING_TOKEN,
+  NOW_PLAYING_ACTIONS,
+  SEARCH_RESULTS_TOKEN,
+  getUserEventArguments
+} = require('../utils/apl');
+const { addQueueTrackDirective } = require('./musicHandlers');
+const { addNowPlayingScreen } = require('./nowPlayingHandlers');
+const { handleFavoriteChange, likeTrack } = require('./favoritesHandlers');
+const { isAwaitingSearchChoice, pickOption, playOption } = require('./searchDialogHandlers');
+
+// Mensajes cuando no se puede avanzar o retroceder en la cola
+const SKIP_STATUS_SPEECH = {
+  noQueue: 'queue.noQueueNext',
+  endOfQueue: 'queue.endOfQueue',
+  startOfQueue: 'queue.startOfQueue'
+};
+
+/**
+ * Indica si la petición es un botón concreto de la pantalla de reproducción
+ * @param {Object} handlerInput - Input del handler
+ * @param {string} action - Acción del botón (NOW_PLAYING_ACTIONS)
+ * @returns {boolean} - true si es el evento de ese botón
+ */
+function isNowPlayingEvent(handlerInput, action) {
+  const [source, eventAction] = getUserEventArguments(handlerInput);
+
+  return source === NOW_PLAYING_TOKEN && eventAction === action;
+}
+
+/**
+ * Manejador para el botón "Siguiente" de la pantalla de reproducción
+ */
+const NowPlayingNextEventHandler = {
+  canHandle(handlerInput) {
+    return isNowPlayingEvent(handlerInput, NOW_PLAYING_ACTIONS.NEXT);
+  },
+  handle(handlerInput) {
+    return handleSkipEvent(handlerInput, 1);
+  }
+};
+
+/**
+ * Manejador para el botón "Anterior" de la pantalla de reproducción
+ */
+const NowPlayingPreviousEventHandler = {
+  canHandle(handlerInput) {
+    return isNowPlayingEvent(handlerInput, NOW_PLAYING_ACTIONS.PREVIOUS);
+  },
+  handle(handlerInput) {
+    return handleSkipEvent(handlerInput, -1);
+  }
+};
+
+/**
+ * Manejador para el botón "Me gusta" de la pantalla de reproducción
+ * Añade la pista que suena a favoritos igual que LikeTrackIntent
+ */
+const NowPlayingLikeEventHandler = {
+  canHandle(handlerInput) {
+    return isNowPlayingEvent(handlerInput, NOW_PLAYING_ACTIONS.LIKE);
+  },
+  handle(handlerInput) {
+    return handleFavoriteChange(handlerInput, params => likeTrack(handlerInput, params));
+  }
+};
+
+/**
+ * Manejador para la selección táctil de un resultado de búsqueda
+ * El ordinal del elemento es el mismo que el usuario diría por voz ("el tercero")
+ */
+const SearchResultSelectedEventHandler = {
+  canHandle(handlerInput) {
+    const [source] = getUserEventArguments(handlerInput);
+
+    return source === SEARCH_RESULTS_TOKEN;
+  },
+  handle(handlerInput) {
+    const [, ordinal] = getUserEventArguments(handlerInput);
+
+    if (!isAwaitingSearchChoice(handlerInput)) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'searchDialog.noResults'))
+        .reprompt(t(handlerInput, 'searchDialog.noResultsReprompt'))
+        .getResponse();
+    }
+
+    const { lastSearchOptions } = handlerInput.attributesManager.getSessionAttributes();
+    const option = pickOption(lastSearchOptions, null, String(ordinal));
+
+    if (!option) {
+      logger.warn('Elemento de la lista de resultados desconocido', { ordinal });
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'search.listReprompt'))
+        .reprompt(t(handlerInput, 'search.listReprompt'))
+        .getResponse();
+    }
+
+    return playOption(handlerInput, option);
+  }
+};
+
+/**
+ * Avanza o retrocede en la cola desde un botón y actualiza la pantalla
+ * Usa la misma lógica de cola que los intents de voz y PlaybackController
+ * @param {Object} handlerInput - Input del handler
+ * @param {number} step - Desplazamiento en la cola (1 siguiente, -1 anterior)
+ * @returns {Promise<Object>} - Respuesta con la directiva Play y la nueva pantalla
+ */
+async function handleSkipEvent(handlerInput, step) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+  logger.info('Manejando botón de la pantalla de reproducción', { userId, step });
+
+  if (!accessToken) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'linkAccount.control'))
+      .withLinkAccountCard()
+      .getResponse();
+  }
+
+  try {
+    const result = await queueService.skip(userId, accessToken, step);
+
+    if (result.status !== 'ok') {
+      const key = result.status === 'noQueue' && step < 0
+        ? 'queue.noQueuePrevious'
+        : SKIP_STATUS_SPEECH[result.status];
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, key))
+        .getResponse();
+    }
+
+    addQueueTrackDirective(handlerInput.responseBuilder, result);
+    await addNowPlayingScreen(handlerInput, { accessToken, userId, token: result.track.id });
+
+    return handlerInput.responseBuilder.getResponse();
+  } catch (error) {
+    logger.error('Error al navegar desde la pantalla de reproducción', { error, userId, step });
+
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, step > 0 ? 'queue.nextError' : 'queue.previousError'))
+      .getResponse();
+  }
+}
+
+module.exports = {
+  NowPlayingNextEventHandler,
+  NowPlayingPreviousEventHandler,
+  NowPlayingLikeEventHandler,
+  SearchResultSelectedEventHandler
+};
@@ -6,49 +6,67 @@
 const Alexa = require('ask-sdk-core');
 const logger = require('../utils/logger');
 const tidalService = require('../services/tidalService');
+const accountService = require('../services/accountService');
+const { t } = require('../utils/i18n');
+
+/**
+ * Indica si la petición es el evento SkillAccountLinked
+ * @param {Object} handlerInput - Input del handler
+ * @returns {boolean} - true si es el evento de vinculación
+ */
+const isAccountLinkedEvent = handlerInput =>
+  handlerInput.requestEnvelope.request.type === 'AlexaSkillEvent.SkillAccountLinked';
+
+/**
+ * Obtiene el cuerpo del evento de skill (vacío si no trae)
+ * @param {Object} handlerInput - Input del handler
+ * @returns {Object} - Cuerpo del evento
+ */
+const getEventBody = handlerInput => handlerInput.requestEnvelope.request.body || {};
+
+/**
+ * Elimina los datos del usuario y genera la respuesta del evento
+ * @param {string} userId - ID de usuario de Alexa
+ * @returns {Promise<Object>} - Respuesta con el resultado de la eliminación
+ */
+const purgeUserDataResponse = async userId => {
+  const success = await accountService.purgeUserData(userId);
+  
+  return {
+    statusCode: success ? 200 : 500,
+    body: JSON.stringify({ success })
+  };
+};
 
 /**
  * Manejador para el evento de AccountLinked
- * Se activa cuando el usuario completa el proceso de vinculación de cuenta
+ * Se activa cuando el usuario completa el proceso de vinculación de cuenta.
+ * El cuerpo del evento solo incluye el accessToken; el refreshToken se queda en Alexa
  */
 const AccountLinkedHandler = {
   canHandle(handlerInput) {
-    return handlerInput.requestEnvelope.request.type === 'AlexaSkillEvent.SkillAccountLinked';
+    return isAccountLinkedEvent(handlerInput) && Boolean(getEventBody(handlerInput).accessToken);
   },
   
   async handle(handlerInput) {
+    const { accessToken } = getEventBody(handlerInput);
+    const userId = handlerInput.requestEnvelope.context.System.user.userId;
+    
+    logger.info('Cuenta vinculada para usuario', { userId });
+    
     try {
-      const accessToken = handlerInput.requestEnvelope.request.body.accessToken;
-      const userId = handlerInput.requestEnvelope.context.System.user.userId;
-      
-      logger.info('Cuenta vinculada para usuario', { userId });
+      // Verificar el token y guardarlo junto al usuario de Tidal
+      await accountService.linkAccount(userId, accessToken);
       
-      // Almacenar el accessToken y refreshToken
-      try {
-        // Obtener información del usuario para verificar que el token funciona
-        const userInfo = await tidalService.getUserInfo(accessToken);
-        
-        // Aquí podríamos guardar en una base de datos persistente la relación
-        // entre el userId de Alexa y el userId de Tidal para análisis posterior
-        
-        logger.info('Verificación de token exitosa', { tidalUserId: userInfo.userId });
-        
-        return {
-          statusCode: 200,
-          body: JSON.stringify({ success: true })
-        };
-      } catch (error) {
-        logger.error('Error al verificar token después de vinculación', { error });
-        return {
-          statusCode: 500,
-          body: JSON.stringify({ success: false, error: 'Error al verificar token' })
-        };
-      }
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ success: true })
+      };
     } catch (error) {
-      logger.error('Error en AccountLinkedHandler', { error });
+      logger.error('Error al registrar la cuenta después de vinculación', { error, userId });
       return {
         statusCode: 500,
-        body: JSON.stringify({ success: false, error: 'Error interno' })
+        body: JSON.stringify({ success: false, error: 'Error al verificar token' })
       };
     }
   }
@@ -56,12 +74,12 @@ const AccountLinkedHandler = {
 
 /**
  * Manejador para el evento de AccountLinkedDeleted
- * Se activa cuando el usuario desvincula su cuenta
+ * Se activa cuando el usuario desvincula su cuenta: Alexa envía
+ * SkillAccountLinked sin accessToken
  */
 const AccountLinkDeletedHandler = {
   canHandle(handlerInput) {
-    return handlerInput.requestEnvelope.request.type === 'AlexaSkillEvent.SkillAccountLinked' &&
-           handlerInput.requestEnvelope.request.body.accessToken === undefined;
+    return isAccountLinkedEvent(handlerInput) && !getEventBody(handlerInput).accessToken;
   },
   
   handle(handlerInput) {
@@ -69,13 +87,25 @@ const AccountLinkDeletedHandler = {
     
     logger.info('Cuenta desvinculada para usuario', { userId });
     
-    // Aquí podríamos eliminar de nuestra base de datos persistente
-    // cualquier información asociada a este usuario
+    return purgeUserDataResponse(userId);
+  }
+};
+
+/**
+ * Manejador para el evento SkillDisabled
+ * Se activa cuando el usuario deshabilita la skill
+ */
+const SkillDisabledHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'AlexaSkillEvent.SkillDisabled';
+  },
+  
+  handle(handlerInput) {
+    const userId = handlerInput.requestEnvelope.context.System.user.userId;
+    
+    logger.info('Skill deshabilitada por el usuario', { userId });
     
-    return {
-      statusCode: 200,
-      body: JSON.stringify({ success: true })
-    };
+    return purgeUserDataResponse(userId);
   }
 };
 
@@ -108,7 +138,7 @@ const isUserAuthenticated = async (handlerInput) => {
  * @returns {Object} - Respuesta con tarjeta de vinculación
  */
 const getAccountLinkingResponse = (handlerInput) => {
-  const speechText = 'Para usar esta skill necesitas vincular tu cuenta de Tidal. He enviado un enlace a la aplicación de Alexa para que puedas hacerlo.';
+  const speechText = t(handlerInput, 'linkAccount.generic');
   
   return handlerInput.responseBuilder
     .speak(speechText)
@@ -119,6 +149,7 @@ const getAccountLinkingResponse = (handlerInput) => {
 module.exports = {
   AccountLinkedHandler,
   AccountLinkDeletedHandler,
+  SkillDisabledHandler,
   isUserAuthenticated,
   getAccountLinkingResponse
 };
\ No newline at end of file
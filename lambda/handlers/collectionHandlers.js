@@ -0,0 +1,72 @@
+/**
+ * Manejador para reproducir la colección del usuario en Tidal
+ * Incluye canciones favoritas, álbumes guardados y artistas favoritos
+ */
+
+const logger = require('../utils/logger');
+const musicResolverService = require('../services/musicResolverService');
+const { getResolvedSlotId } = require('../utils/slotValues');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { playSelection, getPlayErrorMessage } = require('./musicHandlers');
+
+// Parte de la colección que corresponde a cada valor del slot
+const COLLECTION_TYPES = ['tracks', 'albums', 'artists'];
+
+/**
+ * Obtiene el tipo de colección resuelto por el modelo de interacción
+ * @param {Object} slot - Slot collection del intent
+ * @returns {string} - 'tracks', 'albums' o 'artists' (por defecto 'tracks')
+ */
+function getCollectionType(slot) {
+  const resolved = getResolvedSlotId(slot);
+
+  return COLLECTION_TYPES.includes(resolved) ? resolved : 'tracks';
+}
+
+/**
+ * Manejador para el intent PlayCollectionIntent
+ * Se activa con "pon mis favoritos" o "pon mis álbumes guardados"
+ */
+const PlayCollectionIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'PlayCollectionIntent';
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const collectionType = getCollectionType(slots && slots.collection);
+
+    logger.info('Manejando PlayCollectionIntent', { userId, collectionType });
+
+    if (!accessToken) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'linkAccount.collection'))
+        .withLinkAccountCard()
+        .getResponse();
+    }
+
+    try {
+      const selection = await musicResolverService.resolveCollection(
+        accessToken,
+        collectionType,
+        userId
+      );
+
+      return await playSelection(handlerInput, selection, { accessToken, userId });
+    } catch (error) {
+      logger.error('Error en PlayCollectionIntentHandler', { error, userId, collectionType });
+
+      return handlerInput.responseBuilder
+        .speak(getPlayErrorMessage(handlerInput, error))
+        .reprompt(t(handlerInput, 'common.whatToPlay'))
+        .getResponse();
+    }
+  }
+};
+
+module.exports = {
+  PlayCollectionIntentHandler
+};
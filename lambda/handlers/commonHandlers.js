@@ -4,6 +4,7 @@
  */
 
 const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
 
 /**
  * Manejador para el intent AMAZON.HelpIntent
@@ -15,34 +16,35 @@ const HelpIntentHandler = {
       && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.HelpIntent';
   },
   handle(handlerInput) {
-    const speechText = 'Puedes pedirme que reproduzca canciones, álbumes o playlists de Tidal. ' +
-      'Por ejemplo, di "reproduce Suicide machine" o "busca canciones de Death".';
+    const speechText = t(handlerInput, 'help.speech');
       
     return handlerInput.responseBuilder
       .speak(speechText)
       .reprompt(speechText)
-      .withSimpleCard('Ayuda - Tidal Música', speechText)
+      .withSimpleCard(t(handlerInput, 'help.cardTitle'), speechText)
       .getResponse();
   }
 };
 
 /**
- * Manejador para los intents AMAZON.CancelIntent y AMAZON.StopIntent
+ * Manejador para los intents AMAZON.CancelIntent, AMAZON.StopIntent y AMAZON.NavigateHomeIntent
  * Se activa cuando el usuario quiere cancelar o detener la interacción
+ * o volver a la pantalla de inicio del dispositivo
  */
 const CancelAndStopIntentHandler = {
   canHandle(handlerInput) {
     return handlerInput.requestEnvelope.request.type === 'IntentRequest'
       && (handlerInput.requestEnvelope.request.intent.name === 'AMAZON.CancelIntent'
-        || handlerInput.requestEnvelope.request.intent.name === 'AMAZON.StopIntent');
+        || handlerInput.requestEnvelope.request.intent.name === 'AMAZON.StopIntent'
+        || handlerInput.requestEnvelope.request.intent.name === 'AMAZON.NavigateHomeIntent');
   },
   handle(handlerInput) {
-    const speechText = 'Hasta pronto!';
+    const speechText = t(handlerInput, 'goodbye.speech');
     
     // Detener cualquier reproducción activa
     return handlerInput.responseBuilder
       .speak(speechText)
-      .withSimpleCard('Tidal Música', speechText)
+      .withSimpleCard(t(handlerInput, 'common.skillName'), speechText)
       .withShouldEndSession(true)
       .getResponse();
   }
@@ -77,12 +79,12 @@ const ErrorHandler = {
   handle(handlerInput, error) {
     logger.error('Error manejado:', { error });
     
-    const speechText = 'Lo siento, ha ocurrido un error. Por favor, inténtalo de nuevo.';
+    const speechText = t(handlerInput, 'error.speech');
     
     return handlerInput.responseBuilder
       .speak(speechText)
       .reprompt(speechText)
-      .withSimpleCard('Error - Tidal Música', speechText)
+      .withSimpleCard(t(handlerInput, 'error.cardTitle'), speechText)
       .getResponse();
   }
 };
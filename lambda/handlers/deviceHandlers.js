@@ -0,0 +1,186 @@
+/**
+ * Manejadores para los dispositivos del hogar
+ * Cada dispositivo tiene su propia cola; estos intents permiten ponerles nombre
+ * ("este altavoz es el de la cocina") y continuar en uno lo que sonaba en otro
+ * ("continúa aquí lo que sonaba en la cocina")
+ */
+
+const logger = require('../utils/logger');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const queueService = require('../services/queueService');
+const { t } = require('../utils/i18n');
+const { getSlotValue } = require('../utils/slotValues');
+const { findBestMatch } = require('../utils/fuzzyMatch');
+const { getAccountUserId, getDeviceId, getStateOwnerId } = require('../utils/userContext');
+const { addNowPlayingScreen } = require('./nowPlayingHandlers');
+
+/**
+ * Busca el dispositivo desde el que continuar la reproducción
+ * Con nombre, el dispositivo que se llama así; sin él, el último en el que
+ * empezó a sonar algo, sin contar el de la petición
+ * @param {Object} household - Registro del hogar de playbackPersistenceService
+ * @param {string} roomName - Nombre del dispositivo pedido (opcional)
+ * @param {string} currentDeviceId - ID del dispositivo de la petición
+ * @returns {Object|null} - Dispositivo { deviceId, name, stateOwnerId } o null
+ */
+function findSourceDevice(household, roomName, currentDeviceId) {
+  const devices = Object.keys((household && household.devices) || {})
+    .map(deviceId => ({ deviceId, ...household.devices[deviceId] }));
+
+  if (roomName) {
+    const match = findBestMatch(
+      roomName,
+      devices.filter(device => device.name),
+      device => device.name
+    );
+    return match ? match.item : null;
+  }
+
+  return devices
+    .filter(device => device.deviceId !== currentDeviceId && device.stateOwnerId)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+}
+
+/**
+ * Manejador para el intent NameDeviceIntent
+ * Guarda el nombre del dispositivo de la petición para poder citarlo después
+ */
+const NameDeviceIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'NameDeviceIntent';
+  },
+  async handle(handlerInput) {
+    const userId = getAccountUserId(handlerInput);
+    const deviceId = getDeviceId(handlerInput);
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const room = getSlotValue(slots, 'room');
+
+    logger.info('Manejando NameDeviceIntent', { userId, deviceId, room });
+
+    if (!room) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'devices.askName'))
+        .reprompt(t(handlerInput, 'devices.askName'))
+        .getResponse();
+    }
+
+    try {
+      await playbackPersistenceService.nameDevice(userId, deviceId, room);
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'devices.named', { room }))
+        .getResponse();
+    } catch (error) {
+      logger.error('Error en NameDeviceIntentHandler', { error, userId });
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'devices.nameError'))
+        .getResponse();
+    }
+  }
+};
+
+/**
+ * Manejador para el intent TransferPlaybackIntent
+ * Copia la cola del dispositivo de origen al de la petición y la reanuda
+ * donde se quedó
+ */
+const TransferPlaybackIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'TransferPlaybackIntent';
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const accountUserId = getAccountUserId(handlerInput);
+    const deviceId = getDeviceId(handlerInput);
+    const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const room = getSlotValue(slots, 'room');
+
+    logger.info('Manejando TransferPlaybackIntent', { userId, room });
+
+    if (!accessToken) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'linkAccount.resume'))
+        .withLinkAccountCard()
+        .getResponse();
+    }
+
+    try {
+      const household = await playbackPersistenceService.getActiveListener(accountUserId);
+      const source = findSourceDevice(household, room, deviceId);
+
+      if (!source) {
+        return handlerInput.responseBuilder
+          .speak(room
+            ? t(handlerInput, 'devices.unknownRoom', { room })
+            : t(handlerInput, 'devices.nothingElsewhere'))
+          .getResponse();
+      }
+
+      if (source.deviceId === deviceId) {
+        return handlerInput.responseBuilder
+          .speak(t(handlerInput, 'devices.sameDevice'))
+          .getResponse();
+      }
+
+      const roomName = source.name || room;
+      const copied = source.stateOwnerId
+        ? await playbackPersistenceService.copyPlaybackState(source.stateOwnerId, userId)
+        : null;
+
+      if (!copied) {
+        return handlerInput.responseBuilder
+          .speak(roomName
+            ? t(handlerInput, 'devices.nothingInRoom', { room: roomName })
+            : t(handlerInput, 'devices.nothingElsewhere'))
+          .getResponse();
+      }
+
+      const resumePoint = await queueService.getResumePoint(userId, accessToken);
+
+      if (!resumePoint) {
+        return handlerInput.responseBuilder
+          .speak(t(handlerInput, 'resume.nothing'))
+          .reprompt(t(handlerInput, 'common.playSuggestion'))
+          .getResponse();
+      }
+
+      handlerInput.responseBuilder
+        .speak(roomName
+          ? t(handlerInput, 'devices.transferred', { room: roomName })
+          : t(handlerInput, 'resume.resuming'))
+        .addAudioPlayerPlayDirective(
+          'REPLACE_ALL',
+          resumePoint.streamUrl,
+          resumePoint.metadata.token,
+          resumePoint.offset,
+          null,
+          resumePoint.metadata
+        );
+
+      await addNowPlayingScreen(handlerInput, {
+        accessToken,
+        userId,
+        token: resumePoint.metadata.token,
+        offsetInMilliseconds: resumePoint.offset
+      });
+
+      return handlerInput.responseBuilder.getResponse();
+    } catch (error) {
+      logger.error('Error en TransferPlaybackIntentHandler', { error, userId, room });
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'devices.transferError'))
+        .reprompt(t(handlerInput, 'common.whatToPlay'))
+        .getResponse();
+    }
+  }
+};
+
+module.exports = {
+  NameDeviceIntentHandler,
+  TransferPlaybackIntentHandler
+};
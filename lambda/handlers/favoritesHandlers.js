@@ -0,0 +1,139 @@
+/**
+ * Manejadores para gestionar la colección del usuario en Tidal
+ * Permiten marcar como favorita la canción que suena, guardar su álbum
+ * y quitarla de la colección sin interrumpir la reproducción
+ */
+
+const logger = require('../utils/logger');
+const tidalService = require('../services/tidalService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+
+/**
+ * Añade una pista a las canciones favoritas del usuario
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} params - accessToken, userId y token (ID) de la pista
+ * @returns {Promise<string>} - Confirmación para el usuario
+ */
+async function likeTrack(handlerInput, { accessToken, userId, token }) {
+  const details = await tidalService.getTrackDetails(accessToken, token, userId);
+  await tidalService.addFavorite(accessToken, 'tracks', token, userId);
+
+  return details && details.title
+    ? t(handlerInput, 'favorites.liked', { title: details.title })
+    : t(handlerInput, 'favorites.likedGeneric');
+}
+
+/**
+ * Manejador para el intent LikeTrackIntent
+ * Añade la canción que está sonando a la colección ("me gusta esta canción")
+ */
+const LikeTrackIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'LikeTrackIntent';
+  },
+  handle(handlerInput) {
+    return handleFavoriteChange(handlerInput, params => likeTrack(handlerInput, params));
+  }
+};
+
+/**
+ * Manejador para el intent UnlikeTrackIntent
+ * Quita la canción que está sonando de la colección ("ya no me gusta")
+ */
+const UnlikeTrackIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'UnlikeTrackIntent';
+  },
+  handle(handlerInput) {
+    return handleFavoriteChange(handlerInput, async ({ accessToken, userId, token }) => {
+      const details = await tidalService.getTrackDetails(accessToken, token, userId);
+      await tidalService.removeFavorite(accessToken, 'tracks', token, userId);
+
+      return details && details.title
+        ? t(handlerInput, 'favorites.unliked', { title: details.title })
+        : t(handlerInput, 'favorites.unlikedGeneric');
+    });
+  }
+};
+
+/**
+ * Manejador para el intent SaveAlbumIntent
+ * Guarda en la colección el álbum de la canción que está sonando ("guarda este álbum")
+ */
+const SaveAlbumIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'SaveAlbumIntent';
+  },
+  handle(handlerInput) {
+    return handleFavoriteChange(handlerInput, async ({ accessToken, userId, token }) => {
+      const details = await tidalService.getTrackDetails(accessToken, token, userId);
+
+      if (!details || !details.album || !details.album.id) {
+        throw new Error('No se encontró el álbum de la pista');
+      }
+
+      await tidalService.addFavorite(accessToken, 'albums', details.album.id, userId);
+
+      return t(handlerInput, 'favorites.albumSaved', { title: details.album.title });
+    });
+  }
+};
+
+/**
+ * Aplica un cambio en la colección sobre la pista del AudioPlayer
+ * @param {Object} handlerInput - Input del handler
+ * @param {Function} action - Función que realiza el cambio y devuelve la confirmación
+ * @returns {Promise<Object>} - Respuesta de Alexa
+ */
+async function handleFavoriteChange(handlerInput, action) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+  const audioPlayer = handlerInput.requestEnvelope.context.AudioPlayer;
+  const { request } = handlerInput.requestEnvelope;
+  // También se usa desde los botones de la pantalla, que no son intents
+  const intentName = request.intent ? request.intent.name : request.type;
+
+  logger.info('Modificando colección', { userId, intentName });
+
+  if (!accessToken) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'linkAccount.favorites'))
+      .withLinkAccountCard()
+      .getResponse();
+  }
+
+  // La pista sobre la que actuar es la que está reproduciendo el dispositivo
+  const token = audioPlayer && audioPlayer.token;
+
+  if (!token) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'favorites.nothingPlaying'))
+      .getResponse();
+  }
+
+  try {
+    const speechText = await action({ accessToken, userId, token });
+
+    return handlerInput.responseBuilder
+      .speak(speechText)
+      .getResponse();
+  } catch (error) {
+    logger.error('Error al modificar la colección', { error, userId, intentName, token });
+
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'favorites.error'))
+      .getResponse();
+  }
+}
+
+module.exports = {
+  LikeTrackIntentHandler,
+  UnlikeTrackIntentHandler,
+  SaveAlbumIntentHandler,
+  handleFavoriteChange,
+  likeTrack
+};
@@ -1,10 +1,36 @@
 /**
  * Manejador para el evento LaunchRequest
- * Se activa cuando el usuario inicia la skill sin especificar un intent
+ * Se activa cuando el usuario inicia la skill sin especificar un intent.
+ * Si hay una reproducción reciente sin terminar, ofrece continuarla
  */
 
 const logger = require('../utils/logger');
 const tidalService = require('../services/tidalService');
+const musicResolverService = require('../services/musicResolverService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { getResumeOffer } = require('./resumeSessionHandlers');
+
+/**
+ * Prepara la sugerencia de bienvenida con una de las recomendaciones del usuario
+ * Un fallo aquí no debe impedir abrir la skill
+ * @param {Object} handlerInput - Input del handler
+ * @param {string} accessToken - Token de acceso de Tidal
+ * @param {string} userId - ID de usuario de Alexa
+ * @returns {Promise<string>} - Frase de sugerencia o cadena vacía
+ */
+async function getRecommendationSuggestion(handlerInput, accessToken, userId) {
+  try {
+    const section = await musicResolverService.getRecommendedSection(accessToken, userId);
+    
+    return section
+      ? ` ${t(handlerInput, 'launch.suggestion', { title: section.title })}`
+      : '';
+  } catch (error) {
+    logger.warn('No se pudo obtener la sugerencia de bienvenida', { error, userId });
+    return '';
+  }
+}
 
 const LaunchRequestHandler = {
   canHandle(handlerInput) {
@@ -16,16 +42,21 @@ const LaunchRequestHandler = {
     try {
       // Verificar si el usuario tiene vinculada su cuenta de Tidal
       const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+      const userId = getStateOwnerId(handlerInput);
       
       // Si no hay token, pedir al usuario que vincule su cuenta
       if (!accessToken) {
         logger.info('Usuario sin cuenta vinculada');
         return handlerInput.responseBuilder
-          .speak('Bienvenido a Tidal Música. Para utilizar esta skill, necesitas vincular tu cuenta de Tidal. He enviado un enlace a la aplicación de Alexa para que puedas hacerlo.')
+          .speak(t(handlerInput, 'launch.linkAccount'))
           .withLinkAccountCard()
           .getResponse();
       }
       
+      // Ofrecer continuar la última reproducción (y avisar de su error, si lo hubo)
+      const { notice = null, question = null } = (await getResumeOffer(handlerInput)) || {};
+      const noticeSpeech = notice ? ` ${notice}` : '';
+      
       // Obtener información del usuario para personalizar la respuesta
       try {
         const serviceClient = handlerInput.serviceClientFactory.getUpsServiceClient();
@@ -35,14 +66,23 @@ const LaunchRequestHandler = {
         const userInfo = await tidalService.getUserInfo(accessToken);
         logger.info('Información de usuario obtenida', { userInfo });
         
-        const welcomeMessage = profileName 
-          ? `Hola ${profileName}! Bienvenido a Tidal Música. Puedes pedirme que reproduzca tus canciones, álbumes o playlists favoritos.` 
-          : 'Bienvenido a Tidal Música. Puedes pedirme que reproduzca tus canciones, álbumes o playlists favoritos.';
+        // Sugerir una mezcla recomendada para empezar, salvo que se ofrezca continuar
+        const suggestion = question
+          ? ` ${question}`
+          : await getRecommendationSuggestion(handlerInput, accessToken, userId);
+        
+        const welcomeMessage = (profileName 
+          ? t(handlerInput, 'launch.welcomeName', { name: profileName })
+          : t(handlerInput, 'launch.welcome'))
+          + noticeSpeech
+          + suggestion;
           
         return handlerInput.responseBuilder
           .speak(welcomeMessage)
-          .reprompt('¿Qué te gustaría escuchar hoy?')
-          .withSimpleCard('Bienvenido a Tidal Música', welcomeMessage)
+          .reprompt(question
+            ? t(handlerInput, 'resumeSession.reprompt')
+            : t(handlerInput, 'launch.reprompt'))
+          .withSimpleCard(t(handlerInput, 'launch.cardTitle'), welcomeMessage)
           .getResponse();
       } catch (error) {
         logger.error('Error al obtener información del perfil', { error });
@@ -50,24 +90,30 @@ const LaunchRequestHandler = {
         // Manejo de error específico para token expirado
         if (error.statusCode === 401) {
           return handlerInput.responseBuilder
-            .speak('Parece que tu sesión de Tidal ha expirado. He enviado un enlace a la aplicación de Alexa para que puedas volver a vincular tu cuenta.')
+            .speak(t(handlerInput, 'launch.sessionExpired'))
             .withLinkAccountCard()
             .getResponse();
         }
         
         // Respuesta genérica en caso de otros errores
+        const closing = question || t(handlerInput, 'launch.reprompt');
+        const welcomeShort = notice || question
+          ? `${t(handlerInput, 'launch.welcomeBrief')}${noticeSpeech} ${closing}`
+          : t(handlerInput, 'launch.welcomeShort');
         return handlerInput.responseBuilder
-          .speak('Bienvenido a Tidal Música. ¿Qué te gustaría escuchar hoy?')
-          .reprompt('Puedes pedirme que reproduzca una canción, un álbum o una playlist.')
-          .withSimpleCard('Bienvenido a Tidal Música', 'Bienvenido a Tidal Música. ¿Qué te gustaría escuchar hoy?')
+          .speak(welcomeShort)
+          .reprompt(question
+            ? t(handlerInput, 'resumeSession.reprompt')
+            : t(handlerInput, 'launch.fallbackReprompt'))
+          .withSimpleCard(t(handlerInput, 'launch.cardTitle'), welcomeShort)
           .getResponse();
       }
     } catch (error) {
       logger.error('Error en LaunchRequestHandler', { error });
       
       return handlerInput.responseBuilder
-        .speak('Ha ocurrido un error al iniciar Tidal Música. Por favor, inténtalo de nuevo más tarde.')
-        .withSimpleCard('Error - Tidal Música', 'Ha ocurrido un error al iniciar la skill. Por favor, inténtalo de nuevo.')
+        .speak(t(handlerInput, 'launch.error'))
+        .withSimpleCard(t(handlerInput, 'error.cardTitle'), t(handlerInput, 'launch.errorCard'))
         .getResponse();
     }
   }
@@ -8,6 +8,8 @@ const config = require('../services/configService');
 const cacheService = require('../services/cacheService');
 const tidalService = require('../services/tidalService');
 const tokenPersistenceService = require('../services/tokenPersistenceService');
+const tokenManagerService = require('../services/tokenManagerService');
+const { t } = require('../utils/i18n');
 
 /**
  * Intent para solicitar estadísticas y diagnóstico
@@ -24,7 +26,7 @@ const DiagnosticsIntentHandler = {
     const environment = config.get('app.environment');
     if (config.isProduction()) {
       return handlerInput.responseBuilder
-        .speak('Esta función solo está disponible en entornos de desarrollo.')
+        .speak(t(handlerInput, 'monitoring.devOnly'))
         .getResponse();
     }
     
@@ -32,19 +34,21 @@ const DiagnosticsIntentHandler = {
     const cacheStats = cacheService.getStats();
     
     // Generar respuesta con estadísticas
-    const speechText = `
-      Entorno: ${environment}.
-      Caché: ${cacheStats.enabled ? 'habilitada' : 'deshabilitada'}.
-      Tasa de aciertos: ${cacheStats.hitRate}%.
-      Total de solicitudes: ${cacheStats.totalRequests}.
-      Aciertos: ${cacheStats.hits}.
-      Fallos: ${cacheStats.misses}.
-      Tamaño: ${cacheStats.size} entradas en ${cacheStats.namespaces} espacios.
-    `.replace(/\s+/g, ' ').trim();
+    const cacheState = cacheStats.enabled ? 'monitoring.cacheEnabled' : 'monitoring.cacheDisabled';
+    const speechText = t(handlerInput, 'monitoring.stats', {
+      environment,
+      cacheState: t(handlerInput, cacheState),
+      hitRate: cacheStats.hitRate,
+      totalRequests: cacheStats.totalRequests,
+      hits: cacheStats.hits,
+      misses: cacheStats.misses,
+      size: cacheStats.size,
+      namespaces: cacheStats.namespaces
+    });
     
     return handlerInput.responseBuilder
       .speak(speechText)
-      .withSimpleCard('Diagnóstico', speechText)
+      .withSimpleCard(t(handlerInput, 'monitoring.cardTitle'), speechText)
       .getResponse();
   }
 };
@@ -63,7 +67,7 @@ const ClearCacheIntentHandler = {
     // Solo permitir en entornos de desarrollo o pruebas
     if (config.isProduction()) {
       return handlerInput.responseBuilder
-        .speak('Esta función solo está disponible en entornos de desarrollo.')
+        .speak(t(handlerInput, 'monitoring.devOnly'))
         .getResponse();
     }
     
@@ -78,21 +82,21 @@ const ClearCacheIntentHandler = {
         tidalService.clearCache(cacheType);
         
         return handlerInput.responseBuilder
-          .speak(`Caché de ${cacheType} limpiada correctamente.`)
+          .speak(t(handlerInput, 'monitoring.cacheTypeCleared', { cacheType }))
           .getResponse();
       } else {
         // Limpiar toda la caché
         cacheService.clear();
         
         return handlerInput.responseBuilder
-          .speak('Toda la caché ha sido limpiada correctamente.')
+          .speak(t(handlerInput, 'monitoring.cacheCleared'))
           .getResponse();
       }
     } catch (error) {
       logger.error('Error al limpiar caché', { error });
       
       return handlerInput.responseBuilder
-        .speak('Ha ocurrido un error al intentar limpiar la caché.')
+        .speak(t(handlerInput, 'monitoring.clearError'))
         .getResponse();
     }
   }
@@ -112,16 +116,18 @@ const ScheduledMaintenanceHandler = {
       // Limpiar entradas expiradas de la caché
       const removed = cacheService.cleanup();
       
-      // Otros procesos de mantenimiento podrían ir aquí
-      // Por ejemplo, eliminar tokens expirados, etc.
+      // Refrescar por adelantado los tokens que van a expirar pronto
+      const tokens = await tokenManagerService.refreshExpiringTokens();
       
-      logger.info('Mantenimiento completado', { cacheEntriesRemoved: removed });
+      logger.info('Mantenimiento completado', { cacheEntriesRemoved: removed, tokens });
       
       return {
         statusCode: 200,
         body: JSON.stringify({
           success: true,
-          cacheEntriesRemoved: removed
+          cacheEntriesRemoved: removed,
+          tokensRefreshed: tokens.refreshed,
+          tokensFailed: tokens.failed
         })
       };
     } catch (error) {
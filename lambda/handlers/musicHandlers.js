@@ -6,9 +6,44 @@
 const logger = require('../utils/logger');
 const tidalService = require('../services/tidalService');
 const playbackPersistenceService = require('../services/playbackPersistenceService');
+const queueService = require('../services/queueService');
+const musicResolverService = require('../services/musicResolverService');
+const { getSlotValue, getResolvedSlotId } = require('../utils/slotValues');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { supportsAPL, buildSearchResultsDirective } = require('../utils/apl');
+const { addNowPlayingScreen } = require('./nowPlayingHandlers');
+
+// Slot de PlayMusicIntent que corresponde a cada tipo de contenido
+const MUSIC_TYPE_SLOTS = {
+  track: 'song',
+  album: 'album',
+  artist: 'artist',
+  playlist: 'playlist'
+};
+
+// Tipos de resultado de la lista de búsqueda en pantalla, en el orden en que se muestran
+const SEARCH_LIST_TYPES = ['track', 'artist', 'album', 'playlist'];
+
+// Resultados de cada tipo en la lista (12 en total, los que alcanza el slot ordinal)
+const SEARCH_LIST_ITEMS_PER_TYPE = 3;
+
+// Mensaje de voz para cada error conocido al resolver o reproducir
+const PLAY_ERROR_KEYS = {
+  'No se encontró la canción': 'playErrors.trackNotFound',
+  'No se encontró el álbum': 'playErrors.albumNotFound',
+  'No se encontró la playlist': 'playErrors.playlistNotFound',
+  'No se encontró el artista': 'playErrors.artistNotFound',
+  'No hay pistas para la radio': 'playErrors.noRadioTracks',
+  'No hay recomendaciones': 'playErrors.noRecommendations',
+  'La colección está vacía': 'playErrors.emptyCollection'
+};
+
 /**
  * Manejador para el intent PlayMusicIntent
  * Se activa cuando el usuario quiere reproducir música
+ * Si lo pedido es ambiguo o falta, pregunta con Dialog.ElicitSlot y guarda
+ * en la sesión lo que el usuario ya ha dicho para combinarlo en el siguiente turno
  */
 const PlayMusicIntentHandler = {
   canHandle(handlerInput) {
@@ -23,283 +58,371 @@ const PlayMusicIntentHandler = {
       const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
       if (!accessToken) {
         return handlerInput.responseBuilder
-          .speak('Para reproducir música de Tidal, necesitas vincular tu cuenta. He enviado un enlace a la aplicación de Alexa.')
+          .speak(t(handlerInput, 'linkAccount.play'))
           .withLinkAccountCard()
           .getResponse();
       }
       
       // Obtener userId para persistencia
-      const userId = handlerInput.requestEnvelope.context.System.user.userId;
+      const userId = getStateOwnerId(handlerInput);
       
-      // Obtener slots de la solicitud
-      const intent = handlerInput.requestEnvelope.request.intent;
-      const slots = intent.slots;
+      // Combinar los slots de la solicitud con los de turnos anteriores del diálogo
+      const slots = restorePendingSlots(handlerInput);
+      const musicType = getResolvedSlotId(slots.musicType);
+      const songName = getSlotValue(slots, 'song');
+      const albumName = getSlotValue(slots, 'album');
+      const query = getSlotValue(slots, 'query');
       
-      let speechText = '';
-      let streamUrl = '';
-      let metadata = {};
+      if (!Object.values(MUSIC_TYPE_SLOTS).some(name => getSlotValue(slots, name)) && !query) {
+        // No se especificaron slots válidos: preguntar qué quiere escuchar
+        return elicitPlayMusicSlot(
+          handlerInput,
+          slots,
+          'query',
+          t(handlerInput, 'play.askWhat'),
+          t(handlerInput, 'play.example')
+        );
+      }
       
-      // Determinar qué tipo de contenido reproducir basado en los slots proporcionados
-      if (slots.song && slots.song.value) {
-        // Buscar y reproducir una canción específica
-        const songName = slots.song.value;
-        const artistName = slots.artist && slots.artist.value ? slots.artist.value : null;
-        
-        logger.info('Buscando canción', { songName, artistName, userId });
-        
-        const searchResult = await tidalService.searchTrack(accessToken, songName, artistName, userId);
+      let selectedType = musicType;
+      
+      // Canción y álbum a la vez: confirmar cuál de los dos quiere
+      if (songName && albumName && !selectedType) {
+        const question = t(handlerInput, 'play.songOrAlbum', { song: songName, album: albumName });
+        return elicitPlayMusicSlot(handlerInput, slots, 'musicType', question, question);
+      }
+      
+      // Un nombre sin más contexto puede ser una canción, un álbum o un artista
+      if (query && !selectedType) {
+        const candidates = await musicResolverService.classifyQuery(accessToken, query, userId);
         
-        if (searchResult && searchResult.tracks && searchResult.tracks.length > 0) {
-          const track = searchResult.tracks[0];
-          streamUrl = await tidalService.getStreamUrl(accessToken, track.id, userId);
-          metadata = {
-            title: track.title,
-            artist: track.artist.name,
-            albumArtUrl: track.album.cover,
-            albumName: track.album.title,
-            token: track.id // Usar track.id como token para identificación única
-          };
-          
-          speechText = `Reproduciendo ${track.title} de ${track.artist.name}`;
-          
-          // Guardar el estado de reproducción en DynamoDB
-          await playbackPersistenceService.savePlaybackState(userId, {
-            type: 'track',
-            trackId: track.id,
-            title: track.title,
-            artist: track.artist.name,
-            albumName: track.album.title,
-            offsetInMilliseconds: 0,
-            token: track.id,
-            url: streamUrl
+        if (candidates.length > 1) {
+          const types = candidates.map(({ type }) => t(handlerInput, `musicTypes.${type}`));
+          const found = t(handlerInput, 'play.foundAs', {
+            query,
+            types: types.join(t(handlerInput, 'play.foundAsSeparator'))
           });
-        } else {
-          throw new Error('No se encontró la canción');
-        }
-      } else if (slots.album && slots.album.value) {
-        // Buscar y reproducir un álbum
-        const albumName = slots.album.value;
-        const artistName = slots.artist && slots.artist.value ? slots.artist.value : null;
-        
-        logger.info('Buscando álbum', { albumName, artistName, userId });
-        
-        const searchResult = await tidalService.searchAlbum(accessToken, albumName, artistName, userId);
-        
-        if (searchResult && searchResult.albums && searchResult.albums.length > 0) {
-          const album = searchResult.albums[0];
-          const trackList = await tidalService.getAlbumTracks(accessToken, album.id, userId);
+          const question = t(handlerInput, 'play.whichType');
           
-          if (trackList && trackList.length > 0) {
-            streamUrl = await tidalService.getStreamUrl(accessToken, trackList[0].id, userId);
-            
-            // Crear una lista de tracks simplificada para almacenamiento
-            const simplifiedTrackList = trackList.map(track => ({
-              id: track.id,
-              title: track.title,
-              artist: track.artist.name
-            }));
-            
-            metadata = {
-              title: trackList[0].title,
-              artist: trackList[0].artist.name,
-              albumArtUrl: album.cover,
-              albumName: album.title,
-              token: trackList[0].id, // Usar el ID de la primera pista como token
-              // Guardar la lista de reproducción para gestionar siguiente/anterior
-              trackList: simplifiedTrackList,
-              currentIndex: 0
-            };
-            
-            speechText = `Reproduciendo el álbum ${album.title} de ${album.artist.name}`;
-            
-            // Guardar la playlist en DynamoDB
-            await playbackPersistenceService.savePlaylist(userId, simplifiedTrackList, 0);
-            
-            // También guardar el estado actual de reproducción
-            await playbackPersistenceService.savePlaybackState(userId, {
-              type: 'album',
-              albumId: album.id,
-              albumName: album.title,
-              artist: album.artist.name,
-              trackId: trackList[0].id,
-              title: trackList[0].title,
-              offsetInMilliseconds: 0,
-              token: trackList[0].id,
-              currentIndex: 0,
-              url: streamUrl
-            });
-          } else {
-            throw new Error('No se pudieron obtener las pistas del álbum');
-          }
-        } else {
-          throw new Error('No se encontró el álbum');
+          return elicitPlayMusicSlot(
+            handlerInput,
+            slots,
+            'musicType',
+            `${found} ${question}`,
+            question
+          );
         }
-      } else if (slots.playlist && slots.playlist.value) {
-        // Buscar y reproducir una playlist
-        const playlistName = slots.playlist.value;
-        
-        logger.info('Buscando playlist', { playlistName, userId });
-        
-        const searchResult = await tidalService.searchPlaylist(accessToken, playlistName, userId);
         
-        if (searchResult && searchResult.playlists && searchResult.playlists.length > 0) {
-          const playlist = searchResult.playlists[0];
-          const trackList = await tidalService.getPlaylistTracks(accessToken, playlist.id, userId);
-          
-          if (trackList && trackList.length > 0) {
-            streamUrl = await tidalService.getStreamUrl(accessToken, trackList[0].id, userId);
-            
-            // Crear una lista de tracks simplificada para almacenamiento
-            const simplifiedTrackList = trackList.map(track => ({
-              id: track.id,
-              title: track.title,
-              artist: track.artist.name
-            }));
-            
-            metadata = {
-              title: trackList[0].title,
-              artist: trackList[0].artist.name,
-              albumArtUrl: playlist.image,
-              playlistName: playlist.title,
-              token: trackList[0].id, // Usar el ID de la primera pista como token
-              // Guardar la lista de reproducción para gestionar siguiente/anterior
-              trackList: simplifiedTrackList,
-              currentIndex: 0
-            };
-            
-            speechText = `Reproduciendo la playlist ${playlist.title}`;
-            
-            // Guardar la playlist en DynamoDB
-            await playbackPersistenceService.savePlaylist(userId, simplifiedTrackList, 0);
-            
-            // También guardar el estado actual de reproducción
-            await playbackPersistenceService.savePlaybackState(userId, {
-              type: 'playlist',
-              playlistId: playlist.id,
-              playlistName: playlist.title,
-              trackId: trackList[0].id,
-              title: trackList[0].title,
-              artist: trackList[0].artist.name,
-              offsetInMilliseconds: 0,
-              token: trackList[0].id,
-              currentIndex: 0,
-              url: streamUrl
-            });
-          } else {
-            throw new Error('No se pudieron obtener las pistas de la playlist');
-          }
-        } else {
-          throw new Error('No se encontró la playlist');
-        }
-      } else if (slots.artist && slots.artist.value) {
-        // Reproducir música de un artista
-        const artistName = slots.artist.value;
-        
-        logger.info('Buscando artista', { artistName, userId });
-        
-        const searchResult = await tidalService.searchArtist(accessToken, artistName, userId);
-        
-        if (searchResult && searchResult.artists && searchResult.artists.length > 0) {
-          const artist = searchResult.artists[0];
-          const topTracks = await tidalService.getArtistTopTracks(accessToken, artist.id, 10, userId);
-          
-          if (topTracks && topTracks.length > 0) {
-            streamUrl = await tidalService.getStreamUrl(accessToken, topTracks[0].id, userId);
-            
-            // Crear una lista de tracks simplificada para almacenamiento
-            const simplifiedTrackList = topTracks.map(track => ({
-              id: track.id,
-              title: track.title,
-              artist: track.artist.name
-            }));
-            
-            metadata = {
-              title: topTracks[0].title,
-              artist: artist.name,
-              albumArtUrl: topTracks[0].album.cover,
-              albumName: topTracks[0].album.title,
-              token: topTracks[0].id, // Usar el ID de la primera pista como token
-              // Guardar la lista de reproducción para gestionar siguiente/anterior
-              trackList: simplifiedTrackList,
-              currentIndex: 0
-            };
-            
-            speechText = `Reproduciendo música de ${artist.name}`;
-            
-            // Guardar la playlist en DynamoDB
-            await playbackPersistenceService.savePlaylist(userId, simplifiedTrackList, 0);
-            
-            // También guardar el estado actual de reproducción
-            await playbackPersistenceService.savePlaybackState(userId, {
-              type: 'artist',
-              artistId: artist.id,
-              artistName: artist.name,
-              trackId: topTracks[0].id,
-              title: topTracks[0].title,
-              albumName: topTracks[0].album.title,
-              offsetInMilliseconds: 0,
-              token: topTracks[0].id,
-              currentIndex: 0,
-              url: streamUrl
-            });
-          } else {
-            throw new Error('No se pudieron obtener las pistas del artista');
-          }
-        } else {
-          throw new Error('No se encontró el artista');
-        }
-      } else {
-        // Si no se especificaron slots válidos
-        speechText = 'No entendí qué quieres reproducir. Por favor, especifica una canción, artista, álbum o playlist.';
+        // Con una sola coincidencia fiable se usa esa; si no hay ninguna, se busca como canción
+        selectedType = candidates.length === 1 ? candidates[0].type : 'track';
+      }
+      
+      clearPendingSlots(handlerInput);
+      
+      // Resolver la canción, álbum, playlist o artista solicitado
+      const selection = await musicResolverService.resolve(
+        accessToken,
+        applyMusicType(slots, selectedType),
+        userId
+      );
+      
+      if (!selection) {
+        // Si el tipo elegido no corresponde a ningún valor dicho
+        const speechText = t(handlerInput, 'play.notUnderstood');
         return handlerInput.responseBuilder
           .speak(speechText)
-          .reprompt('Puedes decir, por ejemplo, "reproduce Despacito" o "pon música de Rosalía".')
+          .reprompt(t(handlerInput, 'play.example'))
           .getResponse();
       }
       
-      // Guardar metadata en la sesión para controles de reproducción (por compatibilidad)
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      sessionAttributes.currentlyPlaying = metadata;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+      // Si el resultado no se parece lo suficiente a lo pedido, confirmar antes de reproducir
+      if (selection.confirmation) {
+        return askToConfirmSelection(handlerInput, selection);
+      }
       
-      // Construir la respuesta con el audio stream
-      return handlerInput.responseBuilder
-        .speak(speechText)
-        .addAudioPlayerPlayDirective(
-          'REPLACE_ALL',
-          streamUrl,
-          metadata.token, // Usar el ID como token para identificación única
-          0, // offsetInMilliseconds
-          null, // expectedPreviousToken
-          metadata // audioItemMetadata
-        )
-        .withSimpleCard(
-          'Tidal Música - Reproduciendo',
-          `${metadata.title}\nPor: ${metadata.artist}\n${metadata.albumName ? `Álbum: ${metadata.albumName}` : ''}`
-        )
-        .getResponse();
+      return await playSelection(handlerInput, selection, { accessToken, userId });
     } catch (error) {
       logger.error('Error en PlayMusicIntentHandler', { error });
       
-      let errorMessage = 'Lo siento, ha ocurrido un error al intentar reproducir la música.';
-      
-      // Mensajes de error específicos
-      if (error.message === 'No se encontró la canción') {
-        errorMessage = 'No he podido encontrar esa canción. ¿Podrías intentar con otra?';
-      } else if (error.message === 'No se encontró el álbum') {
-        errorMessage = 'No he podido encontrar ese álbum. ¿Podrías intentar con otro?';
-      } else if (error.message === 'No se encontró la playlist') {
-        errorMessage = 'No he podido encontrar esa playlist. ¿Podrías intentar con otra?';
-      } else if (error.message === 'No se encontró el artista') {
-        errorMessage = 'No he podido encontrar ese artista. ¿Podrías intentar con otro?';
-      }
+      const errorMessage = getPlayErrorMessage(handlerInput, error);
       
       return handlerInput.responseBuilder
         .speak(errorMessage)
-        .reprompt('¿Qué te gustaría escuchar?')
+        .reprompt(t(handlerInput, 'common.whatToPlay'))
         .getResponse();
     }
-  }};
+  }
+};
+
+/**
+ * Obtiene los slots de PlayMusicIntent completados con los de turnos anteriores
+ * Solo se combinan mientras el diálogo sigue en curso; una petición nueva los descarta
+ * @param {Object} handlerInput - Input del handler
+ * @returns {Object} - Slots combinados
+ */
+function restorePendingSlots(handlerInput) {
+  const { request } = handlerInput.requestEnvelope;
+  const slots = { ...(request.intent.slots || {}) };
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  const pending = sessionAttributes.pendingPlayMusic;
+  
+  if (!pending || request.dialogState !== 'IN_PROGRESS') {
+    return slots;
+  }
+  
+  for (const [name, slot] of Object.entries(pending.slots)) {
+    if (!getSlotValue(slots, name)) {
+      slots[name] = slot;
+    }
+  }
+  
+  return slots;
+}
+
+/**
+ * Olvida los slots guardados del diálogo de PlayMusicIntent
+ * @param {Object} handlerInput - Input del handler
+ */
+function clearPendingSlots(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  
+  if (sessionAttributes.pendingPlayMusic) {
+    delete sessionAttributes.pendingPlayMusic;
+    handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  }
+}
+
+/**
+ * Pide al usuario el valor de un slot de PlayMusicIntent
+ * Guarda en la sesión los slots ya dichos para no perderlos en el siguiente turno
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} slots - Slots conocidos hasta ahora
+ * @param {string} slotName - Slot a preguntar
+ * @param {string} speechText - Pregunta
+ * @param {string} repromptText - Pregunta si el usuario no contesta
+ * @returns {Object} - Respuesta con la directiva Dialog.ElicitSlot
+ */
+function elicitPlayMusicSlot(handlerInput, slots, slotName, speechText, repromptText) {
+  const knownSlots = {};
+  
+  for (const [name, slot] of Object.entries(slots)) {
+    if (slot && slot.value) {
+      knownSlots[name] = slot;
+    }
+  }
+  
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.pendingPlayMusic = { slots: knownSlots, elicitedSlot: slotName };
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  
+  return handlerInput.responseBuilder
+    .speak(speechText)
+    .reprompt(repromptText)
+    .addElicitSlotDirective(slotName, {
+      name: 'PlayMusicIntent',
+      confirmationStatus: 'NONE',
+      slots: { ...handlerInput.requestEnvelope.request.intent.slots, ...knownSlots }
+    })
+    .getResponse();
+}
+
+/**
+ * Ajusta los slots al tipo de contenido elegido por el usuario
+ * Un nombre libre pasa al slot de ese tipo y, si se dijeron canción y álbum,
+ * se descarta el que no se eligió
+ * @param {Object} slots - Slots combinados
+ * @param {string} musicType - 'track', 'album', 'artist' o 'playlist' (opcional)
+ * @returns {Object} - Slots listos para musicResolverService.resolve
+ */
+function applyMusicType(slots, musicType) {
+  const slotName = MUSIC_TYPE_SLOTS[musicType];
+  
+  if (!slotName) {
+    return slots;
+  }
+  
+  const query = getSlotValue(slots, 'query');
+  const artistName = getSlotValue(slots, 'artist');
+  const value = query || getSlotValue(slots, slotName);
+  const resolvedSlots = {};
+  
+  if (artistName) {
+    resolvedSlots.artist = { name: 'artist', value: artistName };
+  }
+  
+  if (value) {
+    resolvedSlots[slotName] = { name: slotName, value };
+  }
+  
+  return resolvedSlots;
+}
+
+/**
+ * Obtiene el resultado de búsqueda más relevante para el término buscado
+ * @param {string} type - 'track', 'album' o 'artist'
+ * @param {Array} items - Resultados devueltos por la búsqueda
+ * @param {string} searchTerm - Término buscado por el usuario
+ * @returns {Object} - Resultado con mayor puntuación
+ */
+function getTopResult(type, items, searchTerm) {
+  const [best] = tidalService.rankCandidates(type, items, { name: searchTerm });
+  
+  return best.item;
+}
+
+/**
+ * Obtiene las opciones de la lista de resultados en pantalla
+ * Cada tipo se ordena por relevancia; la posición en la lista es la que
+ * usa SelectSearchResultIntent para "el tercero"
+ * @param {Object} searchResults - Resultados de tidalService.search
+ * @param {string} searchTerm - Término buscado por el usuario
+ * @returns {Array<Object>} - Opciones ({ type, item })
+ */
+function getSearchListOptions(searchResults, searchTerm) {
+  return SEARCH_LIST_TYPES.reduce((options, type) => options.concat(
+    tidalService.rankCandidates(type, searchResults[`${type}s`], { name: searchTerm })
+      .slice(0, SEARCH_LIST_ITEMS_PER_TYPE)
+      .map(({ item }) => ({ type, item }))
+  ), []);
+}
+
+/**
+ * Describe una opción de búsqueda como elemento de la lista en pantalla
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} option - Opción ({ type, item })
+ * @returns {Object} - Elemento de AlexaTextList con texto y portada
+ */
+function describeSearchOption(handlerInput, { type, item }) {
+  const artist = item.artist ? item.artist.name : '';
+  const imageIds = {
+    track: item.album && item.album.cover,
+    album: item.cover,
+    artist: item.picture,
+    playlist: item.squareImage || item.image
+  };
+
+  return {
+    primaryText: type === 'artist' ? item.name : item.title,
+    secondaryText: t(handlerInput, `display.${type}`, { artist }),
+    imageThumbnailSource: tidalService.getImageUrl(imageIds[type], 320) || ''
+  };
+}
+
+/**
+ * Muestra los resultados de una búsqueda como lista táctil en pantalla
+ * @param {Object} handlerInput - Input del handler
+ * @param {string} searchTerm - Término buscado
+ * @param {Array<Object>} options - Opciones de getSearchListOptions
+ * @returns {Object} - Respuesta con la lista y la pregunta
+ */
+function showSearchList(handlerInput, searchTerm, options) {
+  const items = options.map(option => describeSearchOption(handlerInput, option));
+
+  return handlerInput.responseBuilder
+    .speak(t(handlerInput, 'search.listFound', { count: options.length, term: searchTerm }))
+    .reprompt(t(handlerInput, 'search.listReprompt'))
+    .addDirective(buildSearchResultsDirective(handlerInput, searchTerm, items))
+    .getResponse();
+}
+
+/**
+ * Pregunta al usuario si la selección encontrada es la que quería
+ * La respuesta la atienden los manejadores de búsqueda: "sí" la reproduce
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} selection - Selección con confirmation
+ * @returns {Object} - Respuesta con la pregunta
+ */
+function askToConfirmSelection(handlerInput, selection) {
+  const question = t(handlerInput, 'play.confirmQuestion', {
+    label: t(handlerInput, selection.label)
+  });
+  
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.lastSearchOptions = [selection.confirmation];
+  sessionAttributes.pendingQuestion = 'searchResults';
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  
+  return handlerInput.responseBuilder
+    .speak(t(handlerInput, 'play.notSure', { question }))
+    .reprompt(question)
+    .getResponse();
+}
+
+/**
+ * Reproduce una selección resuelta reemplazando la cola actual
+ * Es el camino común para cualquier intent que empieza una reproducción nueva
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} selection - Selección devuelta por musicResolverService
+ * @param {Object} params - accessToken y userId
+ * @returns {Promise<Object>} - Respuesta con la directiva de reproducción
+ */
+async function playSelection(handlerInput, selection, { accessToken, userId }) {
+  const firstTrack = selection.trackList[0];
+  const streamUrl = await tidalService.getStreamUrl(accessToken, firstTrack.id, userId);
+  
+  const metadata = {
+    title: firstTrack.title,
+    artist: firstTrack.artist,
+    ...selection.display,
+    token: firstTrack.id, // Usar el ID de la primera pista como token
+    // Guardar la lista de reproducción para gestionar siguiente/anterior
+    trackList: selection.trackList,
+    currentIndex: 0
+  };
+  
+  const speechText = t(handlerInput, 'play.playing', { label: t(handlerInput, selection.label) });
+  
+  // Guardar la cola junto con el estado actual de reproducción en DynamoDB
+  await playbackPersistenceService.savePlaylist(userId, selection.trackList, 0, {
+    ...selection.context,
+    trackId: firstTrack.id,
+    title: firstTrack.title,
+    artist: firstTrack.artist,
+    offsetInMilliseconds: 0,
+    token: firstTrack.id,
+    url: streamUrl
+  });
+  
+  // Guardar metadata en la sesión para controles de reproducción (por compatibilidad)
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+  sessionAttributes.currentlyPlaying = metadata;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+  
+  // Construir la respuesta con el audio stream
+  handlerInput.responseBuilder
+    .speak(speechText)
+    .addAudioPlayerPlayDirective(
+      'REPLACE_ALL',
+      streamUrl,
+      metadata.token, // Usar el ID como token para identificación única
+      0, // offsetInMilliseconds
+      null, // expectedPreviousToken
+      metadata // audioItemMetadata
+    )
+    .withSimpleCard(
+      t(handlerInput, 'play.cardTitle'),
+      [
+        metadata.title,
+        t(handlerInput, 'play.cardBy', { artist: metadata.artist }),
+        metadata.albumName ? t(handlerInput, 'play.cardAlbum', { album: metadata.albumName }) : ''
+      ].join('\n')
+    );
+
+  // En dispositivos con pantalla, mostrar también la pantalla de reproducción
+  await addNowPlayingScreen(handlerInput, { accessToken, userId, token: firstTrack.id });
+
+  return handlerInput.responseBuilder.getResponse();
+}
+
+/**
+ * Traduce un error de búsqueda o reproducción en un mensaje para el usuario
+ * @param {Object} handlerInput - Input del handler
+ * @param {Error} error - Error producido al resolver o reproducir
+ * @returns {string} - Mensaje de voz en el idioma de la petición
+ */
+function getPlayErrorMessage(handlerInput, error) {
+  return t(handlerInput, PLAY_ERROR_KEYS[error.message] || 'playErrors.generic');
+}
 
 /**
  * Manejador para el intent SearchMusicIntent
@@ -318,7 +441,7 @@ const SearchMusicIntentHandler = {
       const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
       if (!accessToken) {
         return handlerInput.responseBuilder
-          .speak('Para buscar música en Tidal, necesitas vincular tu cuenta. He enviado un enlace a la aplicación de Alexa.')
+          .speak(t(handlerInput, 'linkAccount.search'))
           .withLinkAccountCard()
           .getResponse();
       }
@@ -328,8 +451,8 @@ const SearchMusicIntentHandler = {
       
       if (!searchTerm) {
         return handlerInput.responseBuilder
-          .speak('No he entendido qué quieres buscar. Por favor, dime qué canción, artista, álbum o playlist te gustaría encontrar.')
-          .reprompt('¿Qué te gustaría buscar?')
+          .speak(t(handlerInput, 'search.askTerm'))
+          .reprompt(t(handlerInput, 'search.reprompt'))
           .getResponse();
       }
       
@@ -337,58 +460,225 @@ const SearchMusicIntentHandler = {
       
       // Realizar una búsqueda en Tidal
       const searchResults = await tidalService.search(accessToken, searchTerm);
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      
+      // En dispositivos con pantalla, ofrecer todos los resultados como lista táctil
+      const listOptions = supportsAPL(handlerInput)
+        ? getSearchListOptions(searchResults, searchTerm)
+        : [];
+      
+      if (listOptions.length > 0) {
+        sessionAttributes.lastSearchResults = searchResults;
+        sessionAttributes.lastSearchOptions = listOptions;
+        sessionAttributes.pendingQuestion = 'searchResults';
+        handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+        
+        return showSearchList(handlerInput, searchTerm, listOptions);
+      }
       
       // Procesar y presentar resultados
       // Determinar qué tipo de resultados presentar primero
-      let speechText = '';
-      let cardContent = '';
+      const speech = [];
+      const cardLines = [];
+      // Opciones ofrecidas, en el mismo orden en que se mencionan ("el segundo")
+      const searchOptions = [];
       
       if (searchResults.tracks && searchResults.tracks.length > 0) {
-        const topTrack = searchResults.tracks[0];
-        speechText += `He encontrado la canción "${topTrack.title}" de ${topTrack.artist.name}. `;
-        cardContent += `Canción: ${topTrack.title} - ${topTrack.artist.name}\n`;
+        const topTrack = getTopResult('track', searchResults.tracks, searchTerm);
+        searchOptions.push({ type: 'track', item: topTrack });
+        const trackParams = { title: topTrack.title, artist: topTrack.artist.name };
+        speech.push(t(handlerInput, 'search.foundTrack', trackParams));
+        cardLines.push(t(handlerInput, 'search.cardTrack', trackParams));
       }
       
       if (searchResults.artists && searchResults.artists.length > 0) {
-        const topArtist = searchResults.artists[0];
-        speechText += `He encontrado al artista ${topArtist.name}. `;
-        cardContent += `Artista: ${topArtist.name}\n`;
+        const topArtist = getTopResult('artist', searchResults.artists, searchTerm);
+        searchOptions.push({ type: 'artist', item: topArtist });
+        speech.push(t(handlerInput, 'search.foundArtist', { name: topArtist.name }));
+        cardLines.push(t(handlerInput, 'search.cardArtist', { name: topArtist.name }));
       }
       
       if (searchResults.albums && searchResults.albums.length > 0) {
-        const topAlbum = searchResults.albums[0];
-        speechText += `He encontrado el álbum "${topAlbum.title}" de ${topAlbum.artist.name}. `;
-        cardContent += `Álbum: ${topAlbum.title} - ${topAlbum.artist.name}\n`;
+        const topAlbum = getTopResult('album', searchResults.albums, searchTerm);
+        searchOptions.push({ type: 'album', item: topAlbum });
+        const albumParams = { title: topAlbum.title, artist: topAlbum.artist.name };
+        speech.push(t(handlerInput, 'search.foundAlbum', albumParams));
+        cardLines.push(t(handlerInput, 'search.cardAlbum', albumParams));
       }
       
-      if (speechText === '') {
-        speechText = `No he encontrado resultados para "${searchTerm}". Intenta con otro término.`;
-        cardContent = 'No se encontraron resultados';
+      if (speech.length === 0) {
+        speech.push(t(handlerInput, 'search.noResults', { term: searchTerm }));
+        cardLines.push(t(handlerInput, 'search.noResultsCard'));
       } else {
-        speechText += '¿Quieres que reproduzca alguno de estos resultados?';
+        speech.push(t(handlerInput, 'search.askPlay'));
       }
       
       // Guardar resultados en la sesión para seguimiento
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
       sessionAttributes.lastSearchResults = searchResults;
+      sessionAttributes.lastSearchOptions = searchOptions;
+      sessionAttributes.pendingQuestion = searchOptions.length > 0 ? 'searchResults' : null;
       handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
       
       return handlerInput.responseBuilder
-        .speak(speechText)
-        .reprompt('¿Quieres que reproduzca alguno de estos resultados? Puedes decir, por ejemplo, "reproduce la canción" o "pon al artista".')
-        .withSimpleCard('Resultados de búsqueda', cardContent)
+        .speak(speech.join(' '))
+        .reprompt(t(handlerInput, 'search.askPlayReprompt'))
+        .withSimpleCard(t(handlerInput, 'search.cardTitle'), cardLines.join('\n'))
         .getResponse();
     } catch (error) {
       logger.error('Error en SearchMusicIntentHandler', { error });
       
       return handlerInput.responseBuilder
-        .speak('Lo siento, ha ocurrido un error al buscar música. Por favor, inténtalo de nuevo.')
-        .reprompt('¿Qué te gustaría buscar?')
+        .speak(t(handlerInput, 'search.error'))
+        .reprompt(t(handlerInput, 'search.reprompt'))
         .getResponse();
     }
   }
 };
 
+/**
+ * Busca la posición de un token del AudioPlayer en la cola persistida
+ * La búsqueda empieza en fromIndex para resolver pistas repetidas en la cola
+ * @param {Array} trackList - Lista de pistas de la cola
+ * @param {string} token - Token del AudioPlayer (ID de la pista)
+ * @param {number} fromIndex - Índice desde el que empezar a buscar
+ * @returns {number} - Índice de la pista o -1 si no está en la cola
+ */
+function findTrackIndex(trackList, token, fromIndex = 0) {
+  if (!Array.isArray(trackList) || token === undefined || token === null) {
+    return -1;
+  }
+  
+  const start = Math.max(0, fromIndex || 0);
+  
+  for (let offset = 0; offset < trackList.length; offset++) {
+    const index = (start + offset) % trackList.length;
+    if (String(trackList[index].id) === String(token)) {
+      return index;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Avanza el índice de la cola persistida cuando empieza a sonar otra pista
+ * @param {string} userId - ID de usuario de Alexa
+ * @param {string} token - Token de la pista que ha empezado
+ * @param {Object} playbackState - Estado de reproducción actual
+ * @returns {Promise<boolean>} - true si se actualizó el índice
+ */
+async function advanceQueueToToken(userId, token, playbackState) {
+  if (!playbackState || !Array.isArray(playbackState.trackList)) {
+    return false;
+  }
+  
+  const currentIndex = playbackState.currentIndex || 0;
+  
+  // Una pista encolada ya tiene su posición resuelta (orden aleatorio incluido)
+  const startedIndex = String(playbackState.enqueuedToken) === String(token)
+    && Number.isInteger(playbackState.enqueuedIndex)
+    ? playbackState.enqueuedIndex
+    : findTrackIndex(playbackState.trackList, token, currentIndex);
+  
+  if (startedIndex === -1 || startedIndex === currentIndex) {
+    return false;
+  }
+  
+  logger.info('Avanzando la cola a la pista iniciada', { 
+    userId,
+    currentIndex,
+    startedIndex
+  });
+  
+  await playbackPersistenceService.updatePlaylistIndex(userId, startedIndex);
+  return true;
+}
+
+/**
+ * Encola la siguiente pista de la cola persistida (ENQUEUE) para
+ * reproducirla sin pausa cuando termine la actual
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} params - Usuario, token de acceso, token actual y estado
+ * @returns {Promise<Object|null>} - Respuesta con la directiva o null si no hay siguiente
+ */
+async function enqueueNextTrack(handlerInput, { userId, accessToken, token, playbackState }) {
+  let playlist = await playbackPersistenceService.getPlaylist(userId);
+  let state = playbackState;
+  
+  if (!playlist || playlist.trackList.length === 0) {
+    logger.info('No hay cola para encolar la siguiente pista', { userId });
+    return null;
+  }
+  
+  const currentIndex = findTrackIndex(playlist.trackList, token, playlist.currentIndex);
+  
+  if (currentIndex === -1) {
+    logger.info('La pista actual no pertenece a la cola persistida', { userId, token });
+    return null;
+  }
+  
+  // Las radios se recargan poco a poco para que la cola nunca se agote
+  if (accessToken && queueService.shouldExtendRadio(playlist, currentIndex)) {
+    try {
+      const extendedState = await queueService.extendRadio(userId, accessToken);
+      
+      if (extendedState) {
+        state = extendedState;
+        playlist = await playbackPersistenceService.getPlaylist(userId);
+      }
+    } catch (error) {
+      logger.error('Error al recargar la radio', { error, userId });
+    }
+  }
+  
+  const nextIndex = queueService.getAdjacentIndex(playlist, currentIndex, 1, true);
+  
+  if (nextIndex === -1) {
+    logger.info('No hay más pistas que encolar', { userId });
+    return null;
+  }
+  
+  if (!accessToken) {
+    logger.warn('No hay accessToken para encolar siguiente pista', { userId });
+    return null;
+  }
+  
+  const nextTrack = playlist.trackList[nextIndex];
+  
+  logger.info('Encolando siguiente pista', { 
+    userId,
+    currentIndex,
+    nextIndex,
+    nextTrack: nextTrack.title
+  });
+  
+  const streamUrl = await tidalService.getStreamUrl(accessToken, nextTrack.id, userId);
+  
+  // Recordar qué pista se ha encolado; el índice avanza en PlaybackStarted
+  await playbackPersistenceService.savePlaybackState(userId, {
+    ...state,
+    enqueuedToken: nextTrack.id,
+    enqueuedIndex: nextIndex,
+    updatedAt: new Date().toISOString()
+  });
+  
+  return handlerInput.responseBuilder
+    .addAudioPlayerPlayDirective(
+      'ENQUEUE',
+      streamUrl,
+      nextTrack.id, // token
+      0, // offsetInMilliseconds
+      token, // expectedPreviousToken
+      {
+        title: nextTrack.title,
+        artist: nextTrack.artist,
+        token: nextTrack.id,
+        currentIndex: nextIndex
+      } // audioItemMetadata
+    )
+    .getResponse();
+}
+
 /**
  * Manejador para eventos del AudioPlayer
  * Gestiona eventos como PlaybackStarted, PlaybackFinished, etc.
@@ -399,7 +689,7 @@ const AudioPlayerEventHandler = {
   },
   async handle(handlerInput) {
     const audioPlayerEventName = handlerInput.requestEnvelope.request.type.split('.')[1];
-    const userId = handlerInput.requestEnvelope.context.System.user.userId;
+    const userId = getStateOwnerId(handlerInput);
     const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
     
     logger.info('Evento AudioPlayer recibido', { audioPlayerEventName, userId });
@@ -436,13 +726,20 @@ const AudioPlayerEventHandler = {
             token
           });
         }
+        
+        // Si empieza una pista encolada, avanzar el índice persistido de la cola
+        try {
+          await advanceQueueToToken(userId, token, playbackState);
+        } catch (error) {
+          logger.error('Error al avanzar el índice de la cola', { error, userId, token });
+        }
         break;
         
-      case 'PlaybackFinished':
-        // Cuando termina una pista, reproducir la siguiente si existe
+      case 'PlaybackFinished': {
+        // La siguiente pista ya se encoló en PlaybackNearlyFinished; aquí solo
+        // se registra el final de la cola o un fallo al encolar
         logger.info('Reproducción finalizada', { token, userId });
         
-        // Verificar si tenemos una playlist
         let playlist;
         try {
           playlist = await playbackPersistenceService.getPlaylist(userId);
@@ -450,79 +747,32 @@ const AudioPlayerEventHandler = {
           logger.error('Error al obtener playlist', { error, userId });
         }
         
-        if (playlist && playlist.trackList && playlist.currentIndex < playlist.trackList.length - 1) {
-          try {
-            if (!accessToken) {
-              logger.warn('No hay accessToken para reproducir siguiente pista', { userId });
-              return handlerInput.responseBuilder.getResponse();
-            }
-            
-            const nextIndex = playlist.currentIndex + 1;
-            const nextTrack = playlist.trackList[nextIndex];
-            
-            logger.info('Reproduciendo siguiente pista', { 
+        const finishedIndex = playlist
+          ? findTrackIndex(playlist.trackList, token, playlist.currentIndex)
+          : -1;
+        const nextIndex = finishedIndex === -1
+          ? -1
+          : queueService.getAdjacentIndex(playlist, finishedIndex, 1, true);
+        
+        if (playlist && finishedIndex === -1) {
+          // La pista terminada no pertenece a la cola actual (la cola se ha reemplazado)
+          logger.info('La pista finalizada no pertenece a la cola actual', { userId, token });
+        } else if (playlist && nextIndex !== -1) {
+          const nextTrack = playlist.trackList[nextIndex];
+          
+          if (String(playbackState.enqueuedToken) === String(nextTrack.id)) {
+            logger.info('La siguiente pista ya estaba encolada', { 
               userId,
-              currentIndex: playlist.currentIndex,
-              nextIndex,
               nextTrack: nextTrack.title
             });
-            
-            const streamUrl = await tidalService.getStreamUrl(accessToken, nextTrack.id, userId);
-            
-            // Actualizar el índice en la playlist persistente
-            await playbackPersistenceService.updatePlaylistIndex(userId, nextIndex);
-            
-            // Actualizar el estado de reproducción
-            await playbackPersistenceService.savePlaybackState(userId, {
-              type: playbackState.type || 'playlist',
-              trackId: nextTrack.id,
-              title: nextTrack.title,
-              artist: nextTrack.artist,
-              offsetInMilliseconds: 0,
-              token: nextTrack.id,
-              currentIndex: nextIndex,
-              url: streamUrl,
-              playlistId: playbackState.playlistId,
-              playlistName: playbackState.playlistName,
-              albumId: playbackState.albumId,
-              albumName: playbackState.albumName,
-              artistId: playbackState.artistId,
-              artistName: playbackState.artistName
+          } else {
+            logger.error('La siguiente pista no se encoló a tiempo', {
+              userId,
+              nextTrack: nextTrack.id
             });
             
-            // Actualizar la sesión (por compatibilidad)
-            const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-            if (sessionAttributes.currentlyPlaying) {
-              sessionAttributes.currentlyPlaying.currentIndex = nextIndex;
-              sessionAttributes.currentlyPlaying.title = nextTrack.title;
-              sessionAttributes.currentlyPlaying.artist = nextTrack.artist;
-              sessionAttributes.currentlyPlaying.token = nextTrack.id;
-              handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-            }
-            
-            return handlerInput.responseBuilder
-              .addAudioPlayerPlayDirective(
-                'REPLACE_ALL',
-                streamUrl,
-                nextTrack.id, // token
-                0, // offsetInMilliseconds
-                null, // expectedPreviousToken
-                {
-                  title: nextTrack.title,
-                  artist: nextTrack.artist,
-                  token: nextTrack.id,
-                  currentIndex: nextIndex,
-                  trackList: playlist.trackList
-                } // audioItemMetadata
-              )
-              .getResponse();
-          } catch (error) {
-            logger.error('Error al reproducir siguiente pista', { error, userId });
-            
-            // Intentar enviar una notificación al usuario sobre el error
+            // Guardar el error para informar en la siguiente interacción
             try {
-              // Usar el API de notificaciones proactivas de Alexa
-              // o guardar el error para informar en la siguiente interacción
               await playbackPersistenceService.savePlaybackState(userId, {
                 ...playbackState,
                 error: 'No se pudo reproducir la siguiente pista',
@@ -549,6 +799,7 @@ const AudioPlayerEventHandler = {
           }
         }
         break;
+      }
         
       case 'PlaybackStopped':
         // Guardar posición para reanudar más tarde
@@ -604,11 +855,34 @@ const AudioPlayerEventHandler = {
         break;
         
       case 'PlaybackNearlyFinished':
-        // Preparar la siguiente pista para reproducción sin buffering
+        // Encolar la siguiente pista para que la transición sea continua
         logger.info('Reproducción casi finalizada', { token, userId });
         
-        // Se podría implementar pre-buffering o pre-caching de la siguiente pista
-        // pero por ahora simplemente logueamos el evento
+        try {
+          const enqueueResponse = await enqueueNextTrack(handlerInput, {
+            userId,
+            accessToken,
+            token,
+            playbackState
+          });
+          
+          if (enqueueResponse) {
+            return enqueueResponse;
+          }
+        } catch (error) {
+          logger.error('Error al encolar siguiente pista', { error, userId });
+          
+          // Guardar el error para informar en la siguiente interacción
+          try {
+            await playbackPersistenceService.savePlaybackState(userId, {
+              ...playbackState,
+              error: 'No se pudo reproducir la siguiente pista',
+              errorTimestamp: new Date().toISOString()
+            });
+          } catch (notificationError) {
+            logger.error('Error al guardar notificación de error', { notificationError, userId });
+          }
+        }
         break;
     }
     
@@ -631,6 +905,68 @@ const PauseIntentHandler = {
   }
 };
 
+/**
+ * Reanuda la última reproducción guardada en el punto en que se dejó
+ * La usan AMAZON.ResumeIntent y la oferta de continuar al abrir la skill
+ * @param {Object} handlerInput - Input del handler
+ * @returns {Promise<Object>} - Respuesta de Alexa
+ */
+async function resumePlayback(handlerInput) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+  
+  if (!accessToken) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'linkAccount.resume'))
+      .withLinkAccountCard()
+      .getResponse();
+  }
+  
+  try {
+    // Si no hay estado en DynamoDB, usar el de la sesión (por compatibilidad)
+    const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+    const resumePoint = await queueService.getResumePoint(
+      userId,
+      accessToken,
+      sessionAttributes.currentlyPlaying
+    );
+    
+    if (!resumePoint) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'resume.nothing'))
+        .reprompt(t(handlerInput, 'common.playSuggestion'))
+        .getResponse();
+    }
+    
+    handlerInput.responseBuilder
+      .speak(t(handlerInput, 'resume.resuming'))
+      .addAudioPlayerPlayDirective(
+        'REPLACE_ALL',
+        resumePoint.streamUrl,
+        resumePoint.metadata.token, // token
+        resumePoint.offset, // offsetInMilliseconds
+        null, // expectedPreviousToken
+        resumePoint.metadata // audioItemMetadata
+      );
+
+    await addNowPlayingScreen(handlerInput, {
+      accessToken,
+      userId,
+      token: resumePoint.metadata.token,
+      offsetInMilliseconds: resumePoint.offset
+    });
+
+    return handlerInput.responseBuilder.getResponse();
+  } catch (error) {
+    logger.error('Error al reanudar la reproducción', { error, userId });
+    
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'resume.error'))
+      .reprompt(t(handlerInput, 'common.whatToPlay'))
+      .getResponse();
+  }
+}
+
 /**
  * Manejador para el intent AMAZON.ResumeIntent
  * Reanuda la reproducción pausada
@@ -640,136 +976,10 @@ const ResumeIntentHandler = {
     return handlerInput.requestEnvelope.request.type === 'IntentRequest'
       && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.ResumeIntent';
   },
-  async handle(handlerInput) {
-    try {
-      const userId = handlerInput.requestEnvelope.context.System.user.userId;
-      const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
-      
-      logger.info('Manejando ResumeIntent', { userId });
-      
-      if (!accessToken) {
-        return handlerInput.responseBuilder
-          .speak('Para reanudar la música, necesitas vincular tu cuenta de Tidal. He enviado un enlace a la aplicación de Alexa.')
-          .withLinkAccountCard()
-          .getResponse();
-      }
-      
-      // Intentar obtener el estado de reproducción desde DynamoDB
-      let playbackState;
-      try {
-        playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
-      } catch (error) {
-        logger.error('Error al obtener estado de reproducción', { error, userId });
-      }
-      
-      // Si no hay estado en DynamoDB, intentar usar el de la sesión (por compatibilidad)
-      if (!playbackState) {
-        const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-        playbackState = sessionAttributes.currentlyPlaying;
-      }
-      
-      if (!playbackState) {
-        return handlerInput.responseBuilder
-          .speak('No hay nada para reanudar. ¿Qué te gustaría escuchar?')
-          .reprompt('Puedes pedirme que reproduzca una canción, álbum o playlist.')
-          .getResponse();
-      }
-      
-      logger.info('Reanudando reproducción', { 
-        userId,
-        track: playbackState.title,
-        artist: playbackState.artist
-      });
-      
-      // Si tenemos la URL guardada y no ha pasado mucho tiempo (menos de 1 hora)
-      const savedUrl = playbackState.url;
-      const offset = playbackState.offsetInMilliseconds || 0;
-      
-      let streamUrl;
-      
-      // Verificar si la URL guardada aún es válida
-      const pausedAt = playbackState.pausedAt ? new Date(playbackState.pausedAt) : null;
-      const urlIsValid = pausedAt && ((new Date() - pausedAt) < 60 * 60 * 1000); // 1 hora
-      
-      if (savedUrl && urlIsValid) {
-        // Usar la URL guardada si aún es válida
-        streamUrl = savedUrl;
-        logger.info('Usando URL guardada para reanudar', { userId });
-      } else {
-        // Obtener una nueva URL si no tenemos una o ha expirado
-        try {
-          // Obtener el ID de la pista a reanudar
-          let trackId;
-          
-          if (playbackState.trackId) {
-            trackId = playbackState.trackId;
-          } else if (playbackState.token) {
-            trackId = playbackState.token;
-          } else if (playbackState.trackList && typeof playbackState.currentIndex !== 'undefined') {
-            trackId = playbackState.trackList[playbackState.currentIndex].id;
-          } else {
-            throw new Error('No se puede determinar qué pista reanudar');
-          }
-          
-          // Obtener nueva URL de streaming
-          streamUrl = await tidalService.getStreamUrl(accessToken, trackId, userId);
-          
-          // Actualizar la URL en el estado de reproducción
-          await playbackPersistenceService.updateTrackState(userId, trackId, {
-            url: streamUrl,
-            updatedAt: new Date().toISOString()
-          });
-          
-          logger.info('Obtenida nueva URL para reanudar', { userId, trackId });
-        } catch (error) {
-          logger.error('Error al obtener URL para reanudar', { error, userId });
-          throw error;
-        }
-      }
-      
-      // Construir metadata para la reproducción
-      const metadata = {
-        title: playbackState.title,
-        artist: playbackState.artist,
-        token: playbackState.token || playbackState.trackId,
-        offsetInMilliseconds: offset
-      };
-      
-      // Si hay una lista de reproducción, incluirla
-      if (playbackState.trackList && typeof playbackState.currentIndex !== 'undefined') {
-        metadata.trackList = playbackState.trackList;
-        metadata.currentIndex = playbackState.currentIndex;
-      }
-      
-      // Añadir información del álbum si está disponible
-      if (playbackState.albumName) {
-        metadata.albumName = playbackState.albumName;
-      }
-      
-      // Actualizar timestamp de reanudación
-      await playbackPersistenceService.updateTrackState(userId, metadata.token, {
-        resumedAt: new Date().toISOString()
-      });
-      
-      return handlerInput.responseBuilder
-        .speak('Reanudando reproducción.')
-        .addAudioPlayerPlayDirective(
-          'REPLACE_ALL',
-          streamUrl,
-          metadata.token, // token
-          offset, // offsetInMilliseconds
-          null, // expectedPreviousToken
-          metadata // audioItemMetadata
-        )
-        .getResponse();
-    } catch (error) {
-      logger.error('Error en ResumeIntentHandler', { error });
-      
-      return handlerInput.responseBuilder
-        .speak('Lo siento, no pude reanudar la reproducción. ¿Quieres intentar reproducir algo más?')
-        .reprompt('¿Qué te gustaría escuchar?')
-        .getResponse();
-    }
+  handle(handlerInput) {
+    logger.info('Manejando ResumeIntent', { userId: getStateOwnerId(handlerInput) });
+    
+    return resumePlayback(handlerInput);
   }
 };
 
@@ -784,60 +994,45 @@ const NextIntentHandler = {
   },
   async handle(handlerInput) {
     try {
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      const playbackInfo = sessionAttributes.currentlyPlaying;
+      const userId = getStateOwnerId(handlerInput);
+      const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
       
-      if (!playbackInfo || !playbackInfo.trackList) {
+      if (!accessToken) {
         return handlerInput.responseBuilder
-          .speak('No hay una lista de reproducción activa para avanzar.')
+          .speak(t(handlerInput, 'linkAccount.control'))
+          .withLinkAccountCard()
           .getResponse();
       }
       
-      const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+      const result = await queueService.skip(userId, accessToken, 1);
       
-      if (!accessToken) {
+      if (result.status === 'noQueue') {
         return handlerInput.responseBuilder
-          .speak('Para controlar la reproducción, necesitas vincular tu cuenta de Tidal. He enviado un enlace a la aplicación de Alexa.')
-          .withLinkAccountCard()
+          .speak(t(handlerInput, 'queue.noQueueNext'))
           .getResponse();
       }
       
       // Verificar si hay una pista siguiente
-      const nextIndex = playbackInfo.currentIndex + 1;
-      if (nextIndex >= playbackInfo.trackList.length) {
+      if (result.status === 'endOfQueue') {
         return handlerInput.responseBuilder
-          .speak('Has llegado al final de la lista de reproducción.')
+          .speak(t(handlerInput, 'queue.endOfQueue'))
           .getResponse();
       }
       
-      // Reproducir la siguiente pista
-      const nextTrack = playbackInfo.trackList[nextIndex];
-      const streamUrl = await tidalService.getStreamUrl(accessToken, nextTrack.id);
-      
-      // Actualizar la información de reproducción
-      playbackInfo.currentIndex = nextIndex;
-      playbackInfo.title = nextTrack.title;
-      playbackInfo.artist = nextTrack.artist;
-      
-      sessionAttributes.currentlyPlaying = playbackInfo;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-      
-      return handlerInput.responseBuilder
-        .speak(`Reproduciendo ${nextTrack.title} de ${nextTrack.artist}`)
-        .addAudioPlayerPlayDirective(
-          'REPLACE_ALL',
-          streamUrl,
-          nextTrack.title, // token
-          0, // offsetInMilliseconds
-          null, // expectedPreviousToken
-          playbackInfo // audioItemMetadata
-        )
-        .getResponse();
+      addQueueTrackDirective(handlerInput.responseBuilder, result)
+        .speak(t(handlerInput, 'queue.playingTrack', {
+          title: result.track.title,
+          artist: result.track.artist
+        }));
+
+      await addNowPlayingScreen(handlerInput, { accessToken, userId, token: result.track.id });
+
+      return handlerInput.responseBuilder.getResponse();
     } catch (error) {
       logger.error('Error en NextIntentHandler', { error });
       
       return handlerInput.responseBuilder
-        .speak('Lo siento, ha ocurrido un error al intentar reproducir la siguiente pista.')
+        .speak(t(handlerInput, 'queue.nextError'))
         .getResponse();
     }
   }
@@ -854,65 +1049,73 @@ const PreviousIntentHandler = {
   },
   async handle(handlerInput) {
     try {
-      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
-      const playbackInfo = sessionAttributes.currentlyPlaying;
+      const userId = getStateOwnerId(handlerInput);
+      const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
       
-      if (!playbackInfo || !playbackInfo.trackList) {
+      if (!accessToken) {
         return handlerInput.responseBuilder
-          .speak('No hay una lista de reproducción activa para retroceder.')
+          .speak(t(handlerInput, 'linkAccount.control'))
+          .withLinkAccountCard()
           .getResponse();
       }
       
-      const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+      const result = await queueService.skip(userId, accessToken, -1);
       
-      if (!accessToken) {
+      if (result.status === 'noQueue') {
         return handlerInput.responseBuilder
-          .speak('Para controlar la reproducción, necesitas vincular tu cuenta de Tidal. He enviado un enlace a la aplicación de Alexa.')
-          .withLinkAccountCard()
+          .speak(t(handlerInput, 'queue.noQueuePrevious'))
           .getResponse();
       }
       
       // Verificar si hay una pista anterior
-      const prevIndex = playbackInfo.currentIndex - 1;
-      if (prevIndex < 0) {
+      if (result.status === 'startOfQueue') {
         return handlerInput.responseBuilder
-          .speak('Ya estás en la primera pista de la lista de reproducción.')
+          .speak(t(handlerInput, 'queue.startOfQueue'))
           .getResponse();
       }
       
-      // Reproducir la pista anterior
-      const prevTrack = playbackInfo.trackList[prevIndex];
-      const streamUrl = await tidalService.getStreamUrl(accessToken, prevTrack.id);
-      
-      // Actualizar la información de reproducción
-      playbackInfo.currentIndex = prevIndex;
-      playbackInfo.title = prevTrack.title;
-      playbackInfo.artist = prevTrack.artist;
-      
-      sessionAttributes.currentlyPlaying = playbackInfo;
-      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
-      
-      return handlerInput.responseBuilder
-        .speak(`Reproduciendo ${prevTrack.title} de ${prevTrack.artist}`)
-        .addAudioPlayerPlayDirective(
-          'REPLACE_ALL',
-          streamUrl,
-          prevTrack.title, // token
-          0, // offsetInMilliseconds
-          null, // expectedPreviousToken
-          playbackInfo // audioItemMetadata
-        )
-        .getResponse();
+      addQueueTrackDirective(handlerInput.responseBuilder, result)
+        .speak(t(handlerInput, 'queue.playingTrack', {
+          title: result.track.title,
+          artist: result.track.artist
+        }));
+
+      await addNowPlayingScreen(handlerInput, { accessToken, userId, token: result.track.id });
+
+      return handlerInput.responseBuilder.getResponse();
     } catch (error) {
       logger.error('Error en PreviousIntentHandler', { error });
       
       return handlerInput.responseBuilder
-        .speak('Lo siento, ha ocurrido un error al intentar reproducir la pista anterior.')
+        .speak(t(handlerInput, 'queue.previousError'))
         .getResponse();
     }
   }
 };
 
+/**
+ * Añade la directiva Play para una pista obtenida de la cola
+ * Compartido por los intents de voz y los eventos de PlaybackController
+ * @param {Object} responseBuilder - Constructor de respuestas de Alexa
+ * @param {Object} result - Resultado de queueService.skip
+ * @returns {Object} - El mismo responseBuilder para encadenar llamadas
+ */
+function addQueueTrackDirective(responseBuilder, result) {
+  return responseBuilder.addAudioPlayerPlayDirective(
+    'REPLACE_ALL',
+    result.streamUrl,
+    result.track.id, // token
+    0, // offsetInMilliseconds
+    null, // expectedPreviousToken
+    {
+      title: result.track.title,
+      artist: result.track.artist,
+      token: result.track.id,
+      currentIndex: result.index
+    } // audioItemMetadata
+  );
+}
+
 module.exports = {
   PlayMusicIntentHandler,
   SearchMusicIntentHandler,
@@ -920,5 +1123,10 @@ module.exports = {
   PauseIntentHandler,
   ResumeIntentHandler,
   NextIntentHandler,
-  PreviousIntentHandler
+  PreviousIntentHandler,
+  addQueueTrackDirective,
+  enqueueNextTrack,
+  playSelection,
+  resumePlayback,
+  getPlayErrorMessage
 };
\ No newline at end of file
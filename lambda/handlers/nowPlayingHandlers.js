@@ -0,0 +1,236 @@
+/**
+ * Manejador para preguntar qué está sonando
+ * Responde con los datos de la pista del dispositivo sin interrumpir el audio
+ */
+
+const logger = require('../utils/logger');
+const tidalService = require('../services/tidalService');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { supportsAPL, buildNowPlayingDirective } = require('../utils/apl');
+
+/**
+ * Formatea una duración en segundos para leerla en voz alta
+ * @param {Object} handlerInput - Input del handler
+ * @param {number} totalSeconds - Duración en segundos
+ * @returns {string} - Texto como "3 minutos y 25 segundos"
+ */
+function formatDuration(handlerInput, totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = Math.round(totalSeconds % 60);
+  const parts = [];
+
+  if (minutes > 0) {
+    const key = minutes === 1 ? 'duration.minute' : 'duration.minutes';
+    parts.push(t(handlerInput, key, { count: minutes }));
+  }
+
+  if (seconds > 0 || minutes === 0) {
+    const key = seconds === 1 ? 'duration.second' : 'duration.seconds';
+    parts.push(t(handlerInput, key, { count: seconds }));
+  }
+
+  return parts.join(` ${t(handlerInput, 'common.and')} `);
+}
+
+/**
+ * Extrae los datos a mostrar de los detalles de una pista de Tidal
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} details - Respuesta de tidalService.getTrackDetails
+ * @returns {Object} - Título, artistas, álbum, año, duración y portada
+ */
+function describeTrack(handlerInput, details) {
+  const artistNames = Array.isArray(details.artists) && details.artists.length > 0
+    ? details.artists.map(artist => artist.name)
+    : [details.artist && details.artist.name].filter(Boolean);
+  const album = details.album || {};
+  const releaseDate = album.releaseDate || details.streamStartDate;
+
+  return {
+    title: details.title,
+    artists: artistNames.join(', ').replace(/, ([^,]*)$/, ` ${t(handlerInput, 'common.and')} $1`),
+    albumName: album.title || null,
+    year: releaseDate ? new Date(releaseDate).getFullYear() : null,
+    duration: details.duration || null,
+    coverId: album.cover || null
+  };
+}
+
+/**
+ * Convierte los datos de una pista en los de la pantalla de reproducción
+ * @param {Object} track - Resultado de describeTrack
+ * @param {number} offsetInMilliseconds - Posición actual de la reproducción
+ * @returns {Object} - Datos para buildNowPlayingDirective
+ */
+function toScreenTrack(track, offsetInMilliseconds) {
+  return {
+    title: track.title,
+    artist: track.artists,
+    albumName: track.albumName,
+    albumArtUrl: tidalService.getImageUrl(track.coverId, 640),
+    durationInMilliseconds: track.duration ? track.duration * 1000 : 0,
+    offsetInMilliseconds
+  };
+}
+
+/**
+ * Añade la pantalla de reproducción a la respuesta si el dispositivo soporta APL
+ * La pantalla es un complemento: si falla, la respuesta sigue sin ella
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} params - accessToken, userId, token de la pista y offsetInMilliseconds
+ * @returns {Promise<Object>} - El responseBuilder para encadenar llamadas
+ */
+async function addNowPlayingScreen(handlerInput, params) {
+  const { accessToken, userId, token, offsetInMilliseconds = 0 } = params;
+
+  if (!supportsAPL(handlerInput) || !token) {
+    return handlerInput.responseBuilder;
+  }
+
+  try {
+    const details = await tidalService.getTrackDetails(accessToken, token, userId);
+
+    if (details && details.title) {
+      const track = toScreenTrack(describeTrack(handlerInput, details), offsetInMilliseconds);
+      handlerInput.responseBuilder.addDirective(buildNowPlayingDirective(handlerInput, track));
+    }
+  } catch (error) {
+    logger.error('Error al preparar la pantalla de reproducción', { error, userId, token });
+  }
+
+  return handlerInput.responseBuilder;
+}
+
+/**
+ * Manejador para el intent NowPlayingIntent
+ * Se activa cuando el usuario pregunta qué está sonando
+ */
+const NowPlayingIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'NowPlayingIntent';
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+    const audioPlayer = handlerInput.requestEnvelope.context.AudioPlayer;
+
+    logger.info('Manejando NowPlayingIntent', { userId });
+
+    if (!accessToken) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'linkAccount.tidal'))
+        .withLinkAccountCard()
+        .getResponse();
+    }
+
+    let playbackState = null;
+    try {
+      playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+    } catch (error) {
+      logger.error('Error al obtener estado de reproducción', { error, userId });
+    }
+
+    // El token del dispositivo manda: el estado persistido puede ir por detrás
+    const token = audioPlayer && audioPlayer.token
+      ? audioPlayer.token
+      : playbackState && (playbackState.token || playbackState.trackId);
+
+    if (!token) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'nowPlaying.nothing'))
+        .reprompt(t(handlerInput, 'common.playSuggestion'))
+        .getResponse();
+    }
+
+    if (playbackState && String(playbackState.token) !== String(token)) {
+      logger.info('El estado persistido no coincide con el dispositivo', {
+        userId,
+        deviceToken: token,
+        persistedToken: playbackState.token
+      });
+    }
+
+    try {
+      const details = await tidalService.getTrackDetails(accessToken, token, userId);
+
+      if (!details || !details.title) {
+        throw new Error('No se encontraron detalles de la pista');
+      }
+
+      const track = describeTrack(handlerInput, details);
+
+      let speechText = t(handlerInput, 'nowPlaying.track', { title: track.title });
+      let cardText = track.title;
+
+      if (track.artists) {
+        speechText += ` ${t(handlerInput, 'nowPlaying.byArtists', { artists: track.artists })}`;
+        cardText += `\n${t(handlerInput, 'play.cardBy', { artist: track.artists })}`;
+      }
+
+      if (track.albumName) {
+        speechText += `, ${t(handlerInput, 'nowPlaying.fromAlbum', { album: track.albumName })}`;
+        cardText += `\n${t(handlerInput, 'play.cardAlbum', { album: track.albumName })}`;
+      }
+
+      if (track.year) {
+        speechText += `, ${t(handlerInput, 'nowPlaying.fromYear', { year: track.year })}`;
+        cardText += ` (${track.year})`;
+      }
+
+      speechText += '.';
+
+      if (track.duration) {
+        const spokenDuration = formatDuration(handlerInput, track.duration);
+        speechText += ` ${t(handlerInput, 'nowPlaying.duration', { duration: spokenDuration })}`;
+        const seconds = String(track.duration % 60).padStart(2, '0');
+        const duration = `${Math.floor(track.duration / 60)}:${seconds}`;
+        cardText += `\n${t(handlerInput, 'nowPlaying.cardDuration', { duration })}`;
+      }
+
+      if (supportsAPL(handlerInput)) {
+        const offset = audioPlayer && audioPlayer.token === token
+          ? audioPlayer.offsetInMilliseconds
+          : 0;
+        handlerInput.responseBuilder
+          .addDirective(buildNowPlayingDirective(handlerInput, toScreenTrack(track, offset)));
+      }
+
+      return handlerInput.responseBuilder
+        .speak(speechText)
+        .withStandardCard(
+          t(handlerInput, 'nowPlaying.cardTitle'),
+          cardText,
+          tidalService.getImageUrl(track.coverId, 640),
+          tidalService.getImageUrl(track.coverId, 1280)
+        )
+        .getResponse();
+    } catch (error) {
+      logger.error('Error en NowPlayingIntentHandler', { error, userId, token });
+
+      // Si el estado persistido describe la misma pista, usarlo como respaldo
+      if (playbackState && String(playbackState.token) === String(token) && playbackState.title) {
+        const byArtist = playbackState.artist
+          ? ` ${t(handlerInput, 'nowPlaying.byArtists', { artists: playbackState.artist })}`
+          : '';
+        const title = t(handlerInput, 'nowPlaying.track', { title: playbackState.title });
+        const speechText = `${title}${byArtist}.`;
+
+        return handlerInput.responseBuilder
+          .speak(speechText)
+          .withSimpleCard(t(handlerInput, 'nowPlaying.cardTitle'), speechText)
+          .getResponse();
+      }
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'nowPlaying.error'))
+        .getResponse();
+    }
+  }
+};
+
+module.exports = {
+  NowPlayingIntentHandler,
+  addNowPlayingScreen
+};
@@ -0,0 +1,138 @@
+/**
+ * Manejadores para los eventos de PlaybackController
+ * Se activan con los botones físicos, la pantalla táctil o la barra de
+ * reproducción de la app de Alexa. Estas peticiones no admiten voz ni
+ * tarjetas, así que todas las respuestas contienen solo directivas
+ */
+
+const logger = require('../utils/logger');
+const { getStateOwnerId } = require('../utils/userContext');
+const queueService = require('../services/queueService');
+const { addQueueTrackDirective } = require('./musicHandlers');
+
+/**
+ * Manejador para PlaybackController.NextCommandIssued
+ * Reproduce la siguiente pista de la cola
+ */
+const PlaybackControllerNextHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'PlaybackController.NextCommandIssued';
+  },
+  handle(handlerInput) {
+    return handleSkipCommand(handlerInput, 1);
+  }
+};
+
+/**
+ * Manejador para PlaybackController.PreviousCommandIssued
+ * Reproduce la pista anterior de la cola
+ */
+const PlaybackControllerPreviousHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'PlaybackController.PreviousCommandIssued';
+  },
+  handle(handlerInput) {
+    return handleSkipCommand(handlerInput, -1);
+  }
+};
+
+/**
+ * Manejador para PlaybackController.PlayCommandIssued
+ * Reanuda la última reproducción en la posición guardada
+ */
+const PlaybackControllerPlayHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'PlaybackController.PlayCommandIssued';
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+    logger.info('Manejando PlaybackController.PlayCommandIssued', { userId });
+
+    if (!accessToken) {
+      logger.warn('No hay accessToken para reanudar desde PlaybackController', { userId });
+      return handlerInput.responseBuilder.getResponse();
+    }
+
+    try {
+      const resumePoint = await queueService.getResumePoint(userId, accessToken);
+
+      if (!resumePoint) {
+        logger.info('No hay nada para reanudar desde PlaybackController', { userId });
+        return handlerInput.responseBuilder.getResponse();
+      }
+
+      return handlerInput.responseBuilder
+        .addAudioPlayerPlayDirective(
+          'REPLACE_ALL',
+          resumePoint.streamUrl,
+          resumePoint.metadata.token, // token
+          resumePoint.offset, // offsetInMilliseconds
+          null, // expectedPreviousToken
+          resumePoint.metadata // audioItemMetadata
+        )
+        .getResponse();
+    } catch (error) {
+      logger.error('Error en PlaybackControllerPlayHandler', { error, userId });
+      return handlerInput.responseBuilder.getResponse();
+    }
+  }
+};
+
+/**
+ * Manejador para PlaybackController.PauseCommandIssued
+ * Detiene la reproducción; la posición se guarda en el evento PlaybackStopped
+ */
+const PlaybackControllerPauseHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'PlaybackController.PauseCommandIssued';
+  },
+  handle(handlerInput) {
+    return handlerInput.responseBuilder
+      .addAudioPlayerStopDirective()
+      .getResponse();
+  }
+};
+
+/**
+ * Avanza o retrocede en la cola respondiendo solo con la directiva Play
+ * @param {Object} handlerInput - Input del handler
+ * @param {number} step - Desplazamiento en la cola (1 siguiente, -1 anterior)
+ * @returns {Promise<Object>} - Respuesta sin voz
+ */
+async function handleSkipCommand(handlerInput, step) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+  logger.info('Manejando comando de PlaybackController', {
+    type: handlerInput.requestEnvelope.request.type,
+    userId
+  });
+
+  if (!accessToken) {
+    logger.warn('No hay accessToken para navegar desde PlaybackController', { userId });
+    return handlerInput.responseBuilder.getResponse();
+  }
+
+  try {
+    const result = await queueService.skip(userId, accessToken, step);
+
+    if (result.status !== 'ok') {
+      logger.info('No se puede navegar por la cola', { userId, status: result.status });
+      return handlerInput.responseBuilder.getResponse();
+    }
+
+    return addQueueTrackDirective(handlerInput.responseBuilder, result).getResponse();
+  } catch (error) {
+    logger.error('Error al navegar desde PlaybackController', { error, userId, step });
+    return handlerInput.responseBuilder.getResponse();
+  }
+}
+
+module.exports = {
+  PlaybackControllerNextHandler,
+  PlaybackControllerPreviousHandler,
+  PlaybackControllerPlayHandler,
+  PlaybackControllerPauseHandler
+};
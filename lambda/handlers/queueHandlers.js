@@ -0,0 +1,155 @@
+/**
+ * Manejadores para añadir música a la cola actual
+ * Permiten "añade X a la cola" y "pon X a continuación" sin interrumpir
+ * la pista que está sonando
+ */
+
+const logger = require('../utils/logger');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const queueService = require('../services/queueService');
+const musicResolverService = require('../services/musicResolverService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const {
+  PlayMusicIntentHandler,
+  enqueueNextTrack,
+  getPlayErrorMessage
+} = require('./musicHandlers');
+
+/**
+ * Manejador para el intent AddToQueueIntent
+ * Añade la canción, álbum, playlist o artista al final de la cola
+ */
+const AddToQueueIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'AddToQueueIntent';
+  },
+  handle(handlerInput) {
+    return handleQueueInsertion(handlerInput, 'end');
+  }
+};
+
+/**
+ * Manejador para el intent PlayNextIntent
+ * Inserta la música solicitada justo después de la pista actual
+ */
+const PlayNextIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'PlayNextIntent';
+  },
+  handle(handlerInput) {
+    return handleQueueInsertion(handlerInput, 'next');
+  }
+};
+
+/**
+ * Resuelve la música solicitada y la inserta en la cola persistida
+ * Si no hay nada en la cola se comporta como PlayMusicIntent
+ * @param {Object} handlerInput - Input del handler
+ * @param {string} position - 'end' o 'next'
+ * @returns {Promise<Object>} - Respuesta de Alexa
+ */
+async function handleQueueInsertion(handlerInput, position) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+  logger.info('Añadiendo música a la cola', { userId, position });
+
+  if (!accessToken) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'linkAccount.tidal'))
+      .withLinkAccountCard()
+      .getResponse();
+  }
+
+  try {
+    const playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+
+    // Sin cola activa no hay dónde añadir: reproducir directamente
+    if (!playbackState || !Array.isArray(playbackState.trackList) || playbackState.isComplete) {
+      logger.info('No hay cola activa, se reproduce directamente', { userId });
+      return PlayMusicIntentHandler.handle(handlerInput);
+    }
+
+    const slots = handlerInput.requestEnvelope.request.intent.slots;
+    let selection = await musicResolverService.resolve(accessToken, slots, userId);
+
+    if (!selection) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'queue.addNotUnderstood'))
+        .reprompt(t(handlerInput, 'queue.addExample'))
+        .getResponse();
+    }
+
+    // Añadir a la cola no pide confirmación: una coincidencia dudosa llega sin pistas
+    if (selection.confirmation) {
+      const { type, item } = selection.confirmation;
+      selection = await musicResolverService.resolveSearchResult(accessToken, type, item, userId);
+    }
+
+    const updatedState = await playbackPersistenceService.insertTracks(
+      userId,
+      selection.trackList,
+      position
+    );
+
+    const speechText = t(handlerInput, position === 'next' ? 'queue.playNext' : 'queue.added', {
+      label: t(handlerInput, selection.label)
+    });
+
+    handlerInput.responseBuilder.speak(speechText);
+
+    await refreshEnqueuedTrack(handlerInput, { userId, accessToken, playbackState: updatedState });
+
+    return handlerInput.responseBuilder.getResponse();
+  } catch (error) {
+    logger.error('Error al añadir música a la cola', { error, userId, position });
+
+    return handlerInput.responseBuilder
+      .speak(getPlayErrorMessage(handlerInput, error))
+      .reprompt(t(handlerInput, 'common.whatToPlay'))
+      .getResponse();
+  }
+}
+
+/**
+ * Sustituye la pista ya encolada en el AudioPlayer si la inserción ha
+ * cambiado cuál es la siguiente, para que la transición siga siendo continua
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} params - userId, accessToken y estado actualizado
+ * @returns {Promise<void>}
+ */
+async function refreshEnqueuedTrack(handlerInput, { userId, accessToken, playbackState }) {
+  const audioPlayer = handlerInput.requestEnvelope.context.AudioPlayer;
+
+  // Solo se puede encolar detrás de la pista que está sonando ahora
+  if (!audioPlayer || audioPlayer.playerActivity !== 'PLAYING' || !audioPlayer.token) {
+    return;
+  }
+
+  const playlist = await playbackPersistenceService.getPlaylist(userId);
+  const nextIndex = queueService.getAdjacentIndex(playlist, playlist.currentIndex, 1, true);
+  const nextTrack = nextIndex === -1 ? null : playlist.trackList[nextIndex];
+
+  if (!nextTrack || String(nextTrack.id) === String(playbackState.enqueuedToken)) {
+    return;
+  }
+
+  if (playbackState.enqueuedToken) {
+    handlerInput.responseBuilder.addAudioPlayerClearQueueDirective('CLEAR_ENQUEUED');
+  }
+
+  await enqueueNextTrack(handlerInput, {
+    userId,
+    accessToken,
+    token: audioPlayer.token,
+    playbackState
+  });
+}
+
+module.exports = {
+  AddToQueueIntentHandler,
+  PlayNextIntentHandler
+};
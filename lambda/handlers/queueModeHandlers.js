@@ -0,0 +1,103 @@
+/**
+ * Manejadores para los modos de reproducción de la cola
+ * Incluye reproducción aleatoria y repetición (de la cola o de la pista)
+ */
+
+const logger = require('../utils/logger');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+
+// Modo de repetición que activa cada intent
+const LOOP_INTENT_MODES = {
+  'AMAZON.LoopOnIntent': 'queue',
+  'AMAZON.LoopOffIntent': 'off',
+  'AMAZON.RepeatIntent': 'track'
+};
+
+// Confirmación por voz de cada modo de repetición
+const LOOP_MODE_SPEECH = {
+  queue: 'queueMode.loopQueue',
+  off: 'queueMode.loopOff',
+  track: 'queueMode.loopTrack'
+};
+
+/**
+ * Manejador para los intents AMAZON.ShuffleOnIntent y AMAZON.ShuffleOffIntent
+ * Activa o desactiva la reproducción aleatoria de la cola actual
+ */
+const ShuffleIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && (handlerInput.requestEnvelope.request.intent.name === 'AMAZON.ShuffleOnIntent'
+        || handlerInput.requestEnvelope.request.intent.name === 'AMAZON.ShuffleOffIntent');
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const enabled = handlerInput.requestEnvelope.request.intent.name === 'AMAZON.ShuffleOnIntent';
+
+    logger.info('Cambiando modo aleatorio', { userId, enabled });
+
+    try {
+      const state = await playbackPersistenceService.setShuffle(userId, enabled);
+
+      if (!state) {
+        return handlerInput.responseBuilder
+          .speak(t(handlerInput, 'queueMode.noQueueShuffle'))
+          .getResponse();
+      }
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, enabled ? 'queueMode.shuffleOn' : 'queueMode.shuffleOff'))
+        .getResponse();
+    } catch (error) {
+      logger.error('Error en ShuffleIntentHandler', { error, userId });
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'queueMode.error'))
+        .getResponse();
+    }
+  }
+};
+
+/**
+ * Manejador para los intents AMAZON.LoopOnIntent, AMAZON.LoopOffIntent y AMAZON.RepeatIntent
+ * Repite la cola completa, la pista actual o desactiva la repetición
+ */
+const LoopIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && Object.keys(LOOP_INTENT_MODES).includes(handlerInput.requestEnvelope.request.intent.name);
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const loopMode = LOOP_INTENT_MODES[handlerInput.requestEnvelope.request.intent.name];
+
+    logger.info('Cambiando modo de repetición', { userId, loopMode });
+
+    try {
+      const state = await playbackPersistenceService.setLoopMode(userId, loopMode);
+
+      if (!state) {
+        return handlerInput.responseBuilder
+          .speak(t(handlerInput, 'queueMode.nothingToRepeat'))
+          .getResponse();
+      }
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, LOOP_MODE_SPEECH[loopMode]))
+        .getResponse();
+    } catch (error) {
+      logger.error('Error en LoopIntentHandler', { error, userId });
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'queueMode.error'))
+        .getResponse();
+    }
+  }
+};
+
+module.exports = {
+  ShuffleIntentHandler,
+  LoopIntentHandler
+};
@@ -0,0 +1,74 @@
+/**
+ * Manejador para la radio de una pista o un artista
+ * Se activa con "pon más como esto" o "pon radio de Rosalía"
+ */
+
+const logger = require('../utils/logger');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const musicResolverService = require('../services/musicResolverService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { playSelection, getPlayErrorMessage } = require('./musicHandlers');
+
+/**
+ * Manejador para el intent PlayRadioIntent
+ * Usa el artista indicado o, si no hay, la pista que suena como semilla
+ */
+const PlayRadioIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'PlayRadioIntent';
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+    const audioPlayer = handlerInput.requestEnvelope.context.AudioPlayer;
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const artistName = slots && slots.artist && slots.artist.value ? slots.artist.value : null;
+
+    logger.info('Manejando PlayRadioIntent', { userId, artistName });
+
+    if (!accessToken) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'linkAccount.radio'))
+        .withLinkAccountCard()
+        .getResponse();
+    }
+
+    try {
+      let trackId = audioPlayer && audioPlayer.token ? audioPlayer.token : null;
+
+      // Sin artista ni audio en el dispositivo, usar la última pista guardada
+      if (!artistName && !trackId) {
+        const playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+        trackId = playbackState ? playbackState.token || playbackState.trackId : null;
+      }
+
+      if (!artistName && !trackId) {
+        return handlerInput.responseBuilder
+          .speak(t(handlerInput, 'radio.noSeed'))
+          .reprompt(t(handlerInput, 'radio.askArtist'))
+          .getResponse();
+      }
+
+      const selection = await musicResolverService.resolveRadio(
+        accessToken,
+        { trackId, artistName },
+        userId
+      );
+
+      return await playSelection(handlerInput, selection, { accessToken, userId });
+    } catch (error) {
+      logger.error('Error en PlayRadioIntentHandler', { error, userId, artistName });
+
+      return handlerInput.responseBuilder
+        .speak(getPlayErrorMessage(handlerInput, error))
+        .reprompt(t(handlerInput, 'common.whatToPlay'))
+        .getResponse();
+    }
+  }
+};
+
+module.exports = {
+  PlayRadioIntentHandler
+};
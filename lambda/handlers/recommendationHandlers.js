@@ -0,0 +1,51 @@
+/**
+ * Manejador para reproducir las recomendaciones personalizadas de Tidal
+ * Se activa con "pon algo que me guste" o "sorpréndeme"
+ */
+
+const logger = require('../utils/logger');
+const musicResolverService = require('../services/musicResolverService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { playSelection, getPlayErrorMessage } = require('./musicHandlers');
+
+/**
+ * Manejador para el intent PlayRecommendationsIntent
+ * Construye una cola con la sección de recomendaciones más relevante
+ */
+const PlayRecommendationsIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'PlayRecommendationsIntent';
+  },
+  async handle(handlerInput) {
+    const userId = getStateOwnerId(handlerInput);
+    const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+    logger.info('Manejando PlayRecommendationsIntent', { userId });
+
+    if (!accessToken) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'linkAccount.recommendations'))
+        .withLinkAccountCard()
+        .getResponse();
+    }
+
+    try {
+      const selection = await musicResolverService.resolveRecommendations(accessToken, userId);
+
+      return await playSelection(handlerInput, selection, { accessToken, userId });
+    } catch (error) {
+      logger.error('Error en PlayRecommendationsIntentHandler', { error, userId });
+
+      return handlerInput.responseBuilder
+        .speak(getPlayErrorMessage(handlerInput, error))
+        .reprompt(t(handlerInput, 'common.whatToPlay'))
+        .getResponse();
+    }
+  }
+};
+
+module.exports = {
+  PlayRecommendationsIntentHandler
+};
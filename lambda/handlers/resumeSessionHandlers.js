@@ -0,0 +1,184 @@
+/**
+ * Manejadores para continuar la última sesión al abrir la skill
+ * Si el dispositivo tiene una reproducción reciente sin terminar, la bienvenida
+ * pregunta si continuarla; "sí" la reanuda donde se quedó y "no" abre el menú
+ */
+
+const logger = require('../utils/logger');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { resumePlayback } = require('./musicHandlers');
+
+// Valor de pendingQuestion mientras se espera la respuesta a la oferta
+const RESUME_SESSION_QUESTION = 'resumeSession';
+
+// Antigüedad máxima de la última reproducción para ofrecer continuarla (12 horas)
+const RESUME_OFFER_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Obtiene la fecha de la última actividad registrada en un estado
+ * @param {Object} playbackState - Estado de reproducción
+ * @returns {number} - Milisegundos desde epoch o 0 si no consta ninguna
+ */
+function getLastActivity(playbackState) {
+  const dates = [
+    playbackState.updatedAt,
+    playbackState.pausedAt,
+    playbackState.resumedAt,
+    playbackState.errorTimestamp
+  ].map(date => Date.parse(date)).filter(time => !Number.isNaN(time));
+
+  return dates.length > 0 ? Math.max(...dates) : 0;
+}
+
+/**
+ * Obtiene la pista en la que se quedó un estado
+ * @param {Object} playbackState - Estado de reproducción
+ * @returns {Object} - Pista { title, artist }
+ */
+function getCurrentTrack(playbackState) {
+  const track = Array.isArray(playbackState.trackList)
+    ? playbackState.trackList[playbackState.currentIndex] || {}
+    : {};
+
+  return {
+    title: track.title || playbackState.title,
+    artist: track.artist || playbackState.artist
+  };
+}
+
+/**
+ * Olvida el error guardado para no repetirlo en la siguiente bienvenida
+ * @param {string} userId - ID del propietario del estado
+ * @param {Object} playbackState - Estado con el error
+ */
+async function clearStoredError(userId, playbackState) {
+  const cleanState = { ...playbackState };
+  delete cleanState.error;
+  delete cleanState.errorType;
+  delete cleanState.errorTimestamp;
+
+  try {
+    await playbackPersistenceService.savePlaybackState(userId, cleanState);
+  } catch (error) {
+    logger.warn('No se pudo limpiar el error de la última reproducción', { error, userId });
+  }
+}
+
+/**
+ * Prepara la oferta de continuar la última reproducción del usuario
+ * Avisa también del error que dejó una transición fallida del AudioPlayer.
+ * Un fallo aquí no debe impedir abrir la skill
+ * @param {Object} handlerInput - Input del handler
+ * @returns {Promise<Object|null>} - Aviso del error (notice) y pregunta para
+ *   continuar (question), cualquiera de ellos null; o null si no hay nada que decir
+ */
+async function getResumeOffer(handlerInput) {
+  const userId = getStateOwnerId(handlerInput);
+
+  try {
+    const playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+
+    if (!playbackState || Date.now() - getLastActivity(playbackState) > RESUME_OFFER_MAX_AGE_MS) {
+      return null;
+    }
+
+    let notice = null;
+    let question = null;
+
+    if (playbackState.error) {
+      logger.info('Avisando del error de la última reproducción', {
+        userId,
+        storedError: playbackState.error
+      });
+      notice = t(handlerInput, 'resumeSession.lastError');
+      await clearStoredError(userId, playbackState);
+    }
+
+    const { title, artist } = getCurrentTrack(playbackState);
+
+    if (!playbackState.isComplete && title) {
+      question = artist
+        ? t(handlerInput, 'resumeSession.offer', { title, artist })
+        : t(handlerInput, 'resumeSession.offerTitle', { title });
+
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.pendingQuestion = RESUME_SESSION_QUESTION;
+      handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+    }
+
+    return notice || question ? { notice, question } : null;
+  } catch (error) {
+    logger.warn('No se pudo preparar la oferta de continuar', { error, userId });
+    return null;
+  }
+}
+
+/**
+ * Indica si la sesión está esperando la respuesta a la oferta de continuar
+ * @param {Object} handlerInput - Input del handler
+ * @returns {boolean} - true si se ofreció continuar la última reproducción
+ */
+function isAwaitingResumeAnswer(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+
+  return sessionAttributes.pendingQuestion === RESUME_SESSION_QUESTION;
+}
+
+/**
+ * Olvida la oferta pendiente para que no afecte a otras preguntas
+ * @param {Object} handlerInput - Input del handler
+ */
+function clearResumeQuestion(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+
+  sessionAttributes.pendingQuestion = null;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+/**
+ * Manejador para AMAZON.YesIntent tras la oferta de continuar
+ * Reanuda la última reproducción en el punto guardado
+ */
+const ResumeSessionYesIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.YesIntent'
+      && isAwaitingResumeAnswer(handlerInput);
+  },
+  handle(handlerInput) {
+    logger.info('Aceptada la oferta de continuar', { userId: getStateOwnerId(handlerInput) });
+
+    clearResumeQuestion(handlerInput);
+
+    return resumePlayback(handlerInput);
+  }
+};
+
+/**
+ * Manejador para AMAZON.NoIntent tras la oferta de continuar
+ * Abre el menú normal para elegir qué escuchar
+ */
+const ResumeSessionNoIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.NoIntent'
+      && isAwaitingResumeAnswer(handlerInput);
+  },
+  handle(handlerInput) {
+    clearResumeQuestion(handlerInput);
+
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'resumeSession.declined'))
+      .reprompt(t(handlerInput, 'launch.reprompt'))
+      .getResponse();
+  }
+};
+
+module.exports = {
+  ResumeSessionYesIntentHandler,
+  ResumeSessionNoIntentHandler,
+  getResumeOffer,
+  isAwaitingResumeAnswer
+};
@@ -0,0 +1,185 @@
+/**
+ * Manejadores para el diálogo que sigue a una búsqueda
+ * Tras SearchMusicIntent el usuario puede elegir un resultado ("la canción",
+ * "el segundo"), aceptar el primero ("sí") o rechazarlos ("no")
+ */
+
+const logger = require('../utils/logger');
+const musicResolverService = require('../services/musicResolverService');
+const { getResolvedSlotId } = require('../utils/slotValues');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+const { playSelection, getPlayErrorMessage } = require('./musicHandlers');
+
+// Valor de pendingQuestion mientras se esperan los resultados de búsqueda
+const SEARCH_RESULTS_QUESTION = 'searchResults';
+
+/**
+ * Indica si la sesión está esperando que el usuario elija un resultado
+ * @param {Object} handlerInput - Input del handler
+ * @returns {boolean} - true si hay resultados pendientes de elegir
+ */
+function isAwaitingSearchChoice(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+
+  return sessionAttributes.pendingQuestion === SEARCH_RESULTS_QUESTION
+    && Array.isArray(sessionAttributes.lastSearchOptions)
+    && sessionAttributes.lastSearchOptions.length > 0;
+}
+
+/**
+ * Elige una de las opciones ofrecidas según el tipo o la posición indicada
+ * @param {Array} options - Opciones guardadas por SearchMusicIntentHandler
+ * @param {string} resultType - 'track', 'album', 'artist' o 'playlist' (opcional)
+ * @param {string} ordinal - Posición ('1' a '12' o 'last') (opcional)
+ * @returns {Object|null} - Opción elegida o null si no corresponde a ninguna
+ */
+function pickOption(options, resultType, ordinal) {
+  if (resultType) {
+    return options.find(option => option.type === resultType) || null;
+  }
+
+  if (ordinal === 'last') {
+    return options[options.length - 1];
+  }
+
+  const position = Number(ordinal);
+
+  return Number.isInteger(position) && position >= 1 ? options[position - 1] || null : null;
+}
+
+/**
+ * Olvida los resultados pendientes para que no afecten a otras preguntas
+ * @param {Object} handlerInput - Input del handler
+ */
+function clearSearchChoice(handlerInput) {
+  const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+
+  delete sessionAttributes.lastSearchOptions;
+  sessionAttributes.pendingQuestion = null;
+  handlerInput.attributesManager.setSessionAttributes(sessionAttributes);
+}
+
+/**
+ * Reproduce la opción elegida por el mismo camino que PlayMusicIntent
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} option - Opción elegida ({ type, item })
+ * @returns {Promise<Object>} - Respuesta de Alexa
+ */
+async function playOption(handlerInput, option) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+  logger.info('Reproduciendo resultado de búsqueda elegido', { userId, type: option.type });
+
+  if (!accessToken) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'linkAccount.play'))
+      .withLinkAccountCard()
+      .getResponse();
+  }
+
+  try {
+    const selection = await musicResolverService.resolveSearchResult(
+      accessToken,
+      option.type,
+      option.item,
+      userId
+    );
+
+    clearSearchChoice(handlerInput);
+
+    return await playSelection(handlerInput, selection, { accessToken, userId });
+  } catch (error) {
+    logger.error('Error al reproducir el resultado de búsqueda', { error, userId });
+
+    return handlerInput.responseBuilder
+      .speak(getPlayErrorMessage(handlerInput, error))
+      .reprompt(t(handlerInput, 'searchDialog.choiceReprompt'))
+      .getResponse();
+  }
+}
+
+/**
+ * Manejador para el intent SelectSearchResultIntent
+ * Se activa con "la canción", "el álbum" o "el segundo" tras una búsqueda
+ */
+const SelectSearchResultIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'SelectSearchResultIntent';
+  },
+  handle(handlerInput) {
+    if (!isAwaitingSearchChoice(handlerInput)) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'searchDialog.noResults'))
+        .reprompt(t(handlerInput, 'searchDialog.noResultsReprompt'))
+        .getResponse();
+    }
+
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const { lastSearchOptions } = handlerInput.attributesManager.getSessionAttributes();
+    const option = pickOption(
+      lastSearchOptions,
+      getResolvedSlotId(slots && slots.resultType),
+      getResolvedSlotId(slots && slots.ordinal)
+    );
+
+    if (!option) {
+      const reprompt = t(handlerInput, 'searchDialog.choiceReprompt');
+
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'searchDialog.notUnderstood', { reprompt }))
+        .reprompt(reprompt)
+        .getResponse();
+    }
+
+    return playOption(handlerInput, option);
+  }
+};
+
+/**
+ * Manejador para AMAZON.YesIntent tras una búsqueda
+ * Reproduce el primer resultado ofrecido
+ */
+const SearchResultYesIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.YesIntent'
+      && isAwaitingSearchChoice(handlerInput);
+  },
+  handle(handlerInput) {
+    const { lastSearchOptions } = handlerInput.attributesManager.getSessionAttributes();
+
+    return playOption(handlerInput, lastSearchOptions[0]);
+  }
+};
+
+/**
+ * Manejador para AMAZON.NoIntent tras una búsqueda
+ * Descarta los resultados y cierra la sesión
+ */
+const SearchResultNoIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.NoIntent'
+      && isAwaitingSearchChoice(handlerInput);
+  },
+  handle(handlerInput) {
+    clearSearchChoice(handlerInput);
+
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'searchDialog.declined'))
+      .withShouldEndSession(true)
+      .getResponse();
+  }
+};
+
+module.exports = {
+  SelectSearchResultIntentHandler,
+  SearchResultYesIntentHandler,
+  SearchResultNoIntentHandler,
+  isAwaitingSearchChoice,
+  pickOption,
+  playOption
+};
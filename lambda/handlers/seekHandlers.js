@@ -0,0 +1,178 @@
+/**
+ * Manejadores para moverse dentro de la pista actual
+ * Incluye adelantar, retroceder, ir a un minuto concreto y volver a empezar
+ */
+
+const logger = require('../utils/logger');
+const queueService = require('../services/queueService');
+const { t } = require('../utils/i18n');
+const { getStateOwnerId } = require('../utils/userContext');
+
+// Salto por defecto cuando no se indica duración (30 segundos)
+const DEFAULT_SKIP_MS = 30 * 1000;
+
+/**
+ * Convierte una duración ISO 8601 (valor del slot AMAZON.DURATION) a milisegundos
+ * @param {string} value - Duración, por ejemplo "PT30S" o "PT1M30S"
+ * @returns {number|null} - Milisegundos o null si el valor no es válido
+ */
+function parseDuration(value) {
+  const match = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(value || '');
+
+  if (!match || (!match[1] && !match[2] && !match[3])) {
+    return null;
+  }
+
+  const hours = Number(match[1] || 0);
+  const minutes = Number(match[2] || 0);
+  const seconds = Number(match[3] || 0);
+
+  return Math.round(((hours * 3600) + (minutes * 60) + seconds) * 1000);
+}
+
+/**
+ * Obtiene el valor numérico de un slot AMAZON.NUMBER
+ * @param {Object} slots - Slots del intent
+ * @param {string} name - Nombre del slot
+ * @returns {number|null} - Valor o null si no se indicó
+ */
+function getNumberSlot(slots, name) {
+  const value = slots && slots[name] ? Number(slots[name].value) : NaN;
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Manejador para el intent SkipForwardIntent
+ * Adelanta la pista actual ("adelanta 30 segundos")
+ */
+const SkipForwardIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'SkipForwardIntent';
+  },
+  handle(handlerInput) {
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const delta = parseDuration(slots && slots.duration && slots.duration.value) || DEFAULT_SKIP_MS;
+
+    return handleSeek(handlerInput, { deltaInMilliseconds: delta });
+  }
+};
+
+/**
+ * Manejador para el intent SkipBackwardIntent
+ * Retrocede en la pista actual ("retrocede un minuto")
+ */
+const SkipBackwardIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'SkipBackwardIntent';
+  },
+  handle(handlerInput) {
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const delta = parseDuration(slots && slots.duration && slots.duration.value) || DEFAULT_SKIP_MS;
+
+    return handleSeek(handlerInput, { deltaInMilliseconds: -delta });
+  }
+};
+
+/**
+ * Manejador para el intent SeekToIntent
+ * Salta a una posición concreta de la pista ("ve al minuto 3")
+ */
+const SeekToIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'SeekToIntent';
+  },
+  handle(handlerInput) {
+    const { slots } = handlerInput.requestEnvelope.request.intent;
+    const minutes = getNumberSlot(slots, 'minutes');
+    const seconds = getNumberSlot(slots, 'seconds');
+
+    if (minutes === null && seconds === null) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'seek.notUnderstood'))
+        .reprompt(t(handlerInput, 'seek.example'))
+        .getResponse();
+    }
+
+    const offset = (((minutes || 0) * 60) + (seconds || 0)) * 1000;
+
+    return handleSeek(handlerInput, { offsetInMilliseconds: offset });
+  }
+};
+
+/**
+ * Manejador para el intent AMAZON.StartOverIntent
+ * Vuelve a reproducir la pista actual desde el principio
+ */
+const StartOverIntentHandler = {
+  canHandle(handlerInput) {
+    return handlerInput.requestEnvelope.request.type === 'IntentRequest'
+      && handlerInput.requestEnvelope.request.intent.name === 'AMAZON.StartOverIntent';
+  },
+  handle(handlerInput) {
+    return handleSeek(handlerInput, { offsetInMilliseconds: 0 });
+  }
+};
+
+/**
+ * Reproduce la pista actual desde la nueva posición
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} options - Posición absoluta o relativa para queueService.seek
+ * @returns {Promise<Object>} - Respuesta con la directiva de reproducción
+ */
+async function handleSeek(handlerInput, options) {
+  const userId = getStateOwnerId(handlerInput);
+  const accessToken = handlerInput.requestEnvelope.context.System.user.accessToken;
+
+  logger.info('Manejando cambio de posición', {
+    userId,
+    intent: handlerInput.requestEnvelope.request.intent.name
+  });
+
+  if (!accessToken) {
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'linkAccount.music'))
+      .withLinkAccountCard()
+      .getResponse();
+  }
+
+  try {
+    const seekPoint = await queueService.seek(userId, accessToken, {
+      ...options,
+      audioPlayer: handlerInput.requestEnvelope.context.AudioPlayer
+    });
+
+    if (!seekPoint) {
+      return handlerInput.responseBuilder
+        .speak(t(handlerInput, 'seek.nothingPlaying'))
+        .reprompt(t(handlerInput, 'common.playSuggestion'))
+        .getResponse();
+    }
+
+    return handlerInput.responseBuilder
+      .addAudioPlayerPlayDirective(
+        'REPLACE_ALL',
+        seekPoint.streamUrl,
+        seekPoint.metadata.token, // token
+        seekPoint.offset, // offsetInMilliseconds
+        null, // expectedPreviousToken
+        seekPoint.metadata // audioItemMetadata
+      )
+      .getResponse();
+  } catch (error) {
+    logger.error('Error al cambiar la posición de reproducción', { error, userId });
+
+    return handlerInput.responseBuilder
+      .speak(t(handlerInput, 'seek.error'))
+      .getResponse();
+  }
+}
+
+module.exports = {
+  SkipForwardIntentHandler,
+  SkipBackwardIntentHandler,
+  SeekToIntentHandler,
+  StartOverIntentHandler
+};
@@ -0,0 +1,277 @@
+/**
+ * Catálogo de mensajes en inglés (Estados Unidos)
+ * Debe tener las mismas claves que es-ES.js
+ */
+
+module.exports = {
+  common: {
+    skillName: 'Tidal Music',
+    whatToPlay: 'What would you like to listen to?',
+    playSuggestion: 'You can ask me to play a song, album or playlist.',
+    and: 'and'
+  },
+
+  linkAccount: {
+    generic: 'To use this skill you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app so you can do it.',
+    tidal: 'To use Tidal, you need to link your account. I\'ve sent a link to the Alexa app.',
+    play: 'To play music from Tidal, you need to link your account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    search: 'To search for music on Tidal, you need to link your account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    resume: 'To resume the music, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    control: 'To control playback, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    music: 'To control the music, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    collection: 'To play your collection, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    favorites: 'To manage your collection, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    radio: 'To listen to radio, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.',
+    recommendations: 'To get recommendations, you need to link your Tidal account. ' +
+      'I\'ve sent a link to the Alexa app.'
+  },
+
+  launch: {
+    linkAccount: 'Welcome to Tidal Music. To use this skill, you need to link your Tidal ' +
+      'account. I\'ve sent a link to the Alexa app so you can do it.',
+    welcome: 'Welcome to Tidal Music. You can ask me to play your favorite songs, albums or ' +
+      'playlists.',
+    welcomeName: 'Hi {name}! Welcome to Tidal Music. ' +
+      'You can ask me to play your favorite songs, albums or playlists.',
+    welcomeShort: 'Welcome to Tidal Music. What would you like to listen to today?',
+    welcomeBrief: 'Welcome to Tidal Music.',
+    suggestion: 'Today I suggest {title}. Say "surprise me" to listen to it.',
+    reprompt: 'What would you like to listen to today?',
+    fallbackReprompt: 'You can ask me to play a song, an album or a playlist.',
+    cardTitle: 'Welcome to Tidal Music',
+    sessionExpired: 'It looks like your Tidal session has expired. ' +
+      'I\'ve sent a link to the Alexa app so you can link your account again.',
+    error: 'Something went wrong while starting Tidal Music. Please try again later.',
+    errorCard: 'Something went wrong while starting the skill. Please try again.'
+  },
+
+  help: {
+    speech: 'You can ask me to play songs, albums or playlists from Tidal. ' +
+      'For example, say "play Suicide machine" or "search for songs by Death".',
+    cardTitle: 'Help - Tidal Music'
+  },
+
+  goodbye: {
+    speech: 'See you soon!'
+  },
+
+  error: {
+    speech: 'Sorry, something went wrong. Please try again.',
+    cardTitle: 'Error - Tidal Music'
+  },
+
+  play: {
+    playing: 'Playing {label}',
+    cardTitle: 'Tidal Music - Now playing',
+    cardBy: 'By: {artist}',
+    cardAlbum: 'Album: {album}',
+    notUnderstood: 'I didn\'t understand what you want to play. ' +
+      'Please name a song, artist, album or playlist.',
+    askWhat: 'I didn\'t understand what you want to play. ' +
+      'Which song, artist, album or playlist would you like?',
+    example: 'You can say, for example, "play Despacito" or "play music by Rosalía".',
+    songOrAlbum: 'Do you want the song {song} or the album {album}?',
+    foundAs: 'I found {query} as {types}.',
+    foundAsSeparator: ' and as ',
+    whichType: 'The song, the album or the artist?',
+    confirmQuestion: 'Do you want to listen to {label}?',
+    notSure: 'I\'m not sure I found it. {question}'
+  },
+
+  musicTypes: {
+    track: 'a song',
+    album: 'an album',
+    artist: 'an artist'
+  },
+
+  playErrors: {
+    generic: 'Sorry, something went wrong while trying to play the music.',
+    trackNotFound: 'I couldn\'t find that song. Could you try another one?',
+    albumNotFound: 'I couldn\'t find that album. Could you try another one?',
+    playlistNotFound: 'I couldn\'t find that playlist. Could you try another one?',
+    artistNotFound: 'I couldn\'t find that artist. Could you try another one?',
+    noRadioTracks: 'I couldn\'t build a radio station from that. ' +
+      'Do you want to try another artist?',
+    noRecommendations: 'I don\'t have any recommendations for you right now. ' +
+      'What would you like to listen to?',
+    emptyCollection: 'You don\'t have anything saved there in your Tidal collection yet. ' +
+      'Do you want to listen to something else?'
+  },
+
+  labels: {
+    track: '{title} by {artist}',
+    album: 'the album {title} by {artist}',
+    artist: 'music by {name}',
+    playlist: 'the playlist {title}',
+    userPlaylist: 'your playlist {title}',
+    collectionTracks: 'your favorite songs',
+    collectionAlbums: 'your saved albums',
+    collectionArtists: 'music from your favorite artists',
+    recommendations: 'your mix {title}',
+    recommendationPlaylist: 'your mix {section}: {title}',
+    artistRadio: '{name} radio',
+    trackRadio: 'music like {title}'
+  },
+
+  search: {
+    askTerm: 'I didn\'t understand what you want to search for. ' +
+      'Please tell me which song, artist, album or playlist you\'d like to find.',
+    reprompt: 'What would you like to search for?',
+    foundTrack: 'I found the song "{title}" by {artist}.',
+    foundArtist: 'I found the artist {name}.',
+    foundAlbum: 'I found the album "{title}" by {artist}.',
+    cardTrack: 'Song: {title} - {artist}',
+    cardArtist: 'Artist: {name}',
+    cardAlbum: 'Album: {title} - {artist}',
+    noResults: 'I didn\'t find any results for "{term}". Try a different search.',
+    noResultsCard: 'No results found',
+    askPlay: 'Do you want me to play one of these results?',
+    askPlayReprompt: 'Do you want me to play one of these results? ' +
+      'You can say, for example, "play the song" or "play the artist".',
+    cardTitle: 'Search results',
+    listFound: 'I found {count} results for "{term}". ' +
+      'Touch one on the screen or tell me which one you want, for example "the third one".',
+    listReprompt: 'Which one would you like to hear? ' +
+      'You can touch it on the screen or say, for example, "the second one".',
+    error: 'Sorry, something went wrong while searching for music. Please try again.'
+  },
+
+  searchDialog: {
+    choiceReprompt: 'Which one should I play? ' +
+      'You can say "the song", "the album" or "the second one".',
+    notUnderstood: 'I didn\'t understand which one you want. {reprompt}',
+    noResults: 'I don\'t have any recent search results. What should I search for?',
+    noResultsReprompt: 'You can say, for example, "search for songs by Bad Bunny".',
+    declined: 'Okay. Whenever you want to listen to something, just ask.'
+  },
+
+  resume: {
+    resuming: 'Resuming playback.',
+    nothing: 'There\'s nothing to resume. What would you like to listen to?',
+    error: 'Sorry, I couldn\'t resume playback. Do you want to try playing something else?'
+  },
+
+  resumeSession: {
+    offer: 'Last time you were listening to {title} by {artist}. Do you want to continue?',
+    offerTitle: 'Last time you were listening to {title}. Do you want to continue?',
+    reprompt: 'Do you want to continue where you left off?',
+    lastError: 'Last time I couldn\'t play the next song.',
+    declined: 'Okay. You can ask me to play a song, an album or a playlist. ' +
+      'What would you like to listen to?'
+  },
+
+  devices: {
+    askName: 'What is this device called? For example, "this speaker is the kitchen".',
+    named: 'Done, from now on I\'ll call this device {room}.',
+    nameError: 'Sorry, I couldn\'t save the name of this device.',
+    transferred: 'Continuing here what was playing in {room}.',
+    unknownRoom: 'I don\'t know any device called {room}. ' +
+      'Name it by saying there "this speaker is the {room}".',
+    nothingInRoom: 'There\'s nothing to continue from {room}.',
+    nothingElsewhere: 'Nothing is playing on another device.',
+    sameDevice: 'That was already playing on this device. Say "resume" to continue.',
+    transferError: 'Sorry, I couldn\'t bring the music to this device.'
+  },
+
+  queue: {
+    playingTrack: 'Playing {title} by {artist}',
+    noQueueNext: 'There\'s no active queue to skip forward in.',
+    endOfQueue: 'You\'ve reached the end of the queue.',
+    nextError: 'Sorry, something went wrong while trying to play the next track.',
+    noQueuePrevious: 'There\'s no active queue to go back in.',
+    startOfQueue: 'You\'re already on the first track of the queue.',
+    previousError: 'Sorry, something went wrong while trying to play the previous track.',
+    addNotUnderstood: 'I didn\'t understand what you want to add. ' +
+      'Please name a song, artist, album or playlist.',
+    addExample: 'You can say, for example, "add Despacito to the queue".',
+    playNext: 'After this song you\'ll hear {label}.',
+    added: 'I\'ve added {label} to the queue.'
+  },
+
+  queueMode: {
+    noQueueShuffle: 'There\'s no active queue to shuffle.',
+    shuffleOn: 'Shuffle on.',
+    shuffleOff: 'Shuffle off.',
+    nothingToRepeat: 'Nothing is playing that I can repeat.',
+    loopQueue: 'I\'ll repeat the queue when it ends.',
+    loopOff: 'Repeat off.',
+    loopTrack: 'I\'ll repeat this song.',
+    error: 'Sorry, I couldn\'t change the playback mode.'
+  },
+
+  seek: {
+    notUnderstood: 'I didn\'t understand which minute you want to go to.',
+    example: 'You can say, for example, "go to minute 3".',
+    nothingPlaying: 'No song is playing. What would you like to listen to?',
+    error: 'Sorry, I couldn\'t change the position in the song.'
+  },
+
+  nowPlaying: {
+    nothing: 'Nothing is playing right now. What would you like to listen to?',
+    track: 'This is {title}',
+    byArtists: 'by {artists}',
+    fromAlbum: 'from the album {album}',
+    fromYear: 'from {year}',
+    duration: 'It lasts {duration}.',
+    cardTitle: 'Tidal Music - Now playing',
+    cardDuration: 'Duration: {duration}',
+    error: 'Sorry, I couldn\'t find out what\'s playing.'
+  },
+
+  duration: {
+    minute: '{count} minute',
+    minutes: '{count} minutes',
+    second: '{count} second',
+    seconds: '{count} seconds'
+  },
+
+  favorites: {
+    liked: 'I\'ve added {title} to your favorite songs.',
+    likedGeneric: 'I\'ve added this song to your favorites.',
+    unliked: 'I\'ve removed {title} from your favorite songs.',
+    unlikedGeneric: 'I\'ve removed this song from your favorites.',
+    albumSaved: 'I\'ve saved the album {title} to your collection.',
+    nothingPlaying: 'Nothing is playing right now. Ask me while the song is playing.',
+    error: 'Sorry, I couldn\'t update your Tidal collection.'
+  },
+
+  radio: {
+    noSeed: 'I don\'t know what to base the radio on. ' +
+      'Tell me an artist, for example "play Rosalía radio".',
+    askArtist: 'Which artist do you want radio for?'
+  },
+
+  display: {
+    nowPlaying: 'Now playing',
+    previous: 'Previous',
+    next: 'Next',
+    like: 'Like',
+    searchSubtitle: '"{term}"',
+    track: 'Song · {artist}',
+    album: 'Album · {artist}',
+    artist: 'Artist',
+    playlist: 'Playlist'
+  },
+
+  monitoring: {
+    devOnly: 'This feature is only available in development environments.',
+    stats: 'Environment: {environment}. Cache: {cacheState}. Hit rate: {hitRate}%. ' +
+      'Total requests: {totalRequests}. Hits: {hits}. Misses: {misses}. Size: ' +
+      '{size} entries in {namespaces} namespaces.',
+    cacheEnabled: 'enabled',
+    cacheDisabled: 'disabled',
+    cardTitle: 'Diagnostics',
+    cacheTypeCleared: '{cacheType} cache cleared.',
+    cacheCleared: 'The whole cache has been cleared.',
+    clearError: 'Something went wrong while clearing the cache.'
+  }
+};
@@ -0,0 +1,276 @@
+/**
+ * Catálogo de mensajes en español (España)
+ * Es el idioma por defecto: cualquier clave que falte en otro catálogo se toma de aquí
+ * Los valores entre llaves ({title}) se sustituyen por los parámetros del mensaje
+ */
+
+module.exports = {
+  common: {
+    skillName: 'Tidal Música',
+    whatToPlay: '¿Qué te gustaría escuchar?',
+    playSuggestion: 'Puedes pedirme que reproduzca una canción, álbum o playlist.',
+    and: 'y'
+  },
+
+  linkAccount: {
+    generic: 'Para usar esta skill necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa para que puedas hacerlo.',
+    tidal: 'Para usar Tidal, necesitas vincular tu cuenta. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    play: 'Para reproducir música de Tidal, necesitas vincular tu cuenta. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    search: 'Para buscar música en Tidal, necesitas vincular tu cuenta. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    resume: 'Para reanudar la música, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    control: 'Para controlar la reproducción, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    music: 'Para controlar la música, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    collection: 'Para reproducir tu colección, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    favorites: 'Para gestionar tu colección, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    radio: 'Para escuchar la radio, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.',
+    recommendations: 'Para recibir recomendaciones, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa.'
+  },
+
+  launch: {
+    linkAccount: 'Bienvenido a Tidal Música. ' +
+      'Para utilizar esta skill, necesitas vincular tu cuenta de Tidal. ' +
+      'He enviado un enlace a la aplicación de Alexa para que puedas hacerlo.',
+    welcome: 'Bienvenido a Tidal Música. ' +
+      'Puedes pedirme que reproduzca tus canciones, álbumes o playlists favoritos.',
+    welcomeName: 'Hola {name}! Bienvenido a Tidal Música. ' +
+      'Puedes pedirme que reproduzca tus canciones, álbumes o playlists favoritos.',
+    welcomeShort: 'Bienvenido a Tidal Música. ¿Qué te gustaría escuchar hoy?',
+    welcomeBrief: 'Bienvenido a Tidal Música.',
+    suggestion: 'Hoy te sugiero {title}. Di "sorpréndeme" para escucharlo.',
+    reprompt: '¿Qué te gustaría escuchar hoy?',
+    fallbackReprompt: 'Puedes pedirme que reproduzca una canción, un álbum o una playlist.',
+    cardTitle: 'Bienvenido a Tidal Música',
+    sessionExpired: 'Parece que tu sesión de Tidal ha expirado. ' +
+      'He enviado un enlace a la aplicación de Alexa para que puedas volver a vincular tu cuenta.',
+    error: 'Ha ocurrido un error al iniciar Tidal Música. Por favor, inténtalo de nuevo más tarde.',
+    errorCard: 'Ha ocurrido un error al iniciar la skill. Por favor, inténtalo de nuevo.'
+  },
+
+  help: {
+    speech: 'Puedes pedirme que reproduzca canciones, álbumes o playlists de Tidal. ' +
+      'Por ejemplo, di "reproduce Suicide machine" o "busca canciones de Death".',
+    cardTitle: 'Ayuda - Tidal Música'
+  },
+
+  goodbye: {
+    speech: 'Hasta pronto!'
+  },
+
+  error: {
+    speech: 'Lo siento, ha ocurrido un error. Por favor, inténtalo de nuevo.',
+    cardTitle: 'Error - Tidal Música'
+  },
+
+  play: {
+    playing: 'Reproduciendo {label}',
+    cardTitle: 'Tidal Música - Reproduciendo',
+    cardBy: 'Por: {artist}',
+    cardAlbum: 'Álbum: {album}',
+    notUnderstood: 'No entendí qué quieres reproducir. ' +
+      'Por favor, especifica una canción, artista, álbum o playlist.',
+    askWhat: 'No entendí qué quieres reproducir. ¿Qué canción, artista, álbum o playlist quieres?',
+    example: 'Puedes decir, por ejemplo, "reproduce Despacito" o "pon música de Rosalía".',
+    songOrAlbum: '¿Quieres la canción {song} o el álbum {album}?',
+    foundAs: 'He encontrado {query} como {types}.',
+    foundAsSeparator: ' y como ',
+    whichType: '¿La canción, el álbum o el artista?',
+    confirmQuestion: '¿Quieres escuchar {label}?',
+    notSure: 'No estoy seguro de haberlo encontrado. {question}'
+  },
+
+  musicTypes: {
+    track: 'canción',
+    album: 'álbum',
+    artist: 'artista'
+  },
+
+  playErrors: {
+    generic: 'Lo siento, ha ocurrido un error al intentar reproducir la música.',
+    trackNotFound: 'No he podido encontrar esa canción. ¿Podrías intentar con otra?',
+    albumNotFound: 'No he podido encontrar ese álbum. ¿Podrías intentar con otro?',
+    playlistNotFound: 'No he podido encontrar esa playlist. ¿Podrías intentar con otra?',
+    artistNotFound: 'No he podido encontrar ese artista. ¿Podrías intentar con otro?',
+    noRadioTracks: 'No he podido crear una radio con eso. ¿Quieres probar con otro artista?',
+    noRecommendations: 'Ahora mismo no tengo recomendaciones para ti. ¿Qué te gustaría escuchar?',
+    emptyCollection: 'Todavía no tienes nada guardado ahí en tu colección de Tidal. ' +
+      '¿Quieres escuchar otra cosa?'
+  },
+
+  labels: {
+    track: '{title} de {artist}',
+    album: 'el álbum {title} de {artist}',
+    artist: 'música de {name}',
+    playlist: 'la playlist {title}',
+    userPlaylist: 'tu playlist {title}',
+    collectionTracks: 'tus canciones favoritas',
+    collectionAlbums: 'tus álbumes guardados',
+    collectionArtists: 'música de tus artistas favoritos',
+    recommendations: 'tu selección {title}',
+    recommendationPlaylist: 'tu selección {section}: {title}',
+    artistRadio: 'la radio de {name}',
+    trackRadio: 'música parecida a {title}'
+  },
+
+  search: {
+    askTerm: 'No he entendido qué quieres buscar. ' +
+      'Por favor, dime qué canción, artista, álbum o playlist te gustaría encontrar.',
+    reprompt: '¿Qué te gustaría buscar?',
+    foundTrack: 'He encontrado la canción "{title}" de {artist}.',
+    foundArtist: 'He encontrado al artista {name}.',
+    foundAlbum: 'He encontrado el álbum "{title}" de {artist}.',
+    cardTrack: 'Canción: {title} - {artist}',
+    cardArtist: 'Artista: {name}',
+    cardAlbum: 'Álbum: {title} - {artist}',
+    noResults: 'No he encontrado resultados para "{term}". Intenta con otro término.',
+    noResultsCard: 'No se encontraron resultados',
+    askPlay: '¿Quieres que reproduzca alguno de estos resultados?',
+    askPlayReprompt: '¿Quieres que reproduzca alguno de estos resultados? ' +
+      'Puedes decir, por ejemplo, "reproduce la canción" o "pon al artista".',
+    cardTitle: 'Resultados de búsqueda',
+    listFound: 'He encontrado {count} resultados para "{term}". ' +
+      'Toca uno en la pantalla o dime cuál quieres, por ejemplo "el tercero".',
+    listReprompt: '¿Cuál quieres escuchar? Puedes tocarlo en la pantalla o decir, por ejemplo, ' +
+      '"el segundo".',
+    error: 'Lo siento, ha ocurrido un error al buscar música. Por favor, inténtalo de nuevo.'
+  },
+
+  searchDialog: {
+    choiceReprompt: '¿Cuál quieres que reproduzca? ' +
+      'Puedes decir "la canción", "el álbum" o "el segundo".',
+    notUnderstood: 'No he entendido cuál quieres. {reprompt}',
+    noResults: 'No tengo resultados de búsqueda recientes. ¿Qué quieres que busque?',
+    noResultsReprompt: 'Puedes decir, por ejemplo, "busca canciones de Bad Bunny".',
+    declined: 'De acuerdo. Cuando quieras escuchar algo, solo tienes que pedírmelo.'
+  },
+
+  resume: {
+    resuming: 'Reanudando reproducción.',
+    nothing: 'No hay nada para reanudar. ¿Qué te gustaría escuchar?',
+    error: 'Lo siento, no pude reanudar la reproducción. ¿Quieres intentar reproducir algo más?'
+  },
+
+  resumeSession: {
+    offer: 'La última vez escuchabas {title} de {artist}, ¿quieres continuar?',
+    offerTitle: 'La última vez escuchabas {title}, ¿quieres continuar?',
+    reprompt: '¿Quieres continuar donde lo dejaste?',
+    lastError: 'La última vez no pude reproducir la siguiente canción.',
+    declined: 'Vale. Puedes pedirme que reproduzca una canción, un álbum o una playlist. ' +
+      '¿Qué te gustaría escuchar?'
+  },
+
+  devices: {
+    askName: '¿Cómo se llama este dispositivo? Por ejemplo, "este altavoz es el de la cocina".',
+    named: 'Hecho, a partir de ahora llamaré a este dispositivo {room}.',
+    nameError: 'Lo siento, no he podido guardar el nombre de este dispositivo.',
+    transferred: 'Continuando aquí lo que sonaba en {room}.',
+    unknownRoom: 'No conozco ningún dispositivo llamado {room}. ' +
+      'Ponle nombre diciendo allí "este altavoz es el de {room}".',
+    nothingInRoom: 'No hay nada que continuar de {room}.',
+    nothingElsewhere: 'No está sonando nada en otro dispositivo.',
+    sameDevice: 'Eso ya estaba sonando en este dispositivo. Di "reanudar" para continuar.',
+    transferError: 'Lo siento, no he podido traer la música a este dispositivo.'
+  },
+
+  queue: {
+    playingTrack: 'Reproduciendo {title} de {artist}',
+    noQueueNext: 'No hay una lista de reproducción activa para avanzar.',
+    endOfQueue: 'Has llegado al final de la lista de reproducción.',
+    nextError: 'Lo siento, ha ocurrido un error al intentar reproducir la siguiente pista.',
+    noQueuePrevious: 'No hay una lista de reproducción activa para retroceder.',
+    startOfQueue: 'Ya estás en la primera pista de la lista de reproducción.',
+    previousError: 'Lo siento, ha ocurrido un error al intentar reproducir la pista anterior.',
+    addNotUnderstood: 'No entendí qué quieres añadir. ' +
+      'Por favor, especifica una canción, artista, álbum o playlist.',
+    addExample: 'Puedes decir, por ejemplo, "añade Despacito a la cola".',
+    playNext: 'Después de esta canción sonará {label}.',
+    added: 'He añadido {label} a la cola.'
+  },
+
+  queueMode: {
+    noQueueShuffle: 'No hay una lista de reproducción activa para cambiar el orden.',
+    shuffleOn: 'Reproducción aleatoria activada.',
+    shuffleOff: 'Reproducción aleatoria desactivada.',
+    nothingToRepeat: 'No hay nada sonando que pueda repetir.',
+    loopQueue: 'Repetiré la lista de reproducción cuando termine.',
+    loopOff: 'Repetición desactivada.',
+    loopTrack: 'Repetiré esta canción.',
+    error: 'Lo siento, no he podido cambiar el modo de reproducción.'
+  },
+
+  seek: {
+    notUnderstood: 'No he entendido a qué minuto quieres ir.',
+    example: 'Puedes decir, por ejemplo, "ve al minuto 3".',
+    nothingPlaying: 'No hay ninguna canción sonando. ¿Qué te gustaría escuchar?',
+    error: 'Lo siento, no he podido cambiar la posición de la canción.'
+  },
+
+  nowPlaying: {
+    nothing: 'Ahora mismo no está sonando nada. ¿Qué te gustaría escuchar?',
+    track: 'Está sonando {title}',
+    byArtists: 'de {artists}',
+    fromAlbum: 'del álbum {album}',
+    fromYear: 'de {year}',
+    duration: 'Dura {duration}.',
+    cardTitle: 'Tidal Música - Está sonando',
+    cardDuration: 'Duración: {duration}',
+    error: 'Lo siento, no he podido averiguar qué está sonando.'
+  },
+
+  duration: {
+    minute: '{count} minuto',
+    minutes: '{count} minutos',
+    second: '{count} segundo',
+    seconds: '{count} segundos'
+  },
+
+  favorites: {
+    liked: 'He añadido {title} a tus canciones favoritas.',
+    likedGeneric: 'He añadido esta canción a tus favoritas.',
+    unliked: 'He quitado {title} de tus canciones favoritas.',
+    unlikedGeneric: 'He quitado esta canción de tus favoritas.',
+    albumSaved: 'He guardado el álbum {title} en tu colección.',
+    nothingPlaying: 'Ahora mismo no está sonando nada. Pídemelo mientras suena la canción.',
+    error: 'Lo siento, no he podido actualizar tu colección de Tidal.'
+  },
+
+  radio: {
+    noSeed: 'No sé en qué basar la radio. Dime un artista, por ejemplo "pon radio de Rosalía".',
+    askArtist: '¿De qué artista quieres la radio?'
+  },
+
+  display: {
+    nowPlaying: 'Ahora suena',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    like: 'Me gusta',
+    searchSubtitle: '"{term}"',
+    track: 'Canción · {artist}',
+    album: 'Álbum · {artist}',
+    artist: 'Artista',
+    playlist: 'Playlist'
+  },
+
+  monitoring: {
+    devOnly: 'Esta función solo está disponible en entornos de desarrollo.',
+    stats: 'Entorno: {environment}. Caché: {cacheState}. Tasa de aciertos: {hitRate}%. ' +
+      'Total de solicitudes: {totalRequests}. Aciertos: {hits}. Fallos: {misses}. Tamaño: ' +
+      '{size} entradas en {namespaces} espacios.',
+    cacheEnabled: 'habilitada',
+    cacheDisabled: 'deshabilitada',
+    cardTitle: 'Diagnóstico',
+    cacheTypeCleared: 'Caché de {cacheType} limpiada correctamente.',
+    cacheCleared: 'Toda la caché ha sido limpiada correctamente.',
+    clearError: 'Ha ocurrido un error al intentar limpiar la caché.'
+  }
+};
@@ -28,12 +28,93 @@ const {
   PreviousIntentHandler
 } = require('./handlers/musicHandlers');
 
+// Importar manejadores de PlaybackController (botones y controles táctiles)
+const {
+  PlaybackControllerNextHandler,
+  PlaybackControllerPreviousHandler,
+  PlaybackControllerPlayHandler,
+  PlaybackControllerPauseHandler
+} = require('./handlers/playbackControllerHandlers');
+
+// Importar manejadores de modos de reproducción (aleatorio y repetición)
+const {
+  ShuffleIntentHandler,
+  LoopIntentHandler
+} = require('./handlers/queueModeHandlers');
+
+// Importar manejadores para añadir música a la cola
+const {
+  AddToQueueIntentHandler,
+  PlayNextIntentHandler
+} = require('./handlers/queueHandlers');
+
+// Importar manejadores para moverse dentro de la pista actual
+const {
+  SkipForwardIntentHandler,
+  SkipBackwardIntentHandler,
+  SeekToIntentHandler,
+  StartOverIntentHandler
+} = require('./handlers/seekHandlers');
+
+// Importar manejador para preguntar qué está sonando
+const { NowPlayingIntentHandler } = require('./handlers/nowPlayingHandlers');
+
+// Importar manejadores de la colección del usuario (favoritos)
+const {
+  LikeTrackIntentHandler,
+  UnlikeTrackIntentHandler,
+  SaveAlbumIntentHandler
+} = require('./handlers/favoritesHandlers');
+
+// Importar manejador para reproducir la colección del usuario
+const { PlayCollectionIntentHandler } = require('./handlers/collectionHandlers');
+
+// Importar manejador de recomendaciones personalizadas
+const { PlayRecommendationsIntentHandler } = require('./handlers/recommendationHandlers');
+
+// Importar manejador de radio por pista o artista
+const { PlayRadioIntentHandler } = require('./handlers/radioHandlers');
+
+// Importar manejadores del diálogo posterior a una búsqueda
+const {
+  SelectSearchResultIntentHandler,
+  SearchResultYesIntentHandler,
+  SearchResultNoIntentHandler
+} = require('./handlers/searchDialogHandlers');
+
+// Importar manejadores de la oferta de continuar la última sesión
+const {
+  ResumeSessionYesIntentHandler,
+  ResumeSessionNoIntentHandler
+} = require('./handlers/resumeSessionHandlers');
+
+// Importar manejadores de los eventos táctiles de la pantalla (APL)
+const {
+  NowPlayingNextEventHandler,
+  NowPlayingPreviousEventHandler,
+  NowPlayingLikeEventHandler,
+  SearchResultSelectedEventHandler
+} = require('./handlers/aplHandlers');
+
+// Importar manejadores de los dispositivos del hogar (nombres y traspaso)
+const {
+  NameDeviceIntentHandler,
+  TransferPlaybackIntentHandler
+} = require('./handlers/deviceHandlers');
+
 // Importar manejadores de autenticación
 const {
   AccountLinkedHandler,
-  AccountLinkDeletedHandler
+  AccountLinkDeletedHandler,
+  SkillDisabledHandler
 } = require('./handlers/authHandler');
 
+// Importar interceptores que resuelven de quién es el estado de cada petición
+const {
+  StateOwnerRequestInterceptor,
+  ActiveListenerResponseInterceptor
+} = require('./interceptors/stateOwnerInterceptors');
+
 // Importar manejadores de monitorización
 const {
     DiagnosticsIntentHandler,
@@ -41,6 +122,79 @@ const {
     ScheduledMaintenanceHandler
   } = require('./handlers/monitoringHandler');
 
+/**
+ * Obtiene los manejadores de peticiones en el orden en que se registran
+ * @returns {Array<Object>} - Manejadores { canHandle, handle }
+ */
+function getRequestHandlers() {
+  return [
+    // Manejadores de eventos del ciclo de vida
+    LaunchRequestHandler,
+    AccountLinkedHandler,
+    AccountLinkDeletedHandler,
+    SkillDisabledHandler,
+    
+    // Manejadores de intents de música
+    PlayMusicIntentHandler,
+    SearchMusicIntentHandler,
+    SelectSearchResultIntentHandler,
+    SearchResultYesIntentHandler,
+    SearchResultNoIntentHandler,
+    ResumeSessionYesIntentHandler,
+    ResumeSessionNoIntentHandler,
+    PlayCollectionIntentHandler,
+    PlayRecommendationsIntentHandler,
+    PlayRadioIntentHandler,
+    PauseIntentHandler,
+    ResumeIntentHandler,
+    NextIntentHandler,
+    PreviousIntentHandler,
+    ShuffleIntentHandler,
+    LoopIntentHandler,
+    AddToQueueIntentHandler,
+    PlayNextIntentHandler,
+    SkipForwardIntentHandler,
+    SkipBackwardIntentHandler,
+    SeekToIntentHandler,
+    StartOverIntentHandler,
+    NowPlayingIntentHandler,
+    LikeTrackIntentHandler,
+    UnlikeTrackIntentHandler,
+    SaveAlbumIntentHandler,
+    NameDeviceIntentHandler,
+    TransferPlaybackIntentHandler,
+    
+    // Manejadores de eventos del AudioPlayer
+    AudioPlayerEventHandler,
+    
+    // Manejadores de eventos de PlaybackController
+    PlaybackControllerNextHandler,
+    PlaybackControllerPreviousHandler,
+    PlaybackControllerPlayHandler,
+    PlaybackControllerPauseHandler,
+    
+    // Manejadores de los eventos táctiles de la pantalla (APL)
+    NowPlayingNextEventHandler,
+    NowPlayingPreviousEventHandler,
+    NowPlayingLikeEventHandler,
+    SearchResultSelectedEventHandler,
+
+    // Manejadores de intents comunes
+    HelpIntentHandler,
+    CancelAndStopIntentHandler,
+    SessionEndedRequestHandler,
+
+    // Manejadores de diagnóstico y monitorización (solo en desarrollo y pruebas)
+    ...(config.isProduction() ? [] : [
+      DiagnosticsIntentHandler,
+      ClearCacheIntentHandler
+    ]),
+
+    // Manejador de mantenimiento programado
+    ScheduledMaintenanceHandler
+  ];
+}
+
 /**
  * Inicializar y configurar la skill
  */
@@ -50,37 +204,9 @@ function buildSkill() {
   
   // Crear una instancia de Alexa Skill Builder
   return Alexa.SkillBuilders.custom()
-    .addRequestHandlers(
-      // Manejadores de eventos del ciclo de vida
-      LaunchRequestHandler,
-      AccountLinkedHandler,
-      AccountLinkDeletedHandler,
-      
-      // Manejadores de intents de música
-      PlayMusicIntentHandler,
-      SearchMusicIntentHandler,
-      PauseIntentHandler,
-      ResumeIntentHandler,
-      NextIntentHandler,
-      PreviousIntentHandler,
-      
-      // Manejadores de eventos del AudioPlayer
-      AudioPlayerEventHandler,
-      
-      // Manejadores de intents comunes
-      HelpIntentHandler,
-      CancelAndStopIntentHandler,
-      SessionEndedRequestHandler,
-
-      // Manejadores de diagnóstico y monitorización (solo en desarrollo y pruebas)
-      ...(config.isProduction() ? [] : [
-        DiagnosticsIntentHandler,
-        ClearCacheIntentHandler
-      ]),
-    
-    // Manejador de mantenimiento programado
-    ScheduledMaintenanceHandler
-    )
+    .addRequestHandlers(...getRequestHandlers())
+    .addRequestInterceptors(StateOwnerRequestInterceptor)
+    .addResponseInterceptors(ActiveListenerResponseInterceptor)
     .addErrorHandlers(ErrorHandler)
     .withApiClient(new Alexa.DefaultApiClient())
     .withCustomUserAgent(`tidal-music-skill/v1.0 (${config.get('app.environment')})`)
@@ -125,4 +251,7 @@ exports.handler = async function (event, context) {
 };
 
 // Exponer configuración para pruebas
-exports.config = config;
\ No newline at end of file
+exports.config = config;
+
+// Exponer los manejadores registrados para comprobar el modelo de interacción
+exports.getRequestHandlers = getRequestHandlers;
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Interceptores que deciden de quién es el estado de cada petición
+ * Las peticiones de voz identifican a la persona; los eventos del dispositivo
+ * (AudioPlayer, PlaybackController, pantalla táctil) no, así que se aplican
+ * a la cola de quien empezó a escuchar en ese mismo dispositivo
+ */
+
+const logger = require('../utils/logger');
+const playbackPersistenceService = require('../services/playbackPersistenceService');
+const {
+  STATE_OWNER_ATTRIBUTE,
+  getAccountUserId,
+  getPersonId,
+  getDeviceId,
+  getStateOwnerId
+} = require('../utils/userContext');
+
+// Prefijos de los eventos que envía el dispositivo sin identificar a la persona
+const DEVICE_EVENT_PREFIXES = ['AudioPlayer.', 'PlaybackController.', 'Alexa.Presentation.APL.'];
+
+/**
+ * Indica si la petición es un evento del dispositivo
+ * @param {Object} handlerInput - Input del handler
+ * @returns {boolean} - true si la petición no es de voz
+ */
+function isDeviceEvent(handlerInput) {
+  const { type } = handlerInput.requestEnvelope.request;
+
+  return DEVICE_EVENT_PREFIXES.some(prefix => type.startsWith(prefix));
+}
+
+/**
+ * Interceptor de petición: en los eventos del dispositivo usa como propietario
+ * del estado al oyente activo registrado para ese dispositivo
+ */
+const StateOwnerRequestInterceptor = {
+  async process(handlerInput) {
+    const userId = getAccountUserId(handlerInput);
+
+    if (!userId || getPersonId(handlerInput) || !isDeviceEvent(handlerInput)) {
+      return;
+    }
+
+    try {
+      const listener = await playbackPersistenceService.getActiveListener(
+        userId,
+        getDeviceId(handlerInput)
+      );
+
+      if (listener && listener.stateOwnerId) {
+        const requestAttributes = handlerInput.attributesManager.getRequestAttributes();
+        requestAttributes[STATE_OWNER_ATTRIBUTE] = listener.stateOwnerId;
+      }
+    } catch (error) {
+      // Sin registro, el evento se aplica al estado de la cuenta en el dispositivo
+      logger.error('Error al obtener el oyente activo del evento', { error, userId });
+    }
+  }
+};
+
+/**
+ * Interceptor de respuesta: cuando una petición de voz empieza a reproducir,
+ * registra quién escucha en el dispositivo para aplicar a su cola los eventos siguientes
+ */
+const ActiveListenerResponseInterceptor = {
+  async process(handlerInput, response) {
+    const userId = getAccountUserId(handlerInput);
+    const directives = (response && response.directives) || [];
+
+    if (!userId || isDeviceEvent(handlerInput)
+      || !directives.some(directive => directive.type === 'AudioPlayer.Play')) {
+      return;
+    }
+
+    try {
+      await playbackPersistenceService.setActiveListener(
+        userId,
+        getStateOwnerId(handlerInput),
+        { personId: getPersonId(handlerInput), deviceId: getDeviceId(handlerInput) }
+      );
+    } catch (error) {
+      logger.error('Error al registrar el oyente activo', { error, userId });
+    }
+  }
+};
+
+module.exports = {
+  StateOwnerRequestInterceptor,
+  ActiveListenerResponseInterceptor
+};
@@ -0,0 +1,112 @@
+/**
+ * Servicio del ciclo de vida de la cuenta vinculada
+ * Guarda los tokens de Tidal al vincular la cuenta y elimina los datos
+ * del usuario cuando la desvincula o deshabilita la skill
+ */
+
+const logger = require('../utils/logger');
+const config = require('./configService');
+const { buildStateOwnerId } = require('../utils/userContext');
+const tidalService = require('./tidalService');
+const tokenPersistenceService = require('./tokenPersistenceService');
+const tokenManagerService = require('./tokenManagerService');
+const playbackPersistenceService = require('./playbackPersistenceService');
+
+/**
+ * Clase de servicio para vincular y desvincular cuentas de Tidal
+ */
+class AccountService {
+  constructor() {
+    // Segundos de vigencia con los que se guarda el token de la vinculación
+    this.linkedTokenExpiresIn = config.getSection('tidal').linkedTokenExpiresIn || 3600;
+  }
+
+  /**
+   * Registra una cuenta recién vinculada
+   * Verifica el token contra Tidal y lo guarda junto al usuario de Tidal.
+   * El evento SkillAccountLinked solo trae el accessToken: el refreshToken lo
+   * guarda Alexa, que refresca el token por su cuenta y envía el vigente en cada
+   * petición. Se guarda sin refreshToken y con una expiración explícita, así que
+   * tokenManagerService no intentará refrescarlo
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso del evento de vinculación
+   * @returns {Promise<Object>} - Información del usuario de Tidal
+   */
+  async linkAccount(userId, accessToken) {
+    try {
+      // Obtener información del usuario para verificar que el token funciona
+      const userInfo = await tidalService.getUserInfo(accessToken);
+
+      await tokenPersistenceService.saveTokens(
+        userId,
+        accessToken,
+        null,
+        this.linkedTokenExpiresIn,
+        userInfo.userId
+      );
+      tokenManagerService.clearState(userId);
+
+      logger.info('Cuenta de Tidal registrada', { userId, tidalUserId: userInfo.userId });
+
+      return userInfo;
+    } catch (error) {
+      logger.error('Error al registrar la cuenta vinculada', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Elimina todos los datos guardados de un usuario: tokens, estado de
+   * reproducción y caché. Cada paso se intenta aunque falle el anterior
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso conocido (opcional)
+   * @returns {Promise<boolean>} - true si se eliminó todo correctamente
+   */
+  async purgeUserData(userId, accessToken = null) {
+    const steps = [
+      ['tokens', () => tokenPersistenceService.deleteAllUserTokens(userId)],
+      ['playbackState', () => playbackPersistenceService.clearPlaybackState(userId)],
+      ['householdPlaybackState', () => this._purgeHouseholdState(userId)],
+      ['cache', () => tidalService.clearUserCache(userId, accessToken)]
+    ];
+
+    tokenManagerService.clearState(userId);
+
+    const failed = [];
+
+    for (const [name, step] of steps) {
+      try {
+        await step();
+      } catch (error) {
+        logger.error('Error al eliminar datos del usuario', { error, userId, step: name });
+        failed.push(name);
+      }
+    }
+
+    logger.info('Datos del usuario eliminados', { userId, failed });
+
+    return failed.length === 0;
+  }
+
+  /**
+   * Elimina el estado de cada miembro del hogar y dispositivo de la cuenta
+   * y el registro de oyentes
+   * @param {string} userId - ID de usuario de Alexa
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _purgeHouseholdState(userId) {
+    const listener = await playbackPersistenceService.getActiveListener(userId);
+    const stateOwnerIds = new Set((listener && listener.stateOwnerIds) || []);
+
+    // Los registros anteriores al estado por dispositivo solo guardan las personas
+    ((listener && listener.personIds) || []).forEach(personId =>
+      stateOwnerIds.add(buildStateOwnerId(userId, personId)));
+
+    await Promise.all([...stateOwnerIds].map(stateOwnerId =>
+      playbackPersistenceService.clearPlaybackState(stateOwnerId)));
+    await playbackPersistenceService.clearActiveListener(userId);
+  }
+}
+
+module.exports = new AccountService();
@@ -261,6 +261,36 @@ class CacheService {
     }
   }
   
+  /**
+   * Elimina las entradas de un namespace cuya clave cumple una condición
+   * @param {string} namespace - Namespace donde buscar
+   * @param {Function} predicate - Función que recibe la clave y devuelve true si debe eliminarse
+   * @returns {number} - Número de entradas eliminadas
+   */
+  deleteMatching(namespace, predicate) {
+    if (!this.enabled) return 0;
+    
+    try {
+      const cache = this._getCache(namespace);
+      let removed = 0;
+      
+      for (const key of [...cache.keys()]) {
+        if (predicate(key)) {
+          cache.delete(key);
+          removed++;
+        }
+      }
+      
+      return removed;
+    } catch (error) {
+      logger.error('Error al eliminar entradas de caché', { 
+        error, 
+        namespace 
+      });
+      return 0;
+    }
+  }
+  
   /**
    * Limpia todas las entradas de un namespace
    * @param {string} namespace - Namespace a limpiar
@@ -461,6 +491,15 @@ class CacheService {
     return total;
   }
   
+  /**
+   * Genera una clave compuesta desde la instancia exportada
+   * @param {...*} args - Valores a incluir en la clave
+   * @returns {string} - Clave compuesta
+   */
+  makeKey(...args) {
+    return CacheService.makeKey(...args);
+  }
+  
   /**
    * Genera una clave compuesta uniendo varios valores
    * @param {...*} args - Valores a incluir en la clave
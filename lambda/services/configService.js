@@ -11,13 +11,20 @@ const fs = require('fs');
  */
 class ConfigService {
   constructor() {
+    const isLocal = process.env.IS_LOCAL === 'true'
+      || process.env.AWS_SAM_LOCAL === 'true'
+      || false;
+    // Lambda define AWS_LAMBDA_FUNCTION_NAME; SAM local también, pero no es un despliegue real
+    const isLambda = Boolean(process.env.AWS_LAMBDA_FUNCTION_NAME) && !isLocal;
+    
     // Configuración por defecto
     this.config = {
       // Configuración general
       app: {
         environment: process.env.ENVIRONMENT || process.env.NODE_ENV || 'development',
         region: process.env.AWS_REGION || 'us-east-1',
-        isLocal: process.env.IS_LOCAL === 'true' || process.env.AWS_SAM_LOCAL === 'true' || false
+        isLocal,
+        isLambda
       },
       
       // Configuración de logs
@@ -36,6 +43,15 @@ class ConfigService {
         ttlSeconds: parseInt(process.env.DYNAMODB_TTL_SECONDS || '86400', 10) // 24 horas
       },
       
+      // Cifrado de los refresh tokens guardados (proveedor 'local' o 'kms')
+      // En Lambda el sistema de ficheros es de solo lectura y cada contenedor
+      // tendría su propia clave, así que allí el proveedor por defecto es KMS
+      encryption: {
+        provider: process.env.TOKEN_ENCRYPTION_PROVIDER || (isLambda ? 'kms' : 'local'),
+        keyFile: process.env.TOKEN_KEY_FILE || '.keys/token-keys.json',
+        kmsKeyId: process.env.TOKEN_KMS_KEY_ID || null
+      },
+      
       // Configuración de Tidal API
       tidal: {
         clientId: process.env.TIDAL_CLIENT_ID || '',
@@ -44,7 +60,17 @@ class ConfigService {
         apiTimeout: parseInt(process.env.TIDAL_API_TIMEOUT || '10000', 10), // 10 segundos
         countryCode: process.env.TIDAL_COUNTRY_CODE || 'US',
         soundQuality: process.env.TIDAL_SOUND_QUALITY || 'HIGH',
-        streamUrlTTL: parseInt(process.env.TIDAL_STREAM_URL_TTL || '3600', 10) // 1 hora
+        streamUrlTTL: parseInt(process.env.TIDAL_STREAM_URL_TTL || '3600', 10), // 1 hora
+        // Puntuación mínima para reproducir un resultado sin pedir confirmación
+        matchConfidenceThreshold: parseFloat(
+          process.env.TIDAL_MATCH_CONFIDENCE_THRESHOLD || '0.75'
+        ),
+        // Segundos antes de la expiración a partir de los que se refresca el token
+        tokenRefreshMargin: parseInt(process.env.TIDAL_TOKEN_REFRESH_MARGIN || '300', 10), // 5 minutos
+        // Ventana del mantenimiento programado para refrescar tokens por adelantado
+        tokenSweepWindow: parseInt(process.env.TIDAL_TOKEN_SWEEP_WINDOW || '900', 10), // 15 minutos
+        // Vigencia supuesta del token de SkillAccountLinked, que no indica su expiración
+        linkedTokenExpiresIn: parseInt(process.env.TIDAL_LINKED_TOKEN_EXPIRES_IN || '3600', 10) // 1 hora
       },
       
       // Configuración de Alexa
@@ -150,6 +176,18 @@ class ConfigService {
       }
     }
     
+    // Validar configuración del cifrado de tokens: solo se avisa, porque el resto
+    // de la skill funciona sin él; encryptionService rechaza cifrar con ella
+    const { provider, kmsKeyId } = this.config.encryption;
+    
+    if (this.config.app.isLambda && provider === 'local') {
+      console.warn('ADVERTENCIA: TOKEN_ENCRYPTION_PROVIDER=local no está soportado en Lambda');
+    }
+    
+    if (provider === 'kms' && !kmsKeyId) {
+      console.warn('ADVERTENCIA: TOKEN_KMS_KEY_ID no está configurado');
+    }
+    
     // Validar configuración de DynamoDB
     if (this.config.app.isLocal && !this.config.dynamoDB.endpoint) {
       // Si estamos en local y no hay endpoint configurado, usar localhost
@@ -105,9 +105,11 @@ class DynamoDbService {
    * Actualiza un item existente
    * @param {Object} key - Clave primaria del item
    * @param {Object} updates - Campos a actualizar
+   * @param {Object} options - Condición opcional: ConditionExpression y sus
+   *   ExpressionAttributeNames y ExpressionAttributeValues
    * @returns {Promise<Object>} - Item actualizado
    */
-  async updateItem(key, updates) {
+  async updateItem(key, updates, options = {}) {
     try {
       // Construir expresión de actualización
       const updateExpression = [];
@@ -138,11 +140,21 @@ class DynamoDbService {
         TableName: this.tableName,
         Key: key,
         UpdateExpression: `SET ${updateExpression.join(', ')}`,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
+        ExpressionAttributeNames: {
+          ...expressionAttributeNames,
+          ...options.ExpressionAttributeNames
+        },
+        ExpressionAttributeValues: {
+          ...expressionAttributeValues,
+          ...options.ExpressionAttributeValues
+        },
         ReturnValues: 'ALL_NEW'
       };
       
+      if (options.ConditionExpression) {
+        params.ConditionExpression = options.ConditionExpression;
+      }
+      
       logger.debug('Actualizando item en DynamoDB', { 
         table: this.tableName,
         key,
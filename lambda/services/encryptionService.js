@@ -0,0 +1,149 @@
+/**
+ * Servicio de cifrado de secretos guardados (cifrado de sobre)
+ * Cada valor se cifra con AES-256-GCM usando una clave de datos propia, y esa
+ * clave se guarda cifrada por el proveedor de claves (fichero local o KMS)
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('./configService');
+const LocalKeyProvider = require('../clients/localKeyProvider');
+const KmsKeyProvider = require('../clients/kmsKeyProvider');
+
+// Algoritmo con el que se cifran los valores
+const ALGORITHM = 'aes-256-gcm';
+
+// Longitud en bytes del vector de inicialización de AES-GCM
+const IV_LENGTH = 12;
+
+// Versión del formato del sobre guardado
+const ENVELOPE_VERSION = 1;
+
+/**
+ * Clase de servicio para cifrar y descifrar valores con cifrado de sobre
+ *
+ * Un proveedor de claves implementa:
+ * - getCurrentKeyId(): ID de la clave maestra con la que se cifra ahora
+ * - generateDataKey(): Promise<{ keyId, plaintextKey, encryptedKey }>
+ * - decryptDataKey(encryptedKey, keyId): Promise<Buffer>
+ */
+class EncryptionService {
+  constructor() {
+    this.settings = config.getSection('encryption');
+
+    // En Lambda el sistema de ficheros es de solo lectura: solo sirve KMS
+    this.isLambda = config.get('app.isLambda', false);
+
+    // El proveedor se crea al usarlo por primera vez (lee ficheros o crea clientes de AWS)
+    this.provider = null;
+  }
+
+  /**
+   * Sustituye el proveedor de claves (por ejemplo, en pruebas)
+   * @param {Object} provider - Proveedor de claves
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Indica si un valor guardado es un sobre cifrado
+   * @param {*} value - Valor leído de la persistencia
+   * @returns {boolean} - true si está cifrado
+   */
+  isEncrypted(value) {
+    return Boolean(value) && typeof value === 'object' && value.v === ENVELOPE_VERSION;
+  }
+
+  /**
+   * Cifra un valor con una clave de datos nueva
+   * @param {string} plaintext - Valor en claro
+   * @returns {Promise<Object>} - Sobre { v, keyId, encryptedKey, iv, tag, ciphertext }
+   */
+  async encrypt(plaintext) {
+    const provider = this._getProvider();
+    const { keyId, plaintextKey, encryptedKey } = await provider.generateDataKey();
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, plaintextKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return {
+      v: ENVELOPE_VERSION,
+      keyId,
+      encryptedKey: encryptedKey.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Descifra un valor guardado
+   * Los valores en claro (guardados antes del cifrado) se devuelven tal cual
+   * @param {Object|string} value - Sobre cifrado o valor en claro
+   * @returns {Promise<Object>} - { plaintext, needsReencryption } donde needsReencryption
+   *   indica que el valor está en claro o cifrado con una clave maestra anterior
+   */
+  async decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return {
+        plaintext: value === undefined ? null : value,
+        needsReencryption: typeof value === 'string' && value.length > 0
+      };
+    }
+
+    const provider = this._getProvider();
+    const dataKey = await provider.decryptDataKey(
+      Buffer.from(value.encryptedKey, 'base64'),
+      value.keyId
+    );
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, Buffer.from(value.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(value.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return {
+      plaintext,
+      needsReencryption: value.keyId !== provider.getCurrentKeyId()
+    };
+  }
+
+  /**
+   * Obtiene el proveedor de claves configurado
+   * Una configuración no válida solo hace fallar el cifrado o descifrado que la
+   * necesita, no el arranque de la skill
+   * @returns {Object} - Proveedor de claves
+   * @private
+   */
+  _getProvider() {
+    if (!this.provider) {
+      const providerName = this.settings.provider || 'local';
+
+      if (this.isLambda && providerName === 'local') {
+        throw new Error('TOKEN_ENCRYPTION_PROVIDER=local no está soportado en Lambda; usa kms');
+      }
+
+      if (this.isLambda && providerName === 'kms' && !this.settings.kmsKeyId) {
+        throw new Error('TOKEN_KMS_KEY_ID es obligatorio con el proveedor kms');
+      }
+
+      if (providerName === 'kms') {
+        this.provider = new KmsKeyProvider({ keyId: this.settings.kmsKeyId });
+      } else if (providerName === 'local') {
+        this.provider = new LocalKeyProvider({ keyFile: this.settings.keyFile });
+      } else {
+        throw new Error(`Proveedor de cifrado desconocido: ${providerName}`);
+      }
+
+      logger.info('Proveedor de cifrado de tokens inicializado', { provider: providerName });
+    }
+
+    return this.provider;
+  }
+}
+
+module.exports = new EncryptionService();
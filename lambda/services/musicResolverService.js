@@ -0,0 +1,767 @@
+/**
+ * Servicio para resolver qué reproducir a partir de los slots de un intent
+ * Centraliza la búsqueda de canciones, álbumes, playlists y artistas para
+ * que reproducir y añadir a la cola usen la misma lógica
+ */
+
+const logger = require('../utils/logger');
+const tidalService = require('./tidalService');
+const { getSlotValue } = require('../utils/slotValues');
+
+// Límites para no lanzar demasiadas peticiones al reproducir la colección
+const MAX_COLLECTION_ALBUMS = 5;
+const MAX_COLLECTION_ARTISTS = 5;
+const TRACKS_PER_COLLECTION_ARTIST = 5;
+
+// Pistas que se piden a la radio en cada recarga de la cola
+const RADIO_PAGE_SIZE = 10;
+
+// Descripción hablada de cada parte de la colección (claves de lambda/i18n)
+const COLLECTION_LABELS = {
+  tracks: 'labels.collectionTracks',
+  albums: 'labels.collectionAlbums',
+  artists: 'labels.collectionArtists'
+};
+
+/**
+ * Construye la descripción hablada de una selección
+ * Los manejadores la traducen al idioma de la petición con utils/i18n
+ * @param {string} key - Clave del mensaje en lambda/i18n
+ * @param {Object} params - Valores de los marcadores
+ * @returns {Object} - Descriptor { key, params }
+ */
+function spokenLabel(key, params = {}) {
+  return { key, params };
+}
+
+/**
+ * Construye la descripción hablada de un resultado de búsqueda
+ * @param {string} type - 'track', 'album' o 'artist'
+ * @param {Object} item - Resultado devuelto por la búsqueda de Tidal
+ * @returns {Object} - Descriptor { key, params }
+ */
+function getSearchResultLabel(type, item) {
+  switch (type) {
+    case 'track':
+      return spokenLabel('labels.track', { title: item.title, artist: item.artist.name });
+    case 'album':
+      return spokenLabel('labels.album', { title: item.title, artist: item.artist.name });
+    default:
+      return spokenLabel('labels.artist', { name: item.name });
+  }
+}
+
+/**
+ * Simplifica una pista de Tidal para almacenarla en la cola
+ * @param {Object} track - Pista devuelta por la API de Tidal
+ * @returns {Object} - Pista con id, título y artista
+ */
+function simplifyTrack(track) {
+  return {
+    id: track.id,
+    title: track.title,
+    artist: track.artist.name
+  };
+}
+
+/**
+ * Extrae el objeto de un elemento de la colección
+ * Los endpoints de colección envuelven cada elemento en item o data
+ * @param {Object} entry - Elemento devuelto por la API
+ * @returns {Object} - Pista, álbum, artista o playlist
+ */
+function unwrapItem(entry) {
+  return entry.item || entry.data || entry;
+}
+
+/**
+ * Normaliza la respuesta de /recommended/sections en una lista de secciones
+ * @param {Object} data - Respuesta de tidalService.getRecommendations
+ * @returns {Array} - Secciones con título y elementos, sin las vacías
+ */
+function extractSections(data) {
+  const sections = (data && (data.items || data.sections || data.rows)) || [];
+
+  return sections
+    .map(section => ({
+      title: section.title,
+      items: (section.items || (section.pagedList && section.pagedList.items) || []).map(unwrapItem)
+    }))
+    .filter(section => section.title && section.items.length > 0);
+}
+
+/**
+ * Indica si un elemento de una sección es una pista reproducible
+ * @param {Object} item - Elemento de la sección
+ * @returns {boolean} - true si es una pista
+ */
+function isTrack(item) {
+  return Boolean(item.id && item.title && item.artist && item.duration);
+}
+
+/**
+ * Clase de servicio para resolver contenido musical
+ */
+class MusicResolverService {
+  /**
+   * Resuelve los slots song/album/playlist/artist en una lista de pistas
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} slots - Slots del intent
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object|null>} - Selección con tipo, pistas, descripción hablada,
+   *   datos para la tarjeta y contexto del estado, o null si no hay slots válidos.
+   *   Si la búsqueda no es fiable incluye confirmation ({ type, item })
+   */
+  resolve(accessToken, slots, userId = null) {
+    const songName = getSlotValue(slots, 'song');
+    const albumName = getSlotValue(slots, 'album');
+    const playlistName = getSlotValue(slots, 'playlist');
+    const artistName = getSlotValue(slots, 'artist');
+
+    if (songName) {
+      return this.resolveTrack(accessToken, songName, artistName, userId);
+    }
+
+    if (albumName) {
+      return this.resolveAlbum(accessToken, albumName, artistName, userId);
+    }
+
+    if (playlistName) {
+      return this.resolvePlaylist(accessToken, playlistName, userId);
+    }
+
+    if (artistName) {
+      return this.resolveArtist(accessToken, artistName, userId);
+    }
+
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Resuelve una canción específica
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} songName - Nombre de la canción
+   * @param {string} artistName - Nombre del artista (opcional)
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolveTrack(accessToken, songName, artistName, userId) {
+    logger.info('Buscando canción', { songName, artistName, userId });
+
+    const searchResult = await tidalService.searchTrack(accessToken, songName, artistName, userId);
+
+    if (!searchResult || !searchResult.tracks || searchResult.tracks.length === 0) {
+      throw new Error('No se encontró la canción');
+    }
+
+    const [track] = searchResult.tracks;
+
+    return this._withConfidence(
+      'track',
+      track,
+      searchResult.confidence,
+      () => this.buildTrackSelection(track)
+    );
+  }
+
+  /**
+   * Resuelve un álbum y sus pistas
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} albumName - Nombre del álbum
+   * @param {string} artistName - Nombre del artista (opcional)
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolveAlbum(accessToken, albumName, artistName, userId) {
+    logger.info('Buscando álbum', { albumName, artistName, userId });
+
+    const searchResult = await tidalService.searchAlbum(accessToken, albumName, artistName, userId);
+
+    if (!searchResult || !searchResult.albums || searchResult.albums.length === 0) {
+      throw new Error('No se encontró el álbum');
+    }
+
+    const [album] = searchResult.albums;
+
+    return this._withConfidence(
+      'album',
+      album,
+      searchResult.confidence,
+      () => this.buildAlbumSelection(accessToken, album, userId)
+    );
+  }
+
+  /**
+   * Resuelve una playlist y sus pistas
+   * Busca primero entre las playlists del usuario y después en el catálogo
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} playlistName - Nombre de la playlist
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolvePlaylist(accessToken, playlistName, userId) {
+    const userPlaylist = await this.resolveUserPlaylist(accessToken, playlistName, userId);
+
+    if (userPlaylist) {
+      return userPlaylist;
+    }
+
+    logger.info('Buscando playlist', { playlistName, userId });
+
+    const searchResult = await tidalService.searchPlaylist(accessToken, playlistName, userId);
+
+    if (!searchResult || !searchResult.playlists || searchResult.playlists.length === 0) {
+      throw new Error('No se encontró la playlist');
+    }
+
+    const [playlist] = searchResult.playlists;
+
+    return this._buildPlaylistSelection(
+      accessToken,
+      playlist,
+      spokenLabel('labels.playlist', { title: playlist.title }),
+      userId
+    );
+  }
+
+  /**
+   * Busca una playlist del usuario por nombre aproximado
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} playlistName - Nombre dicho por el usuario
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object|null>} - Selección resuelta o null si no hay coincidencia
+   */
+  async resolveUserPlaylist(accessToken, playlistName, userId) {
+    let match = null;
+
+    try {
+      match = await tidalService.findUserPlaylist(accessToken, playlistName, userId);
+    } catch (error) {
+      // Si falla la colección se sigue con la búsqueda en el catálogo
+      logger.warn('No se pudieron obtener las playlists del usuario', { error, userId });
+      return null;
+    }
+
+    if (!match) {
+      return null;
+    }
+
+    const { playlist } = match;
+
+    logger.info('Playlist del usuario encontrada', {
+      playlistName,
+      title: playlist.title,
+      score: match.score,
+      userId
+    });
+
+    return this._buildPlaylistSelection(
+      accessToken,
+      playlist,
+      spokenLabel('labels.userPlaylist', { title: playlist.title }),
+      userId
+    );
+  }
+
+  /**
+   * Resuelve una parte de la colección del usuario en una lista de pistas
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} collectionType - 'tracks', 'albums' o 'artists'
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolveCollection(accessToken, collectionType, userId) {
+    logger.info('Obteniendo colección del usuario', { collectionType, userId });
+
+    const favorites = (await tidalService.getFavorites(accessToken, collectionType, userId))
+      .map(unwrapItem);
+
+    if (favorites.length === 0) {
+      throw new Error('La colección está vacía');
+    }
+
+    let tracks = [];
+
+    if (collectionType === 'tracks') {
+      tracks = favorites;
+    } else if (collectionType === 'albums') {
+      for (const album of favorites.slice(0, MAX_COLLECTION_ALBUMS)) {
+        tracks.push(...await tidalService.getAlbumTracks(accessToken, album.id, userId));
+      }
+    } else if (collectionType === 'artists') {
+      for (const artist of favorites.slice(0, MAX_COLLECTION_ARTISTS)) {
+        tracks.push(...await tidalService.getArtistTopTracks(
+          accessToken,
+          artist.id,
+          TRACKS_PER_COLLECTION_ARTIST,
+          userId
+        ));
+      }
+    } else {
+      throw new Error(`Tipo de colección no válido: ${collectionType}`);
+    }
+
+    if (tracks.length === 0) {
+      throw new Error('La colección está vacía');
+    }
+
+    const [firstTrack] = tracks;
+
+    return {
+      type: 'collection',
+      trackList: tracks.map(simplifyTrack),
+      label: spokenLabel(COLLECTION_LABELS[collectionType]),
+      display: {
+        albumArtUrl: firstTrack.album ? tidalService.getImageUrl(firstTrack.album.cover) : null,
+        albumName: firstTrack.album ? firstTrack.album.title : null
+      },
+      context: {
+        type: 'collection',
+        collectionType
+      }
+    };
+  }
+
+  /**
+   * Resuelve un artista y sus pistas más populares
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} artistName - Nombre del artista
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolveArtist(accessToken, artistName, userId) {
+    logger.info('Buscando artista', { artistName, userId });
+
+    const searchResult = await tidalService.searchArtist(accessToken, artistName, userId);
+
+    if (!searchResult || !searchResult.artists || searchResult.artists.length === 0) {
+      throw new Error('No se encontró el artista');
+    }
+
+    const [artist] = searchResult.artists;
+
+    return this._withConfidence(
+      'artist',
+      artist,
+      searchResult.confidence,
+      () => this.buildArtistSelection(accessToken, artist, userId)
+    );
+  }
+
+  /**
+   * Construye la selección de una pista concreta
+   * @param {Object} track - Pista devuelta por la API de Tidal
+   * @returns {Object} - Selección resuelta
+   */
+  buildTrackSelection(track) {
+    return {
+      type: 'track',
+      trackList: [simplifyTrack(track)],
+      label: getSearchResultLabel('track', track),
+      display: {
+        albumArtUrl: tidalService.getImageUrl(track.album.cover),
+        albumName: track.album.title
+      },
+      context: {
+        type: 'track',
+        albumName: track.album.title
+      }
+    };
+  }
+
+  /**
+   * Obtiene las pistas de un álbum y construye la selección
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} album - Álbum devuelto por la API de Tidal
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async buildAlbumSelection(accessToken, album, userId) {
+    const trackList = await tidalService.getAlbumTracks(accessToken, album.id, userId);
+
+    if (!trackList || trackList.length === 0) {
+      throw new Error('No se pudieron obtener las pistas del álbum');
+    }
+
+    return {
+      type: 'album',
+      trackList: trackList.map(simplifyTrack),
+      label: getSearchResultLabel('album', album),
+      display: {
+        albumArtUrl: tidalService.getImageUrl(album.cover),
+        albumName: album.title
+      },
+      context: {
+        type: 'album',
+        albumId: album.id,
+        albumName: album.title
+      }
+    };
+  }
+
+  /**
+   * Obtiene las pistas más populares de un artista y construye la selección
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} artist - Artista devuelto por la API de Tidal
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async buildArtistSelection(accessToken, artist, userId) {
+    const topTracks = await tidalService.getArtistTopTracks(accessToken, artist.id, 10, userId);
+
+    if (!topTracks || topTracks.length === 0) {
+      throw new Error('No se pudieron obtener las pistas del artista');
+    }
+
+    return {
+      type: 'artist',
+      trackList: topTracks.map(simplifyTrack),
+      label: getSearchResultLabel('artist', artist),
+      display: {
+        albumArtUrl: tidalService.getImageUrl(topTracks[0].album.cover),
+        albumName: topTracks[0].album.title
+      },
+      context: {
+        type: 'artist',
+        artistId: artist.id,
+        artistName: artist.name
+      }
+    };
+  }
+
+  /**
+   * Construye la selección de un resultado de búsqueda ya elegido por el usuario
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} type - 'track', 'album', 'artist' o 'playlist'
+   * @param {Object} item - Resultado devuelto por la búsqueda de Tidal
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  resolveSearchResult(accessToken, type, item, userId) {
+    switch (type) {
+      case 'track':
+        return Promise.resolve(this.buildTrackSelection(item));
+      case 'album':
+        return this.buildAlbumSelection(accessToken, item, userId);
+      case 'artist':
+        return this.buildArtistSelection(accessToken, item, userId);
+      case 'playlist': {
+        const playlist = { ...item, id: item.uuid || item.id };
+        return this._buildPlaylistSelection(
+          accessToken,
+          playlist,
+          spokenLabel('labels.playlist', { title: item.title }),
+          userId
+        );
+      }
+      default:
+        return Promise.reject(new Error(`Tipo de resultado no válido: ${type}`));
+    }
+  }
+
+  /**
+   * Averigua a qué tipos de contenido puede referirse un nombre dicho sin más contexto
+   * ("pon Motomami" puede ser la canción o el álbum)
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} query - Nombre dicho por el usuario
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Array>} - Tipos con coincidencia fiable ({ type, item, score }),
+   *   ordenados de mayor a menor puntuación
+   */
+  async classifyQuery(accessToken, query, userId) {
+    logger.info('Clasificando búsqueda libre', { query, userId });
+
+    const results = await tidalService.search(accessToken, query, 5, userId);
+    const candidates = [];
+
+    for (const type of ['track', 'album', 'artist']) {
+      const [best] = tidalService.rankCandidates(type, results[`${type}s`], { name: query });
+
+      if (best && tidalService.isConfidentMatch(best.score)) {
+        candidates.push({ type, item: best.item, score: best.score });
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Obtiene la sección de recomendaciones que se ofrecerá al usuario
+   * Tidal devuelve las secciones ordenadas por relevancia, así que se elige
+   * la primera que contenga pistas o playlists
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object|null>} - Sección con título y elementos o null
+   */
+  async getRecommendedSection(accessToken, userId) {
+    const recommendations = await tidalService.getRecommendations(accessToken, userId);
+
+    const section = extractSections(recommendations)
+      .find(candidate => candidate.items.some(item => isTrack(item) || item.uuid));
+
+    return section || null;
+  }
+
+  /**
+   * Resuelve las recomendaciones personalizadas en una lista de pistas
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolveRecommendations(accessToken, userId) {
+    logger.info('Obteniendo recomendaciones', { userId });
+
+    const section = await this.getRecommendedSection(accessToken, userId);
+
+    if (!section) {
+      throw new Error('No hay recomendaciones');
+    }
+
+    const tracks = section.items.filter(isTrack);
+
+    // Secciones de pistas sueltas: se reproducen tal cual
+    if (tracks.length > 0) {
+      const [firstTrack] = tracks;
+
+      return {
+        type: 'recommendations',
+        trackList: tracks.map(simplifyTrack),
+        label: spokenLabel('labels.recommendations', { title: section.title }),
+        display: {
+          albumArtUrl: firstTrack.album ? tidalService.getImageUrl(firstTrack.album.cover) : null,
+          playlistName: section.title
+        },
+        context: {
+          type: 'recommendations',
+          playlistName: section.title
+        }
+      };
+    }
+
+    // Secciones de playlists o mixes: se reproduce la primera
+    const playlist = section.items.find(item => item.uuid);
+
+    return this._buildPlaylistSelection(
+      accessToken,
+      { ...playlist, id: playlist.uuid },
+      spokenLabel('labels.recommendationPlaylist', {
+        section: section.title,
+        title: playlist.title
+      }),
+      userId
+    );
+  }
+
+  /**
+   * Resuelve una radio infinita a partir de una pista o de un artista
+   * Solo se obtiene la primera página; el resto se pide al acercarse al final
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} seed - trackId de la pista semilla o artistName del artista
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   */
+  async resolveRadio(accessToken, { trackId = null, artistName = null }, userId) {
+    let radio;
+    let radioName;
+    let radioLabel;
+
+    if (artistName) {
+      const searchResult = await tidalService.searchArtist(accessToken, artistName, userId);
+
+      if (!searchResult || !searchResult.artists || searchResult.artists.length === 0) {
+        throw new Error('No se encontró el artista');
+      }
+
+      const [artist] = searchResult.artists;
+
+      radio = { seedType: 'artists', seedId: artist.id, artistId: artist.id, offset: 0 };
+      radioName = artist.name;
+      radioLabel = spokenLabel('labels.artistRadio', { name: artist.name });
+    } else {
+      const details = await tidalService.getTrackDetails(accessToken, trackId, userId);
+
+      if (!details || !details.title) {
+        throw new Error('No se encontró la canción');
+      }
+
+      radio = {
+        seedType: 'tracks',
+        seedId: trackId,
+        artistId: details.artist ? details.artist.id : null,
+        offset: 0
+      };
+      radioName = details.title;
+      radioLabel = spokenLabel('labels.trackRadio', { title: details.title });
+    }
+
+    logger.info('Creando radio', { ...radio, userId });
+
+    const page = await this.getRadioPage(accessToken, radio, userId);
+
+    // No repetir la pista semilla, que es la que acaba de sonar
+    const trackList = page.tracks.filter(track => String(track.id) !== String(trackId));
+
+    if (trackList.length === 0) {
+      throw new Error('No hay pistas para la radio');
+    }
+
+    return {
+      type: 'radio',
+      trackList,
+      label: radioLabel,
+      display: {
+        albumArtUrl: page.albumArtUrl,
+        playlistName: radioName
+      },
+      context: {
+        type: 'radio',
+        radio: { ...radio, offset: page.nextOffset }
+      }
+    };
+  }
+
+  /**
+   * Obtiene la siguiente página de pistas de una radio
+   * Si Tidal no tiene radio para la semilla se usan los artistas similares
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} radio - Semilla y posición guardadas en el estado
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Pistas simplificadas, portada y siguiente offset
+   */
+  async getRadioPage(accessToken, radio, userId) {
+    let tracks = [];
+
+    try {
+      tracks = await tidalService.getRadio(
+        accessToken,
+        radio.seedType,
+        radio.seedId,
+        RADIO_PAGE_SIZE,
+        radio.offset,
+        userId
+      );
+
+      // La radio se ha agotado: volver a empezar para que nunca termine
+      if (tracks.length === 0 && radio.offset > 0) {
+        return this.getRadioPage(accessToken, { ...radio, offset: 0 }, userId);
+      }
+    } catch (error) {
+      logger.warn('Radio no disponible, se usan artistas similares', { error, ...radio });
+    }
+
+    if (tracks.length === 0 && radio.artistId) {
+      tracks = await this._getSimilarArtistTracks(accessToken, radio, userId);
+    }
+
+    const [firstTrack] = tracks;
+
+    return {
+      tracks: tracks.map(unwrapItem).map(simplifyTrack),
+      albumArtUrl: firstTrack && firstTrack.album
+        ? tidalService.getImageUrl(firstTrack.album.cover)
+        : null,
+      nextOffset: radio.offset + RADIO_PAGE_SIZE
+    };
+  }
+
+  /**
+   * Obtiene las pistas populares del artista similar que corresponde a la página
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} radio - Semilla y posición guardadas en el estado
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Array>} - Pistas de Tidal
+   * @private
+   */
+  async _getSimilarArtistTracks(accessToken, radio, userId) {
+    const similarArtists = await tidalService.getSimilarArtists(
+      accessToken,
+      radio.artistId,
+      10,
+      userId
+    );
+
+    if (similarArtists.length === 0) {
+      return [];
+    }
+
+    // Cada página de la radio recorre un artista similar distinto
+    const page = Math.floor(radio.offset / RADIO_PAGE_SIZE);
+    const artist = unwrapItem(similarArtists[page % similarArtists.length]);
+
+    return tidalService.getArtistTopTracks(accessToken, artist.id, RADIO_PAGE_SIZE, userId);
+  }
+
+  /**
+   * Obtiene las pistas de una playlist y construye la selección
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} playlist - Playlist con id, title e image
+   * @param {Object} label - Descripción hablada ({ key, params })
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object>} - Selección resuelta
+   * @private
+   */
+  async _buildPlaylistSelection(accessToken, playlist, label, userId) {
+    const trackList = await tidalService.getPlaylistTracks(accessToken, playlist.id, userId);
+
+    if (!trackList || trackList.length === 0) {
+      throw new Error('No se pudieron obtener las pistas de la playlist');
+    }
+
+    return {
+      type: 'playlist',
+      trackList: trackList.map(unwrapItem).map(simplifyTrack),
+      label,
+      display: {
+        albumArtUrl: tidalService.getImageUrl(playlist.image || playlist.squareImage),
+        playlistName: playlist.title
+      },
+      context: {
+        type: 'playlist',
+        playlistId: playlist.id,
+        playlistName: playlist.title
+      }
+    };
+  }
+
+  /**
+   * Construye la selección anotando la confianza del resultado de búsqueda
+   * Si no supera el umbral, no pide las pistas a Tidal: devuelve solo la opción
+   * a confirmar con el usuario, que se resuelve con resolveSearchResult si dice que sí
+   * @param {string} type - 'track', 'album' o 'artist'
+   * @param {Object} item - Resultado de búsqueda elegido
+   * @param {number} confidence - Puntuación del resultado (opcional)
+   * @param {Function} buildSelection - Construye la selección completa
+   * @returns {Promise<Object>} - Selección con confidence, o { type, label,
+   *   confidence, confirmation } sin pistas si hace falta confirmar
+   * @private
+   */
+  async _withConfidence(type, item, confidence, buildSelection) {
+    // Sin puntuación (resultados sin ordenar) no hay base para dudar
+    if (typeof confidence !== 'number') {
+      return buildSelection();
+    }
+
+    if (!tidalService.isConfidentMatch(confidence)) {
+      logger.info('Coincidencia poco fiable, se pedirá confirmación', {
+        type,
+        id: item.id,
+        confidence
+      });
+
+      return {
+        type,
+        label: getSearchResultLabel(type, item),
+        confidence,
+        confirmation: { type, item }
+      };
+    }
+
+    const selection = await buildSelection();
+    selection.confidence = confidence;
+
+    return selection;
+  }
+}
+
+// Exportar una instancia única
+module.exports = new MusicResolverService();
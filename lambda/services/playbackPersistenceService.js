@@ -5,6 +5,7 @@
 
 const DynamoDbService = require('./dynamoDbService');
 const logger = require('../utils/logger');
+const { normalize } = require('../utils/fuzzyMatch');
 
 // Nombre de la tabla para estado de reproducción
 const PLAYBACK_TABLE = process.env.PLAYBACK_TABLE || 'TidalPlaybackState';
@@ -12,8 +13,50 @@ const PLAYBACK_TABLE = process.env.PLAYBACK_TABLE || 'TidalPlaybackState';
 // TTL para el estado de reproducción (24 horas)
 const PLAYBACK_TTL_SECONDS = 24 * 60 * 60;
 
+// Sufijo de la partición donde se guarda quién escucha en cada dispositivo de la cuenta
+const LISTENER_PARTITION_SUFFIX = '#listener';
+
+// Clave de ordenación del registro de oyente activo
+const ACTIVE_LISTENER_SORT_KEY = 'active';
+
+// Modos de repetición de la cola
+const LOOP_MODES = ['off', 'queue', 'track'];
+
+// Campos del estado que describen el reproductor del dispositivo, no la cola:
+// la pista ya encolada en él y los errores de sus eventos
+const PLAYER_STATE_FIELDS = [
+  'enqueuedToken',
+  'enqueuedIndex',
+  'error',
+  'errorType',
+  'errorTimestamp'
+];
+
+/**
+ * Genera un orden aleatorio de reproducción (Fisher-Yates)
+ * Las pistas indicadas en firstIndexes se mantienen al principio en ese orden
+ * @param {number} length - Número de pistas de la cola
+ * @param {Array<number>} firstIndexes - Índices que deben ir primero
+ * @returns {Array<number>} - Permutación de índices de la cola
+ */
+function buildShuffledOrder(length, firstIndexes = []) {
+  const fixed = firstIndexes.filter((index, position) =>
+    Number.isInteger(index) && index >= 0 && index < length
+      && firstIndexes.indexOf(index) === position);
+  const rest = [...Array(length).keys()].filter(index => !fixed.includes(index));
+  
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  
+  return fixed.concat(rest);
+}
+
 /**
  * Clase de servicio para persistencia del estado de reproducción
+ * El estado se guarda por propietario: la cuenta de Alexa o, si Alexa reconoce
+ * la voz, la cuenta más la persona, en cada dispositivo (ver utils/userContext)
  */
 class PlaybackPersistenceService {
   constructor() {
@@ -112,8 +155,8 @@ class PlaybackPersistenceService {
         return null;
       }
       
-      // Verificar si el token coincide con el actual
-      if (currentState.token !== token) {
+      // Verificar si el token coincide con el actual (el AudioPlayer siempre envía cadenas)
+      if (String(currentState.token) !== String(token)) {
         logger.info('El token no coincide con el estado actual', { 
           userId,
           currentToken: currentState.token,
@@ -152,12 +195,14 @@ class PlaybackPersistenceService {
    * @param {string} userId - ID de usuario de Alexa
    * @param {Array} trackList - Lista de tracks
    * @param {number} currentIndex - Índice actual en la lista
+   * @param {Object} extraState - Campos adicionales del estado (tipo, álbum, pista actual...)
    * @returns {Promise<Object>} - Estado de reproducción guardado
    */
-  async savePlaylist(userId, trackList, currentIndex = 0) {
+  async savePlaylist(userId, trackList, currentIndex = 0, extraState = {}) {
     try {
       const playbackState = {
         type: 'playlist',
+        ...extraState,
         trackList,
         currentIndex,
         updatedAt: new Date().toISOString()
@@ -179,13 +224,18 @@ class PlaybackPersistenceService {
     try {
       const state = await this.getLatestPlaybackState(userId);
       
-      if (!state || state.type !== 'playlist') {
+      // Cualquier estado con lista de pistas (álbum, artista, playlist) es una cola
+      if (!state || !Array.isArray(state.trackList)) {
         return null;
       }
       
       return {
         trackList: state.trackList || [],
-        currentIndex: state.currentIndex || 0
+        currentIndex: state.currentIndex || 0,
+        shuffle: Boolean(state.shuffle),
+        playOrder: state.shuffle && Array.isArray(state.playOrder) ? state.playOrder : null,
+        loopMode: state.loopMode || 'off',
+        radio: state.radio || null
       };
     } catch (error) {
       logger.error('Error al obtener playlist', { error, userId });
@@ -201,26 +251,35 @@ class PlaybackPersistenceService {
    */
   async updatePlaylistIndex(userId, newIndex) {
     try {
-      const playlist = await this.getPlaylist(userId);
+      const state = await this.getLatestPlaybackState(userId);
       
-      if (!playlist) {
+      if (!state || !Array.isArray(state.trackList)) {
         return null;
       }
       
       // Validar que el índice esté dentro de los límites
-      const validIndex = Math.max(0, Math.min(newIndex, playlist.trackList.length - 1));
+      const validIndex = Math.max(0, Math.min(newIndex, state.trackList.length - 1));
+      const track = state.trackList[validIndex];
       
+      // Conservar el contexto (álbum, playlist...) y actualizar la pista actual
       const updatedState = {
-        type: 'playlist',
-        trackList: playlist.trackList,
+        ...state,
         currentIndex: validIndex,
+        trackId: track.id,
+        title: track.title,
+        artist: track.artist,
+        token: track.id,
+        offsetInMilliseconds: 0,
+        url: null,
+        enqueuedToken: null,
+        enqueuedIndex: null,
         updatedAt: new Date().toISOString()
       };
       
       await this.savePlaybackState(userId, updatedState);
       
       return {
-        trackList: playlist.trackList,
+        trackList: state.trackList,
         currentIndex: validIndex
       };
     } catch (error) {
@@ -229,6 +288,168 @@ class PlaybackPersistenceService {
     }
   }
   
+  /**
+   * Activa o desactiva la reproducción aleatoria de la cola
+   * Al activarla se guarda una permutación estable que empieza por la pista
+   * actual (y la ya encolada), de modo que "anterior" recorre lo escuchado y
+   * al desactivarla se continúa en el orden original
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {boolean} enabled - true para activar el modo aleatorio
+   * @returns {Promise<Object|null>} - Estado actualizado o null si no hay cola
+   */
+  async setShuffle(userId, enabled) {
+    try {
+      const state = await this.getLatestPlaybackState(userId);
+      
+      if (!state || !Array.isArray(state.trackList)) {
+        return null;
+      }
+      
+      const currentIndex = state.currentIndex || 0;
+      
+      // Las pistas ya escuchadas se quedan por detrás de la actual para que
+      // "anterior" siga funcionando; solo se baraja lo que queda por sonar
+      const currentOrder = state.shuffle && Array.isArray(state.playOrder)
+        && state.playOrder.length === state.trackList.length
+        ? state.playOrder
+        : [...Array(state.trackList.length).keys()];
+      const played = currentOrder.slice(0, Math.max(currentOrder.indexOf(currentIndex), 0));
+      
+      const updatedState = {
+        ...state,
+        shuffle: Boolean(enabled),
+        playOrder: enabled
+          ? buildShuffledOrder(
+            state.trackList.length,
+            [...played, currentIndex, state.enqueuedIndex]
+          )
+          : null,
+        updatedAt: new Date().toISOString()
+      };
+      
+      await this.savePlaybackState(userId, updatedState);
+      
+      logger.info('Modo aleatorio actualizado', { userId, shuffle: updatedState.shuffle });
+      
+      return updatedState;
+    } catch (error) {
+      logger.error('Error al actualizar modo aleatorio', { error, userId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Establece el modo de repetición de la cola
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} loopMode - 'off', 'queue' (repetir la cola) o 'track' (repetir la pista)
+   * @returns {Promise<Object|null>} - Estado actualizado o null si no hay cola
+   */
+  async setLoopMode(userId, loopMode) {
+    try {
+      if (!LOOP_MODES.includes(loopMode)) {
+        throw new Error(`Modo de repetición no válido: ${loopMode}`);
+      }
+      
+      const state = await this.getLatestPlaybackState(userId);
+      
+      if (!state || !Array.isArray(state.trackList)) {
+        return null;
+      }
+      
+      const updatedState = {
+        ...state,
+        loopMode,
+        isComplete: false,
+        updatedAt: new Date().toISOString()
+      };
+      
+      await this.savePlaybackState(userId, updatedState);
+      
+      logger.info('Modo de repetición actualizado', { userId, loopMode });
+      
+      return updatedState;
+    } catch (error) {
+      logger.error('Error al actualizar modo de repetición', { error, userId, loopMode });
+      throw error;
+    }
+  }
+  
+  /**
+   * Inserta pistas en la cola actual sin interrumpir la reproducción
+   * Con el modo aleatorio activo las nuevas pistas también se añaden al orden
+   * de reproducción: tras la pista actual ('next') o al final ('end')
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {Array} tracks - Pistas a insertar ({id, title, artist})
+   * @param {string} position - 'next' para justo después de la actual o 'end' para el final
+   * @param {Object} extraState - Campos adicionales a actualizar en el mismo guardado
+   * @returns {Promise<Object|null>} - Estado actualizado o null si no hay cola
+   */
+  async insertTracks(userId, tracks, position = 'end', extraState = {}) {
+    try {
+      const state = await this.getLatestPlaybackState(userId);
+      
+      if (!state || !Array.isArray(state.trackList)) {
+        return null;
+      }
+      
+      const currentIndex = state.currentIndex || 0;
+      const insertAt = position === 'next'
+        ? Math.min(currentIndex + 1, state.trackList.length)
+        : state.trackList.length;
+      
+      // Desplazar los índices guardados que quedan detrás del punto de inserción
+      const shiftIndex = index => (index >= insertAt ? index + tracks.length : index);
+      const insertedIndexes = tracks.map((track, offset) => insertAt + offset);
+      
+      const trackList = [
+        ...state.trackList.slice(0, insertAt),
+        ...tracks,
+        ...state.trackList.slice(insertAt)
+      ];
+      
+      let { playOrder } = state;
+      
+      if (state.shuffle && Array.isArray(state.playOrder)) {
+        const shiftedOrder = state.playOrder.map(shiftIndex);
+        const orderPosition = position === 'next'
+          ? shiftedOrder.indexOf(currentIndex) + 1
+          : shiftedOrder.length;
+        
+        playOrder = [
+          ...shiftedOrder.slice(0, orderPosition),
+          ...insertedIndexes,
+          ...shiftedOrder.slice(orderPosition)
+        ];
+      }
+      
+      const updatedState = {
+        ...state,
+        ...extraState,
+        trackList,
+        playOrder,
+        enqueuedIndex: typeof state.enqueuedIndex === 'number'
+          ? shiftIndex(state.enqueuedIndex)
+          : state.enqueuedIndex,
+        isComplete: false,
+        updatedAt: new Date().toISOString()
+      };
+      
+      await this.savePlaybackState(userId, updatedState);
+      
+      logger.info('Pistas añadidas a la cola', {
+        userId,
+        position,
+        insertAt,
+        count: tracks.length
+      });
+      
+      return updatedState;
+    } catch (error) {
+      logger.error('Error al añadir pistas a la cola', { error, userId, position });
+      throw error;
+    }
+  }
+  
   /**
    * Elimina el estado de reproducción para un usuario
    * @param {string} userId - ID de usuario de Alexa
@@ -265,6 +486,198 @@ class PlaybackPersistenceService {
       throw error;
     }
   }
+  
+  /**
+   * Registra quién ha empezado a escuchar en un dispositivo de una cuenta
+   * Los eventos del AudioPlayer no identifican a la persona, así que se usa
+   * este registro para aplicarlos a la cola de quien escucha en ese dispositivo.
+   * También conserva los propietarios de estado de la cuenta para poder
+   * borrarlos y los nombres de los dispositivos, por eso no caduca
+   * @param {string} userId - ID de la cuenta de Alexa
+   * @param {string} stateOwnerId - ID del propietario del estado que escucha
+   * @param {Object} options - Persona (personId) y dispositivo (deviceId), opcionales
+   * @returns {Promise<Object>} - Registro del hogar guardado
+   */
+  async setActiveListener(userId, stateOwnerId, options = {}) {
+    const { personId = null, deviceId = null } = options;
+    
+    try {
+      const household = await this._updateHousehold(userId, current => {
+        if (personId && !current.personIds.includes(personId)) {
+          current.personIds.push(personId);
+        }
+        
+        if (!current.stateOwnerIds.includes(stateOwnerId)) {
+          current.stateOwnerIds.push(stateOwnerId);
+        }
+        
+        if (deviceId) {
+          current.devices[deviceId] = {
+            ...current.devices[deviceId],
+            stateOwnerId,
+            updatedAt: new Date().toISOString()
+          };
+        }
+        
+        current.stateOwnerId = stateOwnerId;
+      });
+      
+      logger.debug('Oyente activo registrado', { userId, stateOwnerId, deviceId });
+      
+      return household;
+    } catch (error) {
+      logger.error('Error al registrar oyente activo', { error, userId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Obtiene el registro de oyentes de una cuenta
+   * Con deviceId, stateOwnerId es el de quien escucha en ese dispositivo
+   * (null si nadie ha reproducido nada en él); sin él, el del último oyente
+   * @param {string} userId - ID de la cuenta de Alexa
+   * @param {string} deviceId - ID del dispositivo (opcional)
+   * @returns {Promise<Object|null>} - Registro { stateOwnerId, personIds, stateOwnerIds, devices } o null
+   */
+  async getActiveListener(userId, deviceId = null) {
+    try {
+      const item = await this.dynamoDb.getItem(this._getListenerKey(userId));
+      
+      if (!item) {
+        return null;
+      }
+      
+      const household = this._toHousehold(item);
+      
+      if (deviceId) {
+        const device = household.devices[deviceId];
+        household.stateOwnerId = (device && device.stateOwnerId) || null;
+      }
+      
+      return household;
+    } catch (error) {
+      logger.error('Error al obtener oyente activo', { error, userId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Pone nombre a un dispositivo de la cuenta ("cocina", "salón")
+   * El nombre deja de pertenecer al dispositivo que lo tuviera antes
+   * @param {string} userId - ID de la cuenta de Alexa
+   * @param {string} deviceId - ID del dispositivo
+   * @param {string} name - Nombre del dispositivo
+   * @returns {Promise<Object>} - Registro del hogar guardado
+   */
+  async nameDevice(userId, deviceId, name) {
+    try {
+      const household = await this._updateHousehold(userId, current => {
+        Object.keys(current.devices).forEach(id => {
+          if (id !== deviceId && normalize(current.devices[id].name) === normalize(name)) {
+            delete current.devices[id].name;
+          }
+        });
+        
+        current.devices[deviceId] = { ...current.devices[deviceId], name };
+      });
+      
+      logger.info('Nombre de dispositivo guardado', { userId, deviceId, name });
+      
+      return household;
+    } catch (error) {
+      logger.error('Error al guardar nombre de dispositivo', { error, userId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Elimina el registro de oyentes de una cuenta
+   * @param {string} userId - ID de la cuenta de Alexa
+   * @returns {Promise<boolean>} - true si se eliminó correctamente
+   */
+  async clearActiveListener(userId) {
+    try {
+      await this.dynamoDb.deleteItem(this._getListenerKey(userId));
+      return true;
+    } catch (error) {
+      logger.error('Error al eliminar oyente activo', { error, userId });
+      throw error;
+    }
+  }
+  
+  /**
+   * Copia el estado más reciente de un propietario a otro
+   * Se usa para continuar en un dispositivo lo que sonaba en otro
+   * @param {string} fromOwnerId - ID del propietario de origen
+   * @param {string} toOwnerId - ID del propietario de destino
+   * @returns {Promise<Object|null>} - Estado copiado o null si el origen no tiene estado
+   */
+  async copyPlaybackState(fromOwnerId, toOwnerId) {
+    const playbackState = await this.getLatestPlaybackState(fromOwnerId);
+    
+    if (!playbackState) {
+      return null;
+    }
+    
+    // El reproductor de destino empieza sin nada encolado ni errores del de origen
+    const transferredState = { ...playbackState };
+    PLAYER_STATE_FIELDS.forEach(field => delete transferredState[field]);
+    
+    return this.savePlaybackState(toOwnerId, transferredState);
+  }
+  
+  /**
+   * Lee, modifica y guarda el registro del hogar de una cuenta
+   * @param {string} userId - ID de la cuenta de Alexa
+   * @param {Function} update - Función que modifica el registro recibido
+   * @returns {Promise<Object>} - Registro guardado
+   * @private
+   */
+  async _updateHousehold(userId, update) {
+    const key = this._getListenerKey(userId);
+    const current = await this.dynamoDb.getItem(key);
+    const household = this._toHousehold(current || {});
+    
+    update(household);
+    
+    await this.dynamoDb.putItem({
+      ...key,
+      ...household,
+      updatedAt: new Date().toISOString()
+    });
+    
+    return household;
+  }
+  
+  /**
+   * Normaliza un registro del hogar leído de DynamoDB
+   * Los registros anteriores a los dispositivos solo tienen personIds
+   * @param {Object} item - Elemento de DynamoDB
+   * @returns {Object} - Registro { stateOwnerId, personIds, stateOwnerIds, devices }
+   * @private
+   */
+  _toHousehold(item) {
+    return {
+      stateOwnerId: item.stateOwnerId || null,
+      personIds: item.personIds || [],
+      stateOwnerIds: item.stateOwnerIds || [],
+      devices: item.devices || {}
+    };
+  }
+  
+  /**
+   * Clave del registro de oyentes de una cuenta
+   * Usa una partición propia para no mezclarse con los estados de reproducción
+   * @param {string} userId - ID de la cuenta de Alexa
+   * @returns {Object} - Clave primaria { userId, timestamp }
+   * @private
+   */
+  _getListenerKey(userId) {
+    return {
+      userId: `${userId}${LISTENER_PARTITION_SUFFIX}`,
+      timestamp: ACTIVE_LISTENER_SORT_KEY
+    };
+  }
 }
 
 // Exportar una instancia única
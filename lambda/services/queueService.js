@@ -0,0 +1,373 @@
+/**
+ * Servicio de navegación por la cola de reproducción
+ * Centraliza la lógica de siguiente, anterior y reanudar que comparten
+ * los intents de voz y los eventos de PlaybackController
+ */
+
+const logger = require('../utils/logger');
+const tidalService = require('./tidalService');
+const playbackPersistenceService = require('./playbackPersistenceService');
+const musicResolverService = require('./musicResolverService');
+
+// Tiempo durante el que se reutiliza una URL de streaming guardada (1 hora)
+const SAVED_URL_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Pistas pendientes por debajo de las cuales se recarga una radio
+const RADIO_REFILL_THRESHOLD = 2;
+
+// Margen antes del final de la pista al que se limita un salto (1 segundo)
+const SEEK_END_MARGIN_MS = 1000;
+
+/**
+ * Clase de servicio para navegar por la cola persistida
+ */
+class QueueService {
+  /**
+   * Avanza o retrocede en la cola persistida y prepara la nueva pista
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {number} step - Desplazamiento en la cola (1 siguiente, -1 anterior)
+   * @returns {Promise<Object>} - Resultado con status ('ok', 'noQueue', 'endOfQueue'
+   *   o 'startOfQueue') y, si es 'ok', la pista, su índice y la URL de streaming
+   */
+  async skip(userId, accessToken, step) {
+    try {
+      let playlist = await playbackPersistenceService.getPlaylist(userId);
+
+      if (!playlist || playlist.trackList.length === 0) {
+        return { status: 'noQueue' };
+      }
+
+      let index = this.getAdjacentIndex(playlist, playlist.currentIndex, step);
+
+      // Una radio no se acaba: pedir más pistas si se llega al final
+      const radioEnded = index === -1 && step > 0 && playlist.radio;
+
+      if (radioEnded && await this.extendRadio(userId, accessToken)) {
+        playlist = await playbackPersistenceService.getPlaylist(userId);
+        index = this.getAdjacentIndex(playlist, playlist.currentIndex, step);
+      }
+
+      if (index === -1) {
+        return { status: step > 0 ? 'endOfQueue' : 'startOfQueue' };
+      }
+
+      const track = playlist.trackList[index];
+      const streamUrl = await tidalService.getStreamUrl(accessToken, track.id, userId);
+
+      // Persistir la nueva posición antes de devolver la directiva
+      await playbackPersistenceService.updatePlaylistIndex(userId, index);
+
+      logger.info('Navegando por la cola', { userId, step, index, track: track.title });
+
+      return {
+        status: 'ok',
+        track,
+        index,
+        streamUrl
+      };
+    } catch (error) {
+      logger.error('Error al navegar por la cola', { error, userId, step });
+      throw error;
+    }
+  }
+
+  /**
+   * Calcula la pista vecina en la cola respetando el orden aleatorio y la repetición
+   * @param {Object} playlist - Cola obtenida de playbackPersistenceService.getPlaylist
+   * @param {number} fromIndex - Índice (en trackList) de la pista de referencia
+   * @param {number} step - Desplazamiento en el orden de reproducción
+   * @param {boolean} automatic - true si es el avance automático al terminar una pista
+   * @returns {number} - Índice en trackList de la pista vecina o -1 si no existe
+   */
+  getAdjacentIndex(playlist, fromIndex, step, automatic = false) {
+    const { length } = playlist.trackList;
+
+    if (length === 0) {
+      return -1;
+    }
+
+    // Repetir la pista solo afecta al avance automático, no a siguiente/anterior
+    if (automatic && playlist.loopMode === 'track') {
+      return fromIndex;
+    }
+
+    const order = this._getPlayOrder(playlist);
+    const position = order.indexOf(fromIndex);
+
+    if (position === -1) {
+      return -1;
+    }
+
+    let nextPosition = position + step;
+
+    if (nextPosition < 0 || nextPosition >= length) {
+      if (playlist.loopMode !== 'queue') {
+        return -1;
+      }
+
+      // Al repetir la cola se vuelve al principio (o al final si se retrocede)
+      nextPosition = ((nextPosition % length) + length) % length;
+    }
+
+    return order[nextPosition];
+  }
+
+  /**
+   * Indica si una radio necesita más pistas porque quedan pocas por delante
+   * @param {Object} playlist - Cola obtenida de playbackPersistenceService.getPlaylist
+   * @param {number} fromIndex - Índice (en trackList) de la pista actual
+   * @returns {boolean} - true si es una radio y hay que recargarla
+   */
+  shouldExtendRadio(playlist, fromIndex) {
+    if (!playlist || !playlist.radio) {
+      return false;
+    }
+
+    const order = this._getPlayOrder(playlist);
+    const remaining = order.length - order.indexOf(fromIndex) - 1;
+
+    return remaining < RADIO_REFILL_THRESHOLD;
+  }
+
+  /**
+   * Añade a la cola la siguiente página de la radio activa
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @returns {Promise<Object|null>} - Estado actualizado o null si no hay radio
+   */
+  async extendRadio(userId, accessToken) {
+    const playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+
+    if (!playbackState || !playbackState.radio || !Array.isArray(playbackState.trackList)) {
+      return null;
+    }
+
+    const page = await musicResolverService.getRadioPage(accessToken, playbackState.radio, userId);
+
+    // Evitar repeticiones mientras la radio tenga pistas nuevas
+    const knownIds = new Set(playbackState.trackList.map(track => String(track.id)));
+    const freshTracks = page.tracks.filter(track => !knownIds.has(String(track.id)));
+    const tracks = freshTracks.length > 0 ? freshTracks : page.tracks;
+
+    if (tracks.length === 0) {
+      logger.warn('La radio no ha devuelto pistas', { userId, radio: playbackState.radio });
+      return null;
+    }
+
+    logger.info('Recargando radio', { userId, added: tracks.length, offset: page.nextOffset });
+
+    return playbackPersistenceService.insertTracks(userId, tracks, 'end', {
+      radio: { ...playbackState.radio, offset: page.nextOffset }
+    });
+  }
+
+  /**
+   * Obtiene el punto de reanudación de la última reproducción
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} fallbackState - Estado a usar si no hay nada persistido (opcional)
+   * @returns {Promise<Object|null>} - Estado, URL, offset y metadata, o null si no hay nada
+   */
+  async getResumePoint(userId, accessToken, fallbackState = null) {
+    // Intentar obtener el estado de reproducción desde DynamoDB
+    let playbackState;
+    try {
+      playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+    } catch (error) {
+      logger.error('Error al obtener estado de reproducción', { error, userId });
+    }
+
+    if (!playbackState) {
+      playbackState = fallbackState;
+    }
+
+    if (!playbackState) {
+      return null;
+    }
+
+    logger.info('Reanudando reproducción', {
+      userId,
+      track: playbackState.title,
+      artist: playbackState.artist
+    });
+
+    const offset = playbackState.offsetInMilliseconds || 0;
+    const streamUrl = await this._getPlayableUrl(userId, accessToken, playbackState);
+
+    // Construir metadata para la reproducción
+    const metadata = {
+      title: playbackState.title,
+      artist: playbackState.artist,
+      token: playbackState.token || playbackState.trackId,
+      offsetInMilliseconds: offset
+    };
+
+    // Si hay una lista de reproducción, incluir la posición actual
+    if (playbackState.trackList && typeof playbackState.currentIndex !== 'undefined') {
+      metadata.currentIndex = playbackState.currentIndex;
+    }
+
+    // Añadir información del álbum si está disponible
+    if (playbackState.albumName) {
+      metadata.albumName = playbackState.albumName;
+    }
+
+    // Actualizar timestamp de reanudación
+    await playbackPersistenceService.updateTrackState(userId, metadata.token, {
+      resumedAt: new Date().toISOString()
+    });
+
+    return {
+      playbackState,
+      streamUrl,
+      offset,
+      metadata
+    };
+  }
+
+  /**
+   * Calcula una nueva posición dentro de la pista actual y prepara su reproducción
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} options - Posición absoluta (offsetInMilliseconds) o relativa
+   *   (deltaInMilliseconds) y contexto del AudioPlayer de la petición (opcional)
+   * @returns {Promise<Object|null>} - URL, offset y metadata, o null si no hay pista
+   */
+  async seek(userId, accessToken, options) {
+    const { offsetInMilliseconds = null, deltaInMilliseconds = 0, audioPlayer = null } = options;
+    const playbackState = await playbackPersistenceService.getLatestPlaybackState(userId);
+
+    if (!playbackState) {
+      return null;
+    }
+
+    const trackId = this._getTrackId(playbackState);
+    const token = playbackState.token || trackId;
+
+    // El contexto del AudioPlayer es más reciente que el offset guardado en PlaybackStopped
+    let currentOffset = playbackState.offsetInMilliseconds || 0;
+    if (audioPlayer && String(audioPlayer.token) === String(token)
+      && typeof audioPlayer.offsetInMilliseconds === 'number') {
+      currentOffset = audioPlayer.offsetInMilliseconds;
+    }
+
+    let offset = offsetInMilliseconds !== null
+      ? offsetInMilliseconds
+      : currentOffset + deltaInMilliseconds;
+    offset = Math.max(0, offset);
+
+    // Limitar la posición a la duración de la pista
+    try {
+      const details = await tidalService.getTrackDetails(accessToken, trackId, userId);
+
+      if (details && details.duration) {
+        offset = Math.min(offset, Math.max(0, (details.duration * 1000) - SEEK_END_MARGIN_MS));
+      }
+    } catch (error) {
+      logger.warn('No se pudo obtener la duración de la pista', { error, userId, trackId });
+    }
+
+    const streamUrl = await this._getPlayableUrl(userId, accessToken, playbackState);
+
+    await playbackPersistenceService.updateTrackState(userId, token, {
+      offsetInMilliseconds: offset
+    });
+
+    logger.info('Cambiando posición de reproducción', { userId, trackId, currentOffset, offset });
+
+    return {
+      playbackState,
+      streamUrl,
+      offset,
+      metadata: {
+        title: playbackState.title,
+        artist: playbackState.artist,
+        token,
+        offsetInMilliseconds: offset
+      }
+    };
+  }
+
+  /**
+   * Obtiene una URL de streaming válida para la pista del estado
+   * Reutiliza la URL guardada si es reciente y, si no, pide una nueva y la persiste
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso de Tidal
+   * @param {Object} playbackState - Estado de reproducción
+   * @returns {Promise<string>} - URL de streaming
+   * @private
+   */
+  async _getPlayableUrl(userId, accessToken, playbackState) {
+    const savedUrl = playbackState.url;
+
+    // Verificar si la URL guardada aún es válida
+    const pausedAt = playbackState.pausedAt ? new Date(playbackState.pausedAt) : null;
+    const urlIsValid = pausedAt && ((new Date() - pausedAt) < SAVED_URL_MAX_AGE_MS);
+
+    if (savedUrl && urlIsValid) {
+      // Usar la URL guardada si aún es válida
+      logger.info('Usando URL guardada para reanudar', { userId });
+      return savedUrl;
+    }
+
+    // Obtener una nueva URL si no tenemos una o ha expirado
+    try {
+      const trackId = this._getTrackId(playbackState);
+
+      const streamUrl = await tidalService.getStreamUrl(accessToken, trackId, userId);
+
+      // Actualizar la URL en el estado de reproducción
+      await playbackPersistenceService.updateTrackState(userId, trackId, {
+        url: streamUrl,
+        updatedAt: new Date().toISOString()
+      });
+
+      logger.info('Obtenida nueva URL para reanudar', { userId, trackId });
+
+      return streamUrl;
+    } catch (error) {
+      logger.error('Error al obtener URL para reanudar', { error, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Devuelve el orden de reproducción de la cola (aleatorio u original)
+   * @param {Object} playlist - Cola obtenida de playbackPersistenceService.getPlaylist
+   * @returns {Array<number>} - Índices de trackList en orden de reproducción
+   * @private
+   */
+  _getPlayOrder(playlist) {
+    const { length } = playlist.trackList;
+
+    return playlist.playOrder && playlist.playOrder.length === length
+      ? playlist.playOrder
+      : [...Array(length).keys()];
+  }
+
+  /**
+   * Determina el ID de la pista a reanudar a partir del estado
+   * @param {Object} playbackState - Estado de reproducción
+   * @returns {string} - ID de la pista
+   * @private
+   */
+  _getTrackId(playbackState) {
+    if (playbackState.trackId) {
+      return playbackState.trackId;
+    }
+
+    if (playbackState.token) {
+      return playbackState.token;
+    }
+
+    if (playbackState.trackList && typeof playbackState.currentIndex !== 'undefined') {
+      return playbackState.trackList[playbackState.currentIndex].id;
+    }
+
+    throw new Error('No se puede determinar qué pista reanudar');
+  }
+}
+
+// Exportar una instancia única
+module.exports = new QueueService();
@@ -6,8 +6,15 @@
 const logger = require('../utils/logger');
 const config = require('../services/configService');  // Ruta corregida
 const tidalApi = require('../clients/tidalApiClient');  // Ruta corregida
-const tokenPersistenceService = require('../services/tokenPersistenceService');
+const tokenManagerService = require('../services/tokenManagerService');
 const cacheService = require('../services/cacheService');  // Ruta corregida
+const {
+  normalize,
+  similarity,
+  removeFillerWords,
+  findBestMatch
+} = require('../utils/fuzzyMatch');
+const { toAccountUserId } = require('../utils/userContext');
 
 // Namespace para la caché de Tidal
 const CACHE_NS = 'tidal';
@@ -23,6 +30,29 @@ const CACHE_TTL = {
   streamUrl: 1800        // 30 minutos
 };
 
+// Campo con el que la API identifica cada tipo de favorito al añadirlo
+const FAVORITE_ID_FIELDS = {
+  tracks: 'trackIds',
+  albums: 'albumIds',
+  artists: 'artistIds',
+  playlists: 'uuids'
+};
+
+// URL base de las imágenes de Tidal
+const IMAGE_BASE_URL = 'https://resources.tidal.com/images';
+
+// Peso de cada criterio al puntuar resultados de búsqueda
+const SCORE_WEIGHTS = {
+  withArtist: { title: 0.6, artist: 0.3, popularity: 0.1 },
+  withoutArtist: { title: 0.85, artist: 0, popularity: 0.15 }
+};
+
+// Versiones que solo se prefieren si el usuario las pide expresamente
+const VARIANT_KEYWORDS = [
+  'karaoke', 'tribute', 'tributo', 'live', 'en directo', 'en vivo', 'remix', 'cover'
+];
+const VARIANT_PENALTY = 0.3;
+
 /**
  * Clase de servicio para interactuar con la API de Tidal
  */
@@ -35,6 +65,9 @@ class TidalService {
     // TTL para caché de URLs de streaming
     this.streamUrlTTL = this.config.streamUrlTTL || 1800; // 30 minutos por defecto
     
+    // Umbral por debajo del cual se pide confirmación antes de reproducir
+    this.matchConfidenceThreshold = this.config.matchConfidenceThreshold || 0.75;
+    
     logger.info('TidalService inicializado', {
       cacheEnabled: this.cacheEnabled,
       streamUrlTTL: this.streamUrlTTL
@@ -132,7 +165,7 @@ class TidalService {
    * @param {string} trackName - Nombre de la canción
    * @param {string} artistName - Nombre del artista (opcional)
    * @param {string} userId - ID de usuario de Alexa (opcional)
-   * @returns {Promise<Object>} - Resultados de búsqueda
+   * @returns {Promise<Object>} - Pistas ordenadas por relevancia y confianza del mejor resultado
    */
   async searchTrack(accessToken, trackName, artistName = null, userId = null) {
     try {
@@ -144,7 +177,7 @@ class TidalService {
       // Generar clave de caché
       const cacheKey = cacheService.makeKey('track', query);
       
-      return await cacheService.getOrSet(
+      const results = await cacheService.getOrSet(
         CACHE_NS,
         cacheKey,
         async () => {
@@ -170,6 +203,8 @@ class TidalService {
         },
         CACHE_TTL.tracks
       );
+      
+      return this._rankSearchResults('track', results.tracks, trackName, artistName);
     } catch (error) {
       logger.error('Error en búsqueda de canción', { error, trackName, artistName });
       throw this._handleApiError(error);
@@ -182,7 +217,7 @@ class TidalService {
    * @param {string} albumName - Nombre del álbum
    * @param {string} artistName - Nombre del artista (opcional)
    * @param {string} userId - ID de usuario de Alexa (opcional)
-   * @returns {Promise<Object>} - Resultados de búsqueda
+   * @returns {Promise<Object>} - Álbumes ordenados por relevancia y confianza del mejor resultado
    */
   async searchAlbum(accessToken, albumName, artistName = null, userId = null) {
     try {
@@ -194,7 +229,7 @@ class TidalService {
       // Generar clave de caché
       const cacheKey = cacheService.makeKey('album', query);
       
-      return await cacheService.getOrSet(
+      const results = await cacheService.getOrSet(
         CACHE_NS,
         cacheKey,
         async () => {
@@ -220,6 +255,8 @@ class TidalService {
         },
         CACHE_TTL.albums
       );
+      
+      return this._rankSearchResults('album', results.albums, albumName, artistName);
     } catch (error) {
       logger.error('Error en búsqueda de álbum', { error, albumName, artistName });
       throw this._handleApiError(error);
@@ -231,14 +268,14 @@ class TidalService {
    * @param {string} accessToken - Token de acceso
    * @param {string} artistName - Nombre del artista
    * @param {string} userId - ID de usuario de Alexa (opcional)
-   * @returns {Promise<Object>} - Resultados de búsqueda
+   * @returns {Promise<Object>} - Artistas ordenados por relevancia y confianza del mejor resultado
    */
   async searchArtist(accessToken, artistName, userId = null) {
     try {
       // Generar clave de caché
       const cacheKey = cacheService.makeKey('artist', artistName);
       
-      return await cacheService.getOrSet(
+      const results = await cacheService.getOrSet(
         CACHE_NS,
         cacheKey,
         async () => {
@@ -264,6 +301,8 @@ class TidalService {
         },
         CACHE_TTL.artists
       );
+      
+      return this._rankSearchResults('artist', results.artists, artistName, null);
     } catch (error) {
       logger.error('Error en búsqueda de artista', { error, artistName });
       throw this._handleApiError(error);
@@ -438,6 +477,92 @@ class TidalService {
     }
   }
   
+  /**
+   * Obtiene una página de la radio de una pista o un artista
+   * @param {string} accessToken - Token de acceso
+   * @param {string} seedType - 'tracks' o 'artists'
+   * @param {string} seedId - ID de la pista o artista semilla
+   * @param {number} limit - Número de pistas de la página
+   * @param {number} offset - Posición de la página dentro de la radio
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Array>} - Lista de pistas
+   */
+  async getRadio(accessToken, seedType, seedId, limit = 10, offset = 0, userId = null) {
+    try {
+      // Generar clave de caché
+      const cacheKey = cacheService.makeKey('radio', seedType, seedId, limit, offset);
+      
+      return await cacheService.getOrSet(
+        CACHE_NS,
+        cacheKey,
+        async () => {
+          const params = {
+            limit,
+            offset,
+            countryCode: this.config.countryCode
+          };
+          
+          // Crear función que acepta el token como parámetro
+          const fetchRadio = token => tidalApi.get(`/${seedType}/${seedId}/radio`, params, token);
+          
+          const response = await this._executeWithTokenRefresh(
+            fetchRadio,
+            accessToken,
+            userId
+          );
+          
+          return response.data.items || [];
+        },
+        CACHE_TTL.tracks
+      );
+    } catch (error) {
+      logger.error('Error al obtener radio', { error, seedType, seedId });
+      throw this._handleApiError(error);
+    }
+  }
+  
+  /**
+   * Obtiene artistas similares a uno dado
+   * @param {string} accessToken - Token de acceso
+   * @param {string} artistId - ID del artista
+   * @param {number} limit - Límite de artistas a obtener
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Array>} - Lista de artistas similares
+   */
+  async getSimilarArtists(accessToken, artistId, limit = 10, userId = null) {
+    try {
+      // Generar clave de caché
+      const cacheKey = cacheService.makeKey('similarArtists', artistId, limit);
+      
+      return await cacheService.getOrSet(
+        CACHE_NS,
+        cacheKey,
+        async () => {
+          const params = {
+            limit,
+            offset: 0,
+            countryCode: this.config.countryCode
+          };
+          
+          // Crear función que acepta el token como parámetro
+          const fetchSimilar = token => tidalApi.get(`/artists/${artistId}/similar`, params, token);
+          
+          const response = await this._executeWithTokenRefresh(
+            fetchSimilar,
+            accessToken,
+            userId
+          );
+          
+          return response.data.items || [];
+        },
+        CACHE_TTL.artists
+      );
+    } catch (error) {
+      logger.error('Error al obtener artistas similares', { error, artistId });
+      throw this._handleApiError(error);
+    }
+  }
+  
   /**
    * Obtiene la URL de streaming para una pista
    * @param {string} accessToken - Token de acceso
@@ -470,7 +595,10 @@ class TidalService {
           );
           
           if (!response.data || !response.data.manifest || !response.data.manifest.url) {
-            throw new Error('No se pudo obtener la URL de streaming');
+            throw Object.assign(
+              new Error('No se pudo obtener la URL de streaming'),
+              { isCustom: true }
+            );
           }
           
           return response.data.manifest.url;
@@ -493,7 +621,7 @@ class TidalService {
   async getFavorites(accessToken, type, userId = null) {
     try {
       // Los favoritos cambian con frecuencia, TTL más corto
-      const cacheKey = cacheService.makeKey('favorites', type, userId || accessToken.substring(0, 10));
+      const cacheKey = this._getFavoritesCacheKey(type, accessToken, userId);
       
       return await cacheService.getOrSet(
         CACHE_NS,
@@ -524,6 +652,73 @@ class TidalService {
     }
   }
   
+  /**
+   * Añade un elemento a la colección del usuario (me gusta)
+   * @param {string} accessToken - Token de acceso
+   * @param {string} type - Tipo de favorito ('tracks', 'albums', 'artists' o 'playlists')
+   * @param {string} itemId - ID del elemento
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<boolean>} - true si se añadió correctamente
+   */
+  async addFavorite(accessToken, type, itemId, userId = null) {
+    try {
+      const data = {
+        [FAVORITE_ID_FIELDS[type]]: itemId,
+        countryCode: this.config.countryCode
+      };
+      
+      // Crear función que acepta el token como parámetro
+      const saveFavorite = token => tidalApi.post(`/favorites/${type}`, data, token);
+      
+      await this._executeWithTokenRefresh(saveFavorite, accessToken, userId);
+      
+      // La colección ha cambiado, descartar la lista cacheada
+      cacheService.delete(CACHE_NS, this._getFavoritesCacheKey(type, accessToken, userId));
+      
+      logger.info('Favorito añadido', { type, itemId, userId });
+      
+      return true;
+    } catch (error) {
+      logger.error('Error al añadir favorito', { error, type, itemId });
+      throw this._handleApiError(error);
+    }
+  }
+  
+  /**
+   * Elimina un elemento de la colección del usuario (ya no me gusta)
+   * @param {string} accessToken - Token de acceso
+   * @param {string} type - Tipo de favorito ('tracks', 'albums', 'artists' o 'playlists')
+   * @param {string} itemId - ID del elemento
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<boolean>} - true si se eliminó correctamente
+   */
+  async removeFavorite(accessToken, type, itemId, userId = null) {
+    try {
+      const params = {
+        countryCode: this.config.countryCode
+      };
+      
+      // Crear función que acepta el token como parámetro
+      const deleteFavorite = token => tidalApi.delete(
+        `/favorites/${type}/${itemId}`,
+        params,
+        token
+      );
+      
+      await this._executeWithTokenRefresh(deleteFavorite, accessToken, userId);
+      
+      // La colección ha cambiado, descartar la lista cacheada
+      cacheService.delete(CACHE_NS, this._getFavoritesCacheKey(type, accessToken, userId));
+      
+      logger.info('Favorito eliminado', { type, itemId, userId });
+      
+      return true;
+    } catch (error) {
+      logger.error('Error al eliminar favorito', { error, type, itemId });
+      throw this._handleApiError(error);
+    }
+  }
+  
   /**
    * Obtiene las playlists del usuario
    * @param {string} accessToken - Token de acceso
@@ -533,7 +728,10 @@ class TidalService {
   async getUserPlaylists(accessToken, userId = null) {
     try {
       // Las playlists del usuario cambian con frecuencia, TTL más corto
-      const cacheKey = cacheService.makeKey('userPlaylists', userId || accessToken.substring(0, 10));
+      const cacheKey = cacheService.makeKey(
+        'userPlaylists',
+        this._getAccountCacheOwner(accessToken, userId)
+      );
       
       return await cacheService.getOrSet(
         CACHE_NS,
@@ -564,6 +762,36 @@ class TidalService {
     }
   }
   
+  /**
+   * Busca entre las playlists del usuario la que corresponde a un nombre dicho en voz alta
+   * Ignora tildes, emojis y expresiones como "mi lista de", y compara también cómo suena
+   * @param {string} accessToken - Token de acceso
+   * @param {string} playlistName - Nombre dicho por el usuario
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<Object|null>} - { playlist, score } o null si ninguna se parece
+   */
+  async findUserPlaylist(accessToken, playlistName, userId = null) {
+    const collection = await this.getUserPlaylists(accessToken, userId);
+    
+    // Los elementos de la colección vienen envueltos en item o data
+    const playlists = collection.map(entry => entry.item || entry.data || entry);
+    const getName = playlist => removeFillerWords(playlist.title || playlist.name);
+    const match = findBestMatch(removeFillerWords(playlistName), playlists, getName);
+    
+    if (!match) {
+      return null;
+    }
+    
+    return {
+      playlist: {
+        ...match.item,
+        id: match.item.uuid || match.item.id,
+        title: match.item.title || match.item.name
+      },
+      score: match.score
+    };
+  }
+  
   /**
    * Obtiene recomendaciones personalizadas para el usuario
    * @param {string} accessToken - Token de acceso
@@ -573,7 +801,10 @@ class TidalService {
   async getRecommendations(accessToken, userId = null) {
     try {
       // Las recomendaciones cambian con frecuencia, TTL más corto
-      const cacheKey = cacheService.makeKey('recommendations', userId || accessToken.substring(0, 10));
+      const cacheKey = cacheService.makeKey(
+        'recommendations',
+        this._getAccountCacheOwner(accessToken, userId)
+      );
       
       return await cacheService.getOrSet(
         CACHE_NS,
@@ -641,6 +872,114 @@ class TidalService {
     }
   }
   
+  /**
+   * Construye la URL pública de una imagen de Tidal (portada de álbum, playlist...)
+   * La API devuelve identificadores con guiones en lugar de URLs completas
+   * @param {string} imageId - Identificador de la imagen o URL ya completa
+   * @param {number} size - Tamaño en píxeles (80, 160, 320, 640 o 1280)
+   * @returns {string|null} - URL de la imagen o null si no hay imagen
+   */
+  getImageUrl(imageId, size = 640) {
+    if (!imageId) {
+      return null;
+    }
+    
+    if (/^https?:\/\//.test(imageId)) {
+      return imageId;
+    }
+    
+    return `${IMAGE_BASE_URL}/${imageId.replace(/-/g, '/')}/${size}x${size}.jpg`;
+  }
+  
+  /**
+   * Puntúa un resultado de búsqueda entre 0 y 1 según lo que pidió el usuario
+   * Combina la similitud del título, la coincidencia del artista y la popularidad,
+   * y penaliza versiones karaoke, tributo, en directo o remix no solicitadas
+   * @param {string} type - 'track', 'album' o 'artist'
+   * @param {Object} candidate - Pista, álbum o artista devuelto por la API
+   * @param {Object} query - { name, artistName } dichos por el usuario
+   * @returns {number} - Puntuación del resultado
+   */
+  scoreCandidate(type, candidate, { name, artistName = null }) {
+    const title = type === 'artist' ? candidate.name : candidate.title;
+    const fullTitle = candidate.version ? `${title} (${candidate.version})` : title;
+    const baseTitle = String(title || '').replace(/\s*[([].*?[)\]]/g, '').replace(/\s+-\s+.*$/, '');
+    const titleScore = Math.max(similarity(name, fullTitle), similarity(name, baseTitle));
+    
+    const candidateArtists = (candidate.artists || []).map(artist => artist.name);
+    if (candidate.artist && candidate.artist.name) {
+      candidateArtists.push(candidate.artist.name);
+    }
+    
+    const weights = artistName && type !== 'artist'
+      ? SCORE_WEIGHTS.withArtist
+      : SCORE_WEIGHTS.withoutArtist;
+    const artistScore = weights.artist > 0
+      ? Math.max(0, ...candidateArtists.map(artist => similarity(artistName, artist)))
+      : 0;
+    const popularityScore = typeof candidate.popularity === 'number'
+      ? Math.min(candidate.popularity, 100) / 100
+      : 0.5;
+    
+    let score = (weights.title * titleScore)
+      + (weights.artist * artistScore)
+      + (weights.popularity * popularityScore);
+    
+    // Una versión alternativa solo cuenta como buena si el usuario la pidió
+    const candidateText = ` ${normalize([fullTitle, ...candidateArtists].join(' '))} `;
+    const queryText = ` ${normalize(`${name} ${artistName || ''}`)} `;
+    const isUnrequestedVariant = VARIANT_KEYWORDS.some(keyword =>
+      candidateText.includes(` ${keyword} `) && !queryText.includes(` ${keyword} `));
+    
+    if (isUnrequestedVariant) {
+      score -= VARIANT_PENALTY;
+    }
+    
+    return Math.max(0, score);
+  }
+  
+  /**
+   * Ordena resultados de búsqueda de mayor a menor puntuación
+   * @param {string} type - 'track', 'album' o 'artist'
+   * @param {Array} candidates - Resultados devueltos por la API
+   * @param {Object} query - { name, artistName } dichos por el usuario
+   * @returns {Array} - Lista de { item, score } ordenada por relevancia
+   */
+  rankCandidates(type, candidates, query) {
+    return (candidates || [])
+      .map((item, index) => ({ item, index, score: this.scoreCandidate(type, item, query) }))
+      // A igual puntuación se respeta el orden original de la API
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .map(({ item, score }) => ({ item, score }));
+  }
+  
+  /**
+   * Indica si la puntuación del mejor resultado basta para reproducirlo sin preguntar
+   * @param {number} confidence - Puntuación del mejor resultado
+   * @returns {boolean} - true si supera el umbral de confianza configurado
+   */
+  isConfidentMatch(confidence) {
+    return confidence >= this.matchConfidenceThreshold;
+  }
+  
+  /**
+   * Construye la respuesta de una búsqueda con los resultados ordenados por relevancia
+   * @param {string} type - 'track', 'album' o 'artist'
+   * @param {Array} items - Resultados devueltos por la API
+   * @param {string} name - Nombre buscado
+   * @param {string} artistName - Artista indicado por el usuario (opcional)
+   * @returns {Object} - Resultados ordenados y confianza del primero
+   * @private
+   */
+  _rankSearchResults(type, items, name, artistName) {
+    const ranked = this.rankCandidates(type, items, { name, artistName });
+    
+    return {
+      [`${type}s`]: ranked.map(candidate => candidate.item),
+      confidence: ranked.length > 0 ? ranked[0].score : 0
+    };
+  }
+  
   /**
    * Limpia la caché del servicio
    * @param {string} type - Tipo de datos a limpiar (opcional)
@@ -661,6 +1000,29 @@ class TidalService {
     }
   }
   
+  /**
+   * Limpia las entradas de caché de un usuario (favoritos, playlists,
+   * recomendaciones e información de cuenta)
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso (opcional)
+   * @returns {number} - Número de entradas eliminadas
+   */
+  clearUserCache(userId, accessToken = null) {
+    // Las claves de usuario terminan en el token, su prefijo o el ID de la
+    // cuenta (ver _getAccountCacheOwner)
+    const tokenOwners = [accessToken, accessToken && accessToken.substring(0, 10)]
+      .filter(Boolean);
+    
+    const removed = cacheService.deleteMatching(CACHE_NS, key => {
+      const owner = key.slice(key.lastIndexOf(':') + 1);
+      return tokenOwners.includes(owner) || toAccountUserId(owner) === userId;
+    });
+    
+    logger.info('Caché del usuario limpiada', { userId, removed });
+    
+    return removed;
+  }
+  
   /**
    * Obtiene estadísticas de la caché
    * @returns {Object} - Estadísticas
@@ -671,7 +1033,8 @@ class TidalService {
 
   /**
    * Ejecuta una función con soporte para refresco automático de token
-   * Si ocurre un error 401, intenta refrescar el token y reintentar la operación
+   * Antes de la llamada se refresca el token si está próximo a expirar; si aun así
+   * la API responde 401, se refresca y se reintenta la operación una vez
    * @param {Function} apiCallFn - Función que realiza la llamada a la API (debe aceptar token como parámetro)
    * @param {string} accessToken - Token de acceso actual
    * @param {string} userId - ID de usuario de Alexa (opcional)
@@ -679,75 +1042,69 @@ class TidalService {
    * @private
    */
   async _executeWithTokenRefresh(apiCallFn, accessToken, userId) {
+    // Los tokens son de la cuenta aunque el estado sea de un miembro del hogar
+    const accountUserId = toAccountUserId(userId);
+    const token = accessToken
+      ? await tokenManagerService.getValidAccessToken(accessToken, accountUserId)
+      : accessToken;
+    
     try {
-      // Intentar realizar la llamada API con el token actual
-      return await apiCallFn(accessToken);
+      // Intentar realizar la llamada API con el token vigente
+      return await apiCallFn(token);
     } catch (error) {
       // Si el error no es 401 (Unauthorized) o no hay token, propagar el error
-      if (!error.response || error.response.status !== 401 || !accessToken) {
+      if (!error.response || error.response.status !== 401 || !token) {
         throw error;
       }
 
-      logger.info('Token expirado, intentando refrescar...', { userId });
+      logger.info('Token rechazado, intentando refrescar...', { userId });
 
+      let newAccessToken;
       try {
-        let refreshToken;
-        
-        // Intentar obtener refreshToken de la base de datos persistente si tenemos userId
-        if (userId) {
-          const tokens = await tokenPersistenceService.getTokensByUserId(userId);
-          if (tokens && tokens.refreshToken) {
-            refreshToken = tokens.refreshToken;
-          }
-        }
-        
-        // Si no tenemos userId o no encontramos el token, buscar por accessToken
-        if (!refreshToken) {
-          refreshToken = await tokenPersistenceService.getRefreshTokenByAccessToken(accessToken);
-        }
-        
-        if (!refreshToken) {
-          logger.warn('No se encontró refreshToken para este accessToken', { userId });
-          throw error; // Re-lanzar error original si no hay refreshToken
-        }
-
-        // Solicitar nuevo token usando el refreshToken
-        const newTokens = await tidalApi.refreshAccessToken(refreshToken);
-        
-        // Guardar el nuevo par de tokens en la persistencia si tenemos userId
-        if (userId) {
-          await tokenPersistenceService.updateTokens(
-            userId,
-            accessToken,
-            newTokens.access_token,
-            newTokens.refresh_token,
-            newTokens.expires_in
-          );
-        } else {
-          // Si no tenemos userId, solo actualizamos la caché en memoria
-          await tokenPersistenceService.saveTokens(
-            'anonymous', // Usamos 'anonymous' como userId temporal
-            newTokens.access_token,
-            newTokens.refresh_token,
-            newTokens.expires_in
-          );
-        }
-        
-        // Limpiar caché relacionada con este token
-        this._clearTokenRelatedCache(accessToken);
-        
-        logger.info('Token refrescado exitosamente', { userId });
-        
-        // Ahora simplemente reintentar la llamada original con el nuevo token
-        return await apiCallFn(newTokens.access_token);
+        newAccessToken = await tokenManagerService.refreshAfterUnauthorized(token, accountUserId);
       } catch (refreshError) {
         logger.error('Error al refrescar token', { refreshError, userId });
         // Si falla el refresh, propagar el error original
         throw error;
       }
+      
+      if (!newAccessToken) {
+        throw error; // Re-lanzar error original si no hay refreshToken
+      }
+      
+      // Limpiar caché relacionada con el token rechazado
+      this._clearTokenRelatedCache(token);
+      
+      // Reintentar la llamada original con el nuevo token
+      return apiCallFn(newAccessToken);
     }
   }
   
+  /**
+   * Genera la clave de caché de los favoritos de un tipo
+   * @param {string} type - Tipo de favorito
+   * @param {string} accessToken - Token de acceso
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {string} - Clave de caché
+   * @private
+   */
+  _getFavoritesCacheKey(type, accessToken, userId) {
+    return cacheService.makeKey('favorites', type, this._getAccountCacheOwner(accessToken, userId));
+  }
+  
+  /**
+   * Obtiene el propietario de la caché de los datos de la cuenta de Tidal
+   * La colección, las playlists y las recomendaciones son de la cuenta, no de
+   * cada miembro del hogar, así que todos comparten la misma entrada
+   * @param {string} accessToken - Token de acceso
+   * @param {string} userId - ID del propietario del estado (opcional)
+   * @returns {string} - ID de la cuenta o prefijo del token si no hay usuario
+   * @private
+   */
+  _getAccountCacheOwner(accessToken, userId) {
+    return userId ? toAccountUserId(userId) : accessToken.substring(0, 10);
+  }
+  
   /**
    * Limpia entradas de caché relacionadas con un token
    * @param {string} accessToken - Token de acceso
@@ -774,6 +1131,11 @@ class TidalService {
    * @private
    */
   _handleApiError(error) {
+    // Si ya es un error personalizado, devolverlo
+    if (error.isCustom) {
+      return error;
+    }
+    
     // Si es un error de red o timeout
     if (!error.response) {
       return new Error('Error de conexión con el servicio de Tidal');
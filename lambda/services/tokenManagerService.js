@@ -0,0 +1,306 @@
+/**
+ * Servicio de gestión del ciclo de vida de los tokens de Tidal
+ * Comprueba la expiración guardada antes de cada llamada a la API y refresca
+ * los tokens próximos a expirar, sin esperar a recibir un 401
+ */
+
+const logger = require('../utils/logger');
+const config = require('./configService');
+const tidalApi = require('../clients/tidalApiClient');
+const tokenPersistenceService = require('./tokenPersistenceService');
+
+// Usuario con el que se guardan los tokens refrescados sin userId de Alexa
+const ANONYMOUS_USER = 'anonymous';
+
+// Espera entre relecturas y número de relecturas mientras otra instancia refresca
+const REFRESH_WAIT_MS = 250;
+const REFRESH_WAIT_ATTEMPTS = 8;
+
+/**
+ * Clase de servicio para mantener vigentes los tokens de acceso
+ */
+class TokenManagerService {
+  constructor() {
+    const tidalConfig = config.getSection('tidal');
+
+    // Margen (en segundos) antes de la expiración en el que se refresca el token
+    this.refreshMargin = tidalConfig.tokenRefreshMargin || 300;
+
+    // Ventana (en segundos) del refresco anticipado del mantenimiento programado
+    this.sweepWindow = tidalConfig.tokenSweepWindow || 900;
+
+    // Tokens conocidos por usuario, para no consultar DynamoDB en cada llamada
+    this.tokenState = new Map();
+
+    // Refrescos en curso por usuario (o por token), para no repetirlos en paralelo
+    this.pendingRefreshes = new Map();
+  }
+
+  /**
+   * Obtiene un token de acceso vigente para llamar a la API
+   * Si el token guardado del usuario está próximo a expirar, lo refresca antes
+   * @param {string} accessToken - Token de acceso de la petición de Alexa
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<string>} - Token de acceso a usar
+   */
+  async getValidAccessToken(accessToken, userId) {
+    if (!userId) {
+      return accessToken;
+    }
+
+    try {
+      const tokens = await this._getTokens(userId);
+
+      // Sin refreshToken no se puede refrescar: se usa el token de la petición
+      if (!tokens || !tokens.refreshToken) {
+        return accessToken;
+      }
+
+      if (!this._expiresSoon(tokens.expiresAt, this.refreshMargin)) {
+        return tokens.accessToken;
+      }
+
+      logger.info('Token próximo a expirar, refrescando por adelantado', { userId });
+
+      return await this.refreshTokens(userId);
+    } catch (error) {
+      // Si falla, se usa el token de la petición y se recurre al refresco tras un 401
+      logger.warn('No se pudo comprobar la expiración del token', { error, userId });
+      return accessToken;
+    }
+  }
+
+  /**
+   * Refresca los tokens de un usuario si están próximos a expirar
+   * Las llamadas simultáneas para el mismo usuario comparten un único refresco
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {Object} options - { rejectedAccessToken, margin }
+   * @returns {Promise<string>} - Token de acceso vigente
+   */
+  refreshTokens(userId, { rejectedAccessToken = null, margin = this.refreshMargin } = {}) {
+    return this._deduplicate(userId, () =>
+      this._refreshUserTokens(userId, rejectedAccessToken, margin));
+  }
+
+  /**
+   * Obtiene un token nuevo después de que la API rechace uno con 401
+   * @param {string} accessToken - Token de acceso rechazado
+   * @param {string} userId - ID de usuario de Alexa (opcional)
+   * @returns {Promise<string|null>} - Nuevo token de acceso o null si no hay refreshToken
+   */
+  async refreshAfterUnauthorized(accessToken, userId) {
+    if (userId) {
+      const tokens = await this._getTokens(userId, { reload: true });
+
+      if (tokens && tokens.refreshToken) {
+        return this.refreshTokens(userId, { rejectedAccessToken: accessToken });
+      }
+    }
+
+    // Sin tokens del usuario, buscar el refreshToken asociado al accessToken
+    return this._deduplicate(`token:${accessToken}`, async () => {
+      const refreshToken = await tokenPersistenceService.getRefreshTokenByAccessToken(accessToken);
+
+      if (!refreshToken) {
+        logger.warn('No se encontró refreshToken para este accessToken', { userId });
+        return null;
+      }
+
+      const newTokens = await tidalApi.refreshAccessToken(refreshToken);
+      const saved = await tokenPersistenceService.saveTokens(
+        userId || ANONYMOUS_USER,
+        newTokens.access_token,
+        newTokens.refresh_token || refreshToken,
+        newTokens.expires_in
+      );
+
+      logger.info('Token refrescado exitosamente', { userId });
+
+      return saved.accessToken;
+    });
+  }
+
+  /**
+   * Refresca por adelantado los tokens que expiran dentro de la ventana indicada
+   * Se ejecuta desde el mantenimiento programado
+   * @param {number} windowSeconds - Ventana en segundos (opcional)
+   * @returns {Promise<Object>} - Resumen { checked, refreshed, failed }
+   */
+  async refreshExpiringTokens(windowSeconds = this.sweepWindow) {
+    const limit = new Date(Date.now() + windowSeconds * 1000);
+    const expiring = await tokenPersistenceService.getTokensExpiringBefore(limit);
+
+    // Los tokens sin refreshToken (los de la vinculación) los refresca Alexa
+    const userIds = [...new Set(expiring
+      .filter(token => token.hasRefreshToken)
+      .map(token => token.userId))]
+      .filter(userId => userId !== ANONYMOUS_USER);
+
+    const results = await Promise.all(userIds.map(async userId => {
+      try {
+        await this.refreshTokens(userId, { margin: windowSeconds });
+        return true;
+      } catch (error) {
+        logger.error('Error al refrescar token en el mantenimiento', { error, userId });
+        return false;
+      }
+    }));
+
+    const summary = {
+      checked: userIds.length,
+      refreshed: results.filter(Boolean).length,
+      failed: results.filter(result => !result).length
+    };
+
+    logger.info('Refresco anticipado de tokens completado', summary);
+
+    return summary;
+  }
+
+  /**
+   * Olvida los tokens conocidos de un usuario
+   * @param {string} userId - ID de usuario de Alexa (si se omite, de todos)
+   */
+  clearState(userId = null) {
+    if (userId) {
+      this.tokenState.delete(userId);
+    } else {
+      this.tokenState.clear();
+    }
+  }
+
+  /**
+   * Refresca los tokens guardados de un usuario
+   * Relee la persistencia primero: si otra instancia ya refrescó el token,
+   * se reutiliza el suyo en lugar de gastar de nuevo el refreshToken. Si otra
+   * instancia lo está refrescando en este momento, la reserva condicional
+   * falla y se espera a leer los tokens que guarde
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} rejectedAccessToken - Token que la API rechazó (opcional)
+   * @param {number} margin - Margen en segundos antes de la expiración
+   * @returns {Promise<string>} - Token de acceso vigente
+   * @private
+   */
+  async _refreshUserTokens(userId, rejectedAccessToken, margin) {
+    const tokens = await this._getTokens(userId, { reload: true });
+
+    if (!tokens || !tokens.refreshToken) {
+      throw new Error('No hay refreshToken guardado para el usuario');
+    }
+
+    const rejected = tokens.accessToken === rejectedAccessToken;
+
+    if (!rejected && !this._expiresSoon(tokens.expiresAt, margin)) {
+      return tokens.accessToken;
+    }
+
+    const claimed = await tokenPersistenceService.claimRefresh(
+      userId,
+      tokens.accessToken,
+      tokens.expiresAt
+    );
+
+    if (!claimed) {
+      return this._waitForRefreshedTokens(userId, tokens.accessToken);
+    }
+
+    const newTokens = await tidalApi.refreshAccessToken(tokens.refreshToken);
+    const saved = await tokenPersistenceService.updateTokens(
+      userId,
+      tokens.accessToken,
+      newTokens.access_token,
+      newTokens.refresh_token || tokens.refreshToken,
+      newTokens.expires_in,
+      tokens.tidalUserId
+    );
+
+    this.tokenState.set(userId, { ...saved, tidalUserId: tokens.tidalUserId });
+
+    logger.info('Token refrescado exitosamente', { userId, expiresAt: saved.expiresAt });
+
+    return saved.accessToken;
+  }
+
+  /**
+   * Relee los tokens guardados hasta que aparezca el que guarda la instancia
+   * que ganó la reserva del refresco
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} oldAccessToken - Token de acceso que se estaba refrescando
+   * @returns {Promise<string>} - Token de acceso refrescado por la otra instancia
+   * @private
+   */
+  async _waitForRefreshedTokens(userId, oldAccessToken) {
+    for (let attempt = 0; attempt < REFRESH_WAIT_ATTEMPTS; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, REFRESH_WAIT_MS));
+
+      const tokens = await this._getTokens(userId, { reload: true });
+
+      if (tokens && tokens.accessToken !== oldAccessToken) {
+        logger.info('Usando el token refrescado por otra instancia', { userId });
+        return tokens.accessToken;
+      }
+    }
+
+    throw new Error('Otra instancia no terminó de refrescar el token a tiempo');
+  }
+
+  /**
+   * Ejecuta un refresco solo si no hay otro en curso con la misma clave
+   * @param {string} key - Clave del refresco (userId o token)
+   * @param {Function} refreshFn - Función que realiza el refresco
+   * @returns {Promise<*>} - Resultado del refresco en curso
+   * @private
+   */
+  _deduplicate(key, refreshFn) {
+    if (this.pendingRefreshes.has(key)) {
+      logger.debug('Reutilizando refresco de token en curso', { key });
+      return this.pendingRefreshes.get(key);
+    }
+
+    const refresh = Promise.resolve()
+      .then(refreshFn)
+      .finally(() => this.pendingRefreshes.delete(key));
+
+    this.pendingRefreshes.set(key, refresh);
+
+    return refresh;
+  }
+
+  /**
+   * Obtiene los tokens de un usuario, de memoria o de la persistencia
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {Object} options - { reload } para forzar la lectura de la persistencia
+   * @returns {Promise<Object|null>} - Tokens { accessToken, refreshToken, expiresAt, tidalUserId }
+   * @private
+   */
+  async _getTokens(userId, { reload = false } = {}) {
+    if (!reload && this.tokenState.has(userId)) {
+      return this.tokenState.get(userId);
+    }
+
+    const tokens = await tokenPersistenceService.getTokensByUserId(userId);
+
+    if (tokens) {
+      this.tokenState.set(userId, tokens);
+    } else {
+      this.tokenState.delete(userId);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Indica si una fecha de expiración cae dentro del margen indicado
+   * @param {Date} expiresAt - Fecha de expiración
+   * @param {number} margin - Margen en segundos
+   * @returns {boolean} - true si el token expira pronto (o la fecha no es válida)
+   * @private
+   */
+  _expiresSoon(expiresAt, margin) {
+    const time = new Date(expiresAt).getTime();
+
+    return Number.isNaN(time) || time - Date.now() <= margin * 1000;
+  }
+}
+
+module.exports = new TokenManagerService();
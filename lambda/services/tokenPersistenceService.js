@@ -6,6 +6,10 @@
 const DynamoDbService = require('./dynamoDbService');
 const logger = require('../utils/logger');
 const config = require('./configService');
+const encryptionService = require('./encryptionService');
+
+// Tiempo tras el que una reserva de refresco abandonada deja de bloquear a las demás
+const REFRESH_CLAIM_TTL_MS = 30 * 1000;
 
 /**
  * Clase de servicio para persistencia de tokens
@@ -37,9 +41,10 @@ class TokenPersistenceService {
    * @param {string} accessToken - Token de acceso
    * @param {string} refreshToken - Token de refresco
    * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @param {string} tidalUserId - ID del usuario en Tidal (opcional)
    * @returns {Promise<Object>} - Tokens guardados
    */
-  async saveTokens(userId, accessToken, refreshToken, expiresIn = 3600) {
+  async saveTokens(userId, accessToken, refreshToken, expiresIn = 3600, tidalUserId = null) {
     try {
       const now = new Date();
       const expiresAt = new Date(now.getTime() + expiresIn * 1000);
@@ -47,12 +52,17 @@ class TokenPersistenceService {
       const tokenItem = {
         userId, // Partition key
         accessToken, // Sort key
-        refreshToken,
+        // El refreshToken se guarda cifrado (cifrado de sobre)
+        refreshToken: refreshToken ? await encryptionService.encrypt(refreshToken) : null,
         expiresAt: expiresAt.toISOString(),
         createdAt: now.toISOString(),
         updatedAt: now.toISOString()
       };
       
+      if (tidalUserId) {
+        tokenItem.tidalUserId = String(tidalUserId);
+      }
+      
       // Guardar en DynamoDB
       await this.dynamoDb.putItem(tokenItem);
       
@@ -97,16 +107,18 @@ class TokenPersistenceService {
       }
       
       const tokenData = tokens[0];
+      const refreshToken = await this._readRefreshToken(tokenData);
       
       // Actualizar caché si está habilitada
       if (this.cacheEnabled) {
-        this._updateCache(tokenData.accessToken, tokenData.refreshToken);
+        this._updateCache(tokenData.accessToken, refreshToken);
       }
       
       return {
         accessToken: tokenData.accessToken,
-        refreshToken: tokenData.refreshToken,
-        expiresAt: new Date(tokenData.expiresAt)
+        refreshToken,
+        expiresAt: new Date(tokenData.expiresAt),
+        tidalUserId: tokenData.tidalUserId || null
       };
     } catch (error) {
       logger.error('Error al obtener tokens por userId', { error, userId });
@@ -146,7 +158,7 @@ class TokenPersistenceService {
         return null;
       }
       
-      const refreshToken = result[0].refreshToken;
+      const refreshToken = await this._readRefreshToken(result[0]);
       
       // Actualizar caché si está habilitada
       if (this.cacheEnabled) {
@@ -170,9 +182,11 @@ class TokenPersistenceService {
    * @param {string} newAccessToken - Nuevo token de acceso
    * @param {string} newRefreshToken - Nuevo token de refresco
    * @param {number} expiresIn - Tiempo de expiración en segundos
+   * @param {string} tidalUserId - ID del usuario en Tidal (opcional)
    * @returns {Promise<Object>} - Tokens actualizados
    */
-  async updateTokens(userId, oldAccessToken, newAccessToken, newRefreshToken, expiresIn = 3600) {
+  async updateTokens(userId, oldAccessToken, newAccessToken, newRefreshToken, expiresIn = 3600,
+    tidalUserId = null) {
     try {
       // Eliminar el par de tokens antiguo
       if (oldAccessToken) {
@@ -180,13 +194,53 @@ class TokenPersistenceService {
       }
       
       // Guardar el nuevo par de tokens
-      return this.saveTokens(userId, newAccessToken, newRefreshToken, expiresIn);
+      return this.saveTokens(userId, newAccessToken, newRefreshToken, expiresIn, tidalUserId);
     } catch (error) {
       logger.error('Error al actualizar tokens', { error, userId });
       throw error;
     }
   }
   
+  /**
+   * Reserva el refresco de un par de tokens para esta instancia
+   * La actualización condicional solo se cumple si el registro conserva la
+   * expiración leída y nadie lo ha reservado antes, así que entre varios
+   * contenedores solo uno gasta el refreshToken
+   * @param {string} userId - ID de usuario de Alexa
+   * @param {string} accessToken - Token de acceso del registro a refrescar
+   * @param {Date} expiresAt - Expiración leída del registro
+   * @returns {Promise<boolean>} - true si se reservó; false si otra instancia se adelantó
+   */
+  async claimRefresh(userId, accessToken, expiresAt) {
+    const now = Date.now();
+    
+    try {
+      await this.dynamoDb.updateItem(
+        { userId, accessToken },
+        { refreshClaimedAt: new Date(now).toISOString() },
+        {
+          ConditionExpression: '#expiresAt = :expectedExpiresAt AND '
+            + '(attribute_not_exists(#refreshClaimedAt) OR #refreshClaimedAt < :staleClaim)',
+          ExpressionAttributeNames: { '#expiresAt': 'expiresAt' },
+          ExpressionAttributeValues: {
+            ':expectedExpiresAt': new Date(expiresAt).toISOString(),
+            ':staleClaim': new Date(now - REFRESH_CLAIM_TTL_MS).toISOString()
+          }
+        }
+      );
+      
+      return true;
+    } catch (error) {
+      if (error.originalError && error.originalError.code === 'ConditionalCheckFailedException') {
+        logger.info('Otra instancia ya está refrescando los tokens', { userId });
+        return false;
+      }
+      
+      logger.error('Error al reservar el refresco de tokens', { error, userId });
+      throw error;
+    }
+  }
+  
   /**
    * Elimina un par de tokens
    * @param {string} userId - ID de usuario de Alexa
@@ -213,6 +267,33 @@ class TokenPersistenceService {
     }
   }
   
+  /**
+   * Obtiene los tokens que expiran antes de una fecha
+   * Recorre toda la tabla, por lo que solo debe usarse en el mantenimiento programado
+   * @param {Date} limit - Fecha límite de expiración
+   * @returns {Promise<Array<Object>>} - Tokens { userId, accessToken, expiresAt, hasRefreshToken }
+   */
+  async getTokensExpiringBefore(limit) {
+    try {
+      const tokens = await this.dynamoDb.scan({
+        FilterExpression: 'expiresAt < :limit',
+        ExpressionAttributeValues: {
+          ':limit': limit.toISOString()
+        }
+      });
+      
+      return tokens.map(token => ({
+        userId: token.userId,
+        accessToken: token.accessToken,
+        expiresAt: new Date(token.expiresAt),
+        hasRefreshToken: Boolean(token.refreshToken)
+      }));
+    } catch (error) {
+      logger.error('Error al buscar tokens próximos a expirar', { error });
+      throw error;
+    }
+  }
+  
   /**
    * Elimina todos los tokens de un usuario
    * @param {string} userId - ID de usuario de Alexa
@@ -271,6 +352,47 @@ class TokenPersistenceService {
     }
   }
   
+  /**
+   * Descifra el refreshToken de un item guardado
+   * Si está en claro o cifrado con una clave maestra anterior, se vuelve a
+   * cifrar con la clave actual (rotación perezosa)
+   * @param {Object} item - Item de la tabla de tokens
+   * @returns {Promise<string|null>} - Refresh token en claro
+   * @private
+   */
+  async _readRefreshToken(item) {
+    const { plaintext, needsReencryption } = await encryptionService.decrypt(item.refreshToken);
+    
+    if (needsReencryption) {
+      await this._reencryptRefreshToken(item, plaintext);
+    }
+    
+    return plaintext;
+  }
+  
+  /**
+   * Vuelve a cifrar el refreshToken de un item con la clave actual
+   * Un fallo no impide usar el token: se reintentará en la siguiente lectura
+   * @param {Object} item - Item de la tabla de tokens
+   * @param {string} refreshToken - Refresh token en claro
+   * @private
+   */
+  async _reencryptRefreshToken(item, refreshToken) {
+    try {
+      await this.dynamoDb.updateItem(
+        { userId: item.userId, accessToken: item.accessToken },
+        {
+          refreshToken: await encryptionService.encrypt(refreshToken),
+          updatedAt: new Date().toISOString()
+        }
+      );
+      
+      logger.info('Refresh token cifrado de nuevo con la clave actual', { userId: item.userId });
+    } catch (error) {
+      logger.warn('No se pudo volver a cifrar el refresh token', { error, userId: item.userId });
+    }
+  }
+  
   /**
    * Actualiza la caché en memoria con un par de tokens
    * @param {string} accessToken - Token de acceso
@@ -0,0 +1,113 @@
+/**
+ * Utilidades para la capa visual APL (Echo Show y otros dispositivos con pantalla)
+ * Las directivas de APL solo se envían si el dispositivo declara la interfaz
+ * Alexa.Presentation.APL en supportedInterfaces
+ */
+
+const nowPlayingDocument = require('../apl/nowPlayingDocument.json');
+const searchResultsDocument = require('../apl/searchResultsDocument.json');
+const { t } = require('./i18n');
+
+// Interfaz que declaran los dispositivos capaces de mostrar APL
+const APL_INTERFACE = 'Alexa.Presentation.APL';
+
+// Token del documento de la pantalla de reproducción
+const NOW_PLAYING_TOKEN = 'nowPlaying';
+
+// Token de la lista de resultados de búsqueda; sus elementos envían ["searchResults", ordinal]
+const SEARCH_RESULTS_TOKEN = 'searchResults';
+
+// Acciones que envían los botones de la pantalla de reproducción (SendEvent)
+const NOW_PLAYING_ACTIONS = {
+  NEXT: 'next',
+  PREVIOUS: 'previous',
+  LIKE: 'like'
+};
+
+/**
+ * Indica si el dispositivo de la petición puede mostrar documentos APL
+ * @param {Object} handlerInput - Input del handler
+ * @returns {boolean} - true si el dispositivo soporta APL
+ */
+function supportsAPL(handlerInput) {
+  const { context } = handlerInput.requestEnvelope;
+  const device = context && context.System && context.System.device;
+  const supportedInterfaces = (device && device.supportedInterfaces) || {};
+
+  return Boolean(supportedInterfaces[APL_INTERFACE]);
+}
+
+/**
+ * Obtiene los argumentos de un evento Alexa.Presentation.APL.UserEvent
+ * @param {Object} handlerInput - Input del handler
+ * @returns {Array} - Argumentos del SendEvent (vacío si no es un evento de APL)
+ */
+function getUserEventArguments(handlerInput) {
+  const { request } = handlerInput.requestEnvelope;
+
+  return request.type === 'Alexa.Presentation.APL.UserEvent' && Array.isArray(request.arguments)
+    ? request.arguments
+    : [];
+}
+
+/**
+ * Construye la directiva con la pantalla de la pista que está sonando
+ * @param {Object} handlerInput - Input del handler
+ * @param {Object} track - Título, artista, álbum, portada, duración y posición en milisegundos
+ * @returns {Object} - Directiva Alexa.Presentation.APL.RenderDocument
+ */
+function buildNowPlayingDirective(handlerInput, track) {
+  return {
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: NOW_PLAYING_TOKEN,
+    document: nowPlayingDocument,
+    datasources: {
+      nowPlaying: {
+        headerTitle: t(handlerInput, 'display.nowPlaying'),
+        title: track.title,
+        artist: track.artist || '',
+        albumName: track.albumName || '',
+        albumArtUrl: track.albumArtUrl || '',
+        durationInMilliseconds: track.durationInMilliseconds || 0,
+        offsetInMilliseconds: track.offsetInMilliseconds || 0,
+        buttons: {
+          previous: t(handlerInput, 'display.previous'),
+          next: t(handlerInput, 'display.next'),
+          like: t(handlerInput, 'display.like')
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Construye la directiva con la lista táctil de resultados de una búsqueda
+ * @param {Object} handlerInput - Input del handler
+ * @param {string} searchTerm - Término buscado
+ * @param {Array<Object>} items - Elementos { primaryText, secondaryText, imageThumbnailSource }
+ * @returns {Object} - Directiva Alexa.Presentation.APL.RenderDocument
+ */
+function buildSearchResultsDirective(handlerInput, searchTerm, items) {
+  return {
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: SEARCH_RESULTS_TOKEN,
+    document: searchResultsDocument,
+    datasources: {
+      searchResults: {
+        headerTitle: t(handlerInput, 'search.cardTitle'),
+        headerSubtitle: t(handlerInput, 'display.searchSubtitle', { term: searchTerm }),
+        items
+      }
+    }
+  };
+}
+
+module.exports = {
+  NOW_PLAYING_TOKEN,
+  NOW_PLAYING_ACTIONS,
+  SEARCH_RESULTS_TOKEN,
+  supportsAPL,
+  getUserEventArguments,
+  buildNowPlayingDirective,
+  buildSearchResultsDirective
+};
@@ -0,0 +1,197 @@
+/**
+ * Utilidades de comparación aproximada de nombres
+ * Permiten encontrar la playlist "Gym 2024" cuando el usuario dice "gym"
+ * y toleran las variaciones del reconocimiento de voz ("bad buny", "rosalia")
+ * comparando también una clave fonética del español
+ */
+
+// Palabras habituales en nombres de playlists que se traducen a una forma común
+const WORD_SYNONYMS = {
+  gimnasio: 'gym',
+  gimnasia: 'gym',
+  entreno: 'workout',
+  entrenamiento: 'workout',
+  fiesta: 'party',
+  relax: 'chill',
+  relajacion: 'chill',
+  correr: 'running',
+  estudiar: 'study',
+  dormir: 'sleep',
+  verano: 'summer',
+  coche: 'car',
+  favoritas: 'favorites',
+  favoritos: 'favorites'
+};
+
+// Palabras que el usuario añade al nombrar una playlist ("mi lista de...")
+const FILLER_WORDS = new Set([
+  'mi', 'mis', 'tu', 'tus', 'lista', 'listas', 'playlist', 'playlists',
+  'de', 'del', 'la', 'las', 'el', 'los', 'para', 'musica'
+]);
+
+// Peso de una coincidencia solo fonética frente a una coincidencia escrita
+const PHONETIC_WEIGHT = 0.95;
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin tildes ni signos
+ * @param {string} text - Texto original
+ * @returns {string} - Texto normalizado
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normaliza un texto y traduce las palabras con sinónimo conocido
+ * @param {string} text - Texto original
+ * @returns {string} - Texto normalizado con las palabras en su forma común
+ */
+function canonicalize(text) {
+  return normalize(text)
+    .split(' ')
+    .map(word => WORD_SYNONYMS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Quita las palabras de relleno con las que se suele nombrar una playlist
+ * Si no queda nada se devuelve el texto normalizado completo
+ * @param {string} text - Texto original ("mi lista de gimnasio")
+ * @returns {string} - Texto sin relleno ("gimnasio")
+ */
+function removeFillerWords(text) {
+  const words = normalize(text).split(' ');
+  const meaningful = words.filter(word => !FILLER_WORDS.has(word));
+
+  return meaningful.length > 0 ? meaningful.join(' ') : words.join(' ');
+}
+
+/**
+ * Calcula una clave fonética aproximada para el español
+ * Iguala letras que suenan igual (b/v, c/s/z, ll/y, g/j) e ignora la h muda
+ * y las letras repetidas, de modo que "bad buny" y "Bad Bunny" coinciden
+ * @param {string} text - Texto original
+ * @returns {string} - Clave fonética
+ */
+function phoneticKey(text) {
+  return canonicalize(text)
+    .split(' ')
+    .map(word => word
+      // Marcadores en mayúsculas para que las reglas siguientes no los alteren
+      .replace(/ch/g, 'X')
+      .replace(/qu/g, 'K')
+      .replace(/gu([ei])/g, 'G$1')
+      .replace(/h/g, '')
+      .replace(/g([ei])/g, 'j$1')
+      .replace(/c([ei])/g, 's$1')
+      .replace(/[ckq]/g, 'K')
+      .replace(/z/g, 's')
+      .replace(/ll/g, 'y')
+      .replace(/v/g, 'b')
+      .replace(/w/g, 'u')
+      .replace(/x/g, 'Ks')
+      .replace(/y(?![aeiou])/g, 'i')
+      .replace(/(.)\1+/g, '$1'))
+    .join(' ');
+}
+
+/**
+ * Compara dos textos ya transformados entre 0 y 1
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} - Similitud entre los textos
+ */
+function compareKeys(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+
+  if (a === b) {
+    return 1;
+  }
+
+  // Uno contiene al otro como palabras completas ("gym" en "gym 2024")
+  if (` ${b} `.includes(` ${a} `) || ` ${a} `.includes(` ${b} `)) {
+    return 0.9;
+  }
+
+  return 1 - (levenshtein(a, b) / Math.max(a.length, b.length));
+}
+
+/**
+ * Calcula la distancia de edición (Levenshtein) entre dos textos
+ * @param {string} a - Primer texto
+ * @param {string} b - Segundo texto
+ * @returns {number} - Número mínimo de ediciones
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Calcula la similitud entre dos textos entre 0 y 1
+ * Se queda con la mejor comparación entre el texto escrito y su clave fonética
+ * @param {string} query - Texto buscado
+ * @param {string} candidate - Texto candidato
+ * @returns {number} - 1 si son iguales tras normalizar, 0 si no se parecen
+ */
+function similarity(query, candidate) {
+  const written = compareKeys(canonicalize(query), canonicalize(candidate));
+
+  if (written === 1) {
+    return written;
+  }
+
+  const phonetic = compareKeys(phoneticKey(query), phoneticKey(candidate));
+
+  return Math.max(written, phonetic * PHONETIC_WEIGHT);
+}
+
+/**
+ * Busca el elemento cuyo nombre se parece más al texto buscado
+ * @param {string} query - Texto buscado
+ * @param {Array} items - Elementos candidatos
+ * @param {Function} getName - Función que devuelve el nombre de un elemento
+ * @param {number} threshold - Similitud mínima para aceptar el resultado
+ * @returns {Object|null} - { item, score } o null si ninguno supera el umbral
+ */
+function findBestMatch(query, items, getName, threshold = 0.7) {
+  let best = null;
+
+  for (const item of items || []) {
+    const score = similarity(query, getName(item));
+
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { item, score };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  normalize,
+  removeFillerWords,
+  phoneticKey,
+  similarity,
+  findBestMatch
+};
@@ -0,0 +1,103 @@
+/**
+ * Utilidades de internacionalización
+ * Resuelve los mensajes de la skill según el locale de la petición
+ * (request.locale) usando los catálogos de lambda/i18n
+ */
+
+const logger = require('./logger');
+
+// Catálogos disponibles por locale
+const catalogs = {
+  'es-ES': require('../i18n/es-ES'),
+  'en-US': require('../i18n/en-US')
+};
+
+// Idioma usado si el locale no está soportado o falta una clave
+const DEFAULT_LOCALE = 'es-ES';
+
+/**
+ * Obtiene el catálogo soportado que corresponde a un locale
+ * Si no hay coincidencia exacta se busca otro del mismo idioma ("es-MX" -> "es-ES")
+ * @param {string} locale - Locale de la petición
+ * @returns {string} - Locale soportado
+ */
+function resolveLocale(locale) {
+  if (locale && catalogs[locale]) {
+    return locale;
+  }
+
+  const language = String(locale || '').split('-')[0].toLowerCase();
+  const sameLanguage = Object.keys(catalogs)
+    .find(candidate => candidate.split('-')[0] === language);
+
+  return sameLanguage || DEFAULT_LOCALE;
+}
+
+/**
+ * Busca una clave con puntos ("play.playing") dentro de un catálogo
+ * @param {Object} catalog - Catálogo de mensajes
+ * @param {string} key - Clave del mensaje
+ * @returns {string|undefined} - Plantilla del mensaje
+ */
+function lookup(catalog, key) {
+  const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), catalog);
+
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * Traduce un mensaje a un locale concreto
+ * Los marcadores {nombre} se sustituyen por los parámetros indicados
+ * @param {string} locale - Locale de la petición
+ * @param {string} key - Clave del mensaje
+ * @param {Object} params - Valores de los marcadores
+ * @returns {string} - Mensaje traducido
+ */
+function translate(locale, key, params = {}) {
+  const template = lookup(catalogs[resolveLocale(locale)], key)
+    || lookup(catalogs[DEFAULT_LOCALE], key);
+
+  if (template === undefined) {
+    logger.warn('Mensaje sin traducción', { locale, key });
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Obtiene el locale de la petición que se está atendiendo
+ * @param {Object} handlerInput - Input del handler
+ * @returns {string} - Locale soportado
+ */
+function getLocale(handlerInput) {
+  const request = handlerInput.requestEnvelope && handlerInput.requestEnvelope.request;
+
+  return resolveLocale(request && request.locale);
+}
+
+/**
+ * Traduce un mensaje al idioma de la petición
+ * Acepta también un descriptor { key, params } como los labels de musicResolverService
+ * @param {Object} handlerInput - Input del handler
+ * @param {string|Object} key - Clave del mensaje o descriptor { key, params }
+ * @param {Object} params - Valores de los marcadores
+ * @returns {string} - Mensaje traducido
+ */
+function t(handlerInput, key, params) {
+  if (key && typeof key === 'object') {
+    return translate(getLocale(handlerInput), key.key, key.params);
+  }
+
+  return translate(getLocale(handlerInput), key, params);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  resolveLocale,
+  translate,
+  getLocale,
+  t
+};
@@ -0,0 +1,33 @@
+/**
+ * Utilidades para leer slots de los intents
+ */
+
+/**
+ * Obtiene el valor de un slot si existe
+ * @param {Object} slots - Slots del intent
+ * @param {string} name - Nombre del slot
+ * @returns {string|null} - Valor del slot o null
+ */
+function getSlotValue(slots, name) {
+  return slots && slots[name] && slots[name].value ? slots[name].value : null;
+}
+
+/**
+ * Obtiene el ID del valor resuelto por entity resolution de un slot personalizado
+ * @param {Object} slot - Slot del intent
+ * @returns {string|null} - ID del valor o null si no hubo coincidencia
+ */
+function getResolvedSlotId(slot) {
+  const resolutions = slot && slot.resolutions && slot.resolutions.resolutionsPerAuthority;
+
+  if (!resolutions || !resolutions[0] || resolutions[0].status.code !== 'ER_SUCCESS_MATCH') {
+    return null;
+  }
+
+  return resolutions[0].values[0].value.id;
+}
+
+module.exports = {
+  getSlotValue,
+  getResolvedSlotId
+};
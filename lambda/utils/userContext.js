@@ -0,0 +1,122 @@
+/**
+ * Utilidades para identificar al usuario de una petición
+ * El estado (cola, punto de reanudación, modos de reproducción) se guarda por
+ * miembro del hogar cuando Alexa reconoce la voz (context.System.person) y,
+ * si no, por la cuenta (context.System.user), y además por dispositivo
+ * (context.System.device) para que cada habitación tenga su propia cola.
+ * Los tokens de Tidal son siempre de la cuenta
+ */
+
+// Separador entre la cuenta y la persona en el ID del propietario del estado
+const PERSON_SEPARATOR = '#';
+
+// Separador que precede al dispositivo en el ID del propietario del estado
+const DEVICE_SEPARATOR = '@';
+
+// Atributo de la petición donde los interceptores dejan el propietario resuelto
+const STATE_OWNER_ATTRIBUTE = 'stateOwnerId';
+
+/**
+ * Obtiene el ID de usuario de Alexa de la cuenta
+ * @param {Object} handlerInput - Input del handler
+ * @returns {string|null} - ID de la cuenta
+ */
+function getAccountUserId(handlerInput) {
+  const { context } = handlerInput.requestEnvelope;
+  const user = context && context.System && context.System.user;
+
+  return (user && user.userId) || null;
+}
+
+/**
+ * Obtiene el ID de la persona reconocida por su voz
+ * @param {Object} handlerInput - Input del handler
+ * @returns {string|null} - ID de la persona o null si no se reconoció a nadie
+ */
+function getPersonId(handlerInput) {
+  const { context } = handlerInput.requestEnvelope;
+  const person = context && context.System && context.System.person;
+
+  return (person && person.personId) || null;
+}
+
+/**
+ * Obtiene el ID del dispositivo que envía la petición
+ * @param {Object} handlerInput - Input del handler
+ * @returns {string|null} - ID del dispositivo
+ */
+function getDeviceId(handlerInput) {
+  const { context } = handlerInput.requestEnvelope;
+  const device = context && context.System && context.System.device;
+
+  return (device && device.deviceId) || null;
+}
+
+/**
+ * Construye el ID del propietario del estado para una cuenta, una persona y un dispositivo
+ * @param {string} userId - ID de la cuenta
+ * @param {string} personId - ID de la persona (opcional)
+ * @param {string} deviceId - ID del dispositivo (opcional)
+ * @returns {string} - ID con el que se guarda el estado
+ */
+function buildStateOwnerId(userId, personId = null, deviceId = null) {
+  let stateOwnerId = userId;
+
+  if (personId) {
+    stateOwnerId += `${PERSON_SEPARATOR}${personId}`;
+  }
+
+  if (deviceId) {
+    stateOwnerId += `${DEVICE_SEPARATOR}${deviceId}`;
+  }
+
+  return stateOwnerId;
+}
+
+/**
+ * Obtiene el ID de la cuenta a partir del ID del propietario del estado
+ * @param {string} stateOwnerId - ID del propietario (cuenta, persona y dispositivo)
+ * @returns {string} - ID de la cuenta
+ */
+function toAccountUserId(stateOwnerId) {
+  if (!stateOwnerId) {
+    return stateOwnerId;
+  }
+
+  return String(stateOwnerId).split(PERSON_SEPARATOR)[0].split(DEVICE_SEPARATOR)[0];
+}
+
+/**
+ * Obtiene el ID con el que se guarda el estado del usuario de la petición
+ * Usa el propietario resuelto por los interceptores (eventos del AudioPlayer,
+ * que no identifican a la persona) o la persona reconocida (o la cuenta) en
+ * el dispositivo de la petición
+ * @param {Object} handlerInput - Input del handler
+ * @returns {string} - ID del propietario del estado
+ */
+function getStateOwnerId(handlerInput) {
+  const { attributesManager } = handlerInput;
+  const requestAttributes = attributesManager && attributesManager.getRequestAttributes
+    ? attributesManager.getRequestAttributes()
+    : {};
+
+  if (requestAttributes && requestAttributes[STATE_OWNER_ATTRIBUTE]) {
+    return requestAttributes[STATE_OWNER_ATTRIBUTE];
+  }
+
+  return buildStateOwnerId(
+    getAccountUserId(handlerInput),
+    getPersonId(handlerInput),
+    getDeviceId(handlerInput)
+  );
+}
+
+module.exports = {
+  STATE_OWNER_ATTRIBUTE,
+  getAccountUserId,
+  getPersonId,
+  getDeviceId,
+  buildStateOwnerId,
+  toAccountUserId,
+  getStateOwnerId
+};
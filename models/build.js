@@ -0,0 +1,316 @@
+/**
+ * Generador de los modelos de interacción de la skill
+ * Construye el modelo de cada idioma a partir de models/definition.js y del
+ * fichero de muestras del idioma (models/samples/<locale>.json)
+ *
+ * Uso:
+ * npm run build:models
+ *
+ * Las muestras admiten alternativas entre paréntesis: "(pon|reproduce) {song}"
+ * genera "pon {song}" y "reproduce {song}"; una alternativa vacía hace
+ * opcional el grupo: "(|el) {musicType}"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const definition = require('./definition');
+
+const SAMPLES_DIR = path.join(__dirname, 'samples');
+const OUTPUT_DIR = path.join(__dirname, '..', 'skill-package', 'interactionModels', 'custom');
+
+/**
+ * Indica si un intent es uno de los integrados de Amazon (no necesitan muestras)
+ * @param {string} name - Nombre del intent
+ * @returns {boolean} - true si es un intent AMAZON.*
+ */
+function isBuiltInIntent(name) {
+  return name.startsWith('AMAZON.');
+}
+
+/**
+ * Expande las alternativas de una plantilla de muestras
+ * @param {string} template - Plantilla ("(pon|reproduce) la canción {song}")
+ * @returns {Array<string>} - Muestras generadas
+ */
+function expandTemplate(template) {
+  const group = /\(([^()]*)\)/.exec(template);
+
+  if (!group) {
+    return [template.replace(/\s+/g, ' ').trim()];
+  }
+
+  const before = template.slice(0, group.index);
+  const after = template.slice(group.index + group[0].length);
+
+  return group[1].split('|')
+    .map(option => expandTemplate(`${before}${option}${after}`))
+    .reduce((samples, expanded) => samples.concat(expanded), []);
+}
+
+/**
+ * Expande una lista de plantillas eliminando las muestras repetidas
+ * @param {Array<string>} templates - Plantillas del fichero de muestras
+ * @returns {Array<string>} - Muestras sin repetir
+ */
+function expandSamples(templates) {
+  const samples = (templates || []).map(expandTemplate)
+    .reduce((all, expanded) => all.concat(expanded), []);
+
+  return [...new Set(samples)];
+}
+
+/**
+ * Obtiene los slots citados en una muestra
+ * @param {string} sample - Muestra ("pon {song} de {artist}")
+ * @returns {Array<string>} - Nombres de los slots
+ */
+function getSampleSlots(sample) {
+  return (sample.match(/\{(\w+)\}/g) || []).map(slot => slot.slice(1, -1));
+}
+
+/**
+ * Comprueba que las muestras de un idioma cubren toda la definición
+ * @param {Object} modelDefinition - Definición de intents y tipos
+ * @param {Object} localeSamples - Contenido de models/samples/<locale>.json
+ * @param {string} locale - Idioma que se comprueba
+ * @returns {Array<string>} - Problemas encontrados (vacío si es correcto)
+ */
+function validateLocale(modelDefinition, localeSamples, locale) {
+  const problems = [];
+  const intentSamples = localeSamples.intents || {};
+  const definedIntents = modelDefinition.intents.map(intent => intent.name);
+
+  if (!localeSamples.invocationName) {
+    problems.push(`${locale}: falta invocationName`);
+  }
+
+  for (const intent of modelDefinition.intents) {
+    if (isBuiltInIntent(intent.name)) {
+      continue;
+    }
+
+    const entry = intentSamples[intent.name] || {};
+    const samples = expandSamples(entry.samples);
+    const slotNames = (intent.slots || []).map(slot => slot.name);
+
+    if (samples.length === 0) {
+      problems.push(`${locale}: el intent ${intent.name} no tiene muestras`);
+    }
+
+    for (const sample of samples) {
+      for (const slotName of getSampleSlots(sample)) {
+        if (!slotNames.includes(slotName)) {
+          problems.push(
+            `${locale}: la muestra "${sample}" de ${intent.name} ` +
+              `usa el slot desconocido ${slotName}`
+          );
+        }
+      }
+    }
+
+    for (const slot of (intent.slots || []).filter(({ elicited }) => elicited)) {
+      const slotSamples = entry.slotSamples && entry.slotSamples[slot.name];
+      const prompt = localeSamples.prompts && localeSamples.prompts[`${intent.name}.${slot.name}`];
+
+      if (!slotSamples || slotSamples.length === 0) {
+        problems.push(`${locale}: el slot ${intent.name}.${slot.name} no tiene muestras`);
+      }
+
+      if (!prompt || prompt.length === 0) {
+        problems.push(`${locale}: el slot ${intent.name}.${slot.name} no tiene pregunta`);
+      }
+    }
+  }
+
+  for (const name of Object.keys(intentSamples)) {
+    if (!definedIntents.includes(name)) {
+      problems.push(`${locale}: hay muestras para ${name}, que no está en la definición`);
+    }
+  }
+
+  for (const [typeName, ids] of Object.entries(modelDefinition.types)) {
+    const values = (localeSamples.types && localeSamples.types[typeName]) || {};
+
+    for (const id of ids) {
+      if (!values[id] || values[id].length === 0) {
+        problems.push(`${locale}: falta el valor ${id} del tipo ${typeName}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Construye el modelo de interacción de un idioma
+ * @param {Object} modelDefinition - Definición de intents y tipos
+ * @param {Object} localeSamples - Contenido de models/samples/<locale>.json
+ * @param {string} locale - Idioma del modelo
+ * @returns {Object} - Modelo listo para skill-package
+ * @throws {Error} - Si las muestras del idioma no cubren la definición
+ */
+function buildModel(modelDefinition, localeSamples, locale) {
+  const problems = validateLocale(modelDefinition, localeSamples, locale);
+
+  if (problems.length > 0) {
+    throw new Error(`Modelo ${locale} incompleto:\n${problems.join('\n')}`);
+  }
+
+  const intentSamples = localeSamples.intents;
+
+  const intents = modelDefinition.intents.map(intent => {
+    const entry = intentSamples[intent.name] || {};
+    const built = { name: intent.name };
+
+    if (intent.slots && intent.slots.length > 0) {
+      built.slots = intent.slots.map(slot => {
+        const slotSamples = expandSamples(entry.slotSamples && entry.slotSamples[slot.name]);
+        return slotSamples.length > 0
+          ? { name: slot.name, type: slot.type, samples: slotSamples }
+          : { name: slot.name, type: slot.type };
+      });
+    }
+
+    built.samples = expandSamples(entry.samples);
+
+    return built;
+  });
+
+  const types = Object.entries(modelDefinition.types).map(([typeName, ids]) => ({
+    name: typeName,
+    values: ids.map(id => {
+      const [value, ...synonyms] = localeSamples.types[typeName][id];
+      return { id, name: { value, synonyms } };
+    })
+  }));
+
+  const model = {
+    interactionModel: {
+      languageModel: {
+        invocationName: localeSamples.invocationName,
+        intents,
+        types
+      }
+    }
+  };
+
+  const dialogIntents = modelDefinition.intents
+    .filter(intent => (intent.slots || []).some(({ elicited }) => elicited));
+
+  if (dialogIntents.length > 0) {
+    model.interactionModel.dialog = {
+      intents: dialogIntents.map(intent => ({
+        name: intent.name,
+        delegationStrategy: intent.delegationStrategy || 'SKILL_RESPONSE',
+        confirmationRequired: false,
+        prompts: {},
+        slots: intent.slots.map(slot => ({
+          name: slot.name,
+          type: slot.type,
+          elicitationRequired: false,
+          confirmationRequired: false,
+          prompts: slot.elicited
+            ? { elicitation: `Elicit.Slot.${intent.name}.${slot.name}` }
+            : {}
+        }))
+      })),
+      delegationStrategy: 'SKILL_RESPONSE'
+    };
+
+    model.interactionModel.prompts = dialogIntents
+      .reduce((prompts, intent) => prompts.concat(
+        intent.slots.filter(({ elicited }) => elicited).map(slot => ({
+          id: `Elicit.Slot.${intent.name}.${slot.name}`,
+          variations: localeSamples.prompts[`${intent.name}.${slot.name}`]
+            .map(value => ({ type: 'PlainText', value }))
+        }))
+      ), []);
+  }
+
+  return model;
+}
+
+/**
+ * Lista los idiomas que tienen fichero de muestras
+ * @param {string} samplesDir - Directorio de muestras
+ * @returns {Array<string>} - Locales ("es-ES", "en-US"...)
+ */
+function getLocales(samplesDir = SAMPLES_DIR) {
+  return fs.readdirSync(samplesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+/**
+ * Construye los modelos de todos los idiomas
+ * Si falla algún idioma no se escribe ningún fichero
+ * @param {Object} options - Directorios de muestras y de salida
+ * @returns {Object} - Modelos generados por locale
+ * @throws {Error} - Con los problemas de todos los idiomas incompletos
+ */
+function buildAll({ samplesDir = SAMPLES_DIR } = {}) {
+  const models = {};
+  const errors = [];
+
+  for (const locale of getLocales(samplesDir)) {
+    const file = path.join(samplesDir, `${locale}.json`);
+    const localeSamples = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    try {
+      models[locale] = buildModel(definition, localeSamples, locale);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return models;
+}
+
+/**
+ * Serializa un modelo con el formato de los ficheros de skill-package
+ * @param {Object} model - Modelo generado
+ * @returns {string} - JSON con sangría de 2 espacios
+ */
+function serializeModel(model) {
+  return `${JSON.stringify(model, null, 2)}\n`;
+}
+
+/**
+ * Genera los modelos y los escribe en skill-package
+ * @param {Object} options - Directorios de muestras y de salida
+ * @returns {Array<string>} - Ficheros escritos
+ */
+function writeModels({ samplesDir = SAMPLES_DIR, outputDir = OUTPUT_DIR } = {}) {
+  const models = buildAll({ samplesDir });
+
+  return Object.entries(models).map(([locale, model]) => {
+    const file = path.join(outputDir, `${locale}.json`);
+    fs.writeFileSync(file, serializeModel(model));
+    return file;
+  });
+}
+
+if (require.main === module) {
+  try {
+    const files = writeModels();
+    files.forEach(file => console.log(`Modelo generado: ${path.relative(process.cwd(), file)}`));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  OUTPUT_DIR,
+  expandTemplate,
+  validateLocale,
+  buildModel,
+  buildAll,
+  serializeModel,
+  writeModels
+};
@@ -0,0 +1,247 @@
+/**
+ * Comprobación de coherencia entre los modelos de interacción y los manejadores
+ * Compara los modelos de skill-package con los manejadores que registra
+ * buildSkill() en lambda/index.js y detecta:
+ * - intents del modelo que ningún manejador atiende
+ * - intents atendidos por manejadores que no están en ningún modelo
+ * - slots leídos en los manejadores que no existen en el modelo
+ * - intents integrados obligatorios del AudioPlayer que faltan
+ *
+ * Uso:
+ * npm run check:models
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_DIR } = require('./build');
+const { getRequestHandlers } = require('../lambda/index');
+
+const HANDLERS_DIR = path.join(__dirname, '..', 'lambda', 'handlers');
+
+// Intents integrados que debe incluir una skill que usa la interfaz AudioPlayer
+const REQUIRED_AUDIO_PLAYER_INTENTS = [
+  'AMAZON.PauseIntent',
+  'AMAZON.ResumeIntent',
+  'AMAZON.CancelIntent',
+  'AMAZON.StopIntent',
+  'AMAZON.HelpIntent',
+  'AMAZON.NextIntent',
+  'AMAZON.PreviousIntent',
+  'AMAZON.StartOverIntent',
+  'AMAZON.LoopOnIntent',
+  'AMAZON.LoopOffIntent',
+  'AMAZON.RepeatIntent',
+  'AMAZON.ShuffleOnIntent',
+  'AMAZON.ShuffleOffIntent'
+];
+
+// Nombres de intent citados en el código ('PlayMusicIntent', 'AMAZON.YesIntent')
+const INTENT_NAME_PATTERN = /'((?:AMAZON\.)?[A-Z]\w*Intent)'/g;
+
+// Lecturas de slots: slots.song, getSlotValue(slots, 'song'), getNumberSlot(slots, 'minutes')
+const SLOT_READ_PATTERNS = [
+  /\bslots\.(\w+)/g,
+  /\bslots\s*,\s*'(\w+)'/g
+];
+
+/**
+ * Carga los modelos de interacción de skill-package
+ * @param {string} modelsDir - Directorio de los modelos
+ * @returns {Object} - Modelos por locale
+ */
+function loadModels(modelsDir = OUTPUT_DIR) {
+  return fs.readdirSync(modelsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .reduce((models, file) => {
+      const source = fs.readFileSync(path.join(modelsDir, file), 'utf8');
+      models[path.basename(file, '.json')] = JSON.parse(source);
+      return models;
+    }, {});
+}
+
+/**
+ * Carga los módulos de manejadores con su código fuente
+ * @param {string} handlersDir - Directorio de los manejadores
+ * @returns {Array<Object>} - Módulos { file, source, exports }
+ */
+function loadHandlerModules(handlersDir = HANDLERS_DIR) {
+  return fs.readdirSync(handlersDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => {
+      const fullPath = path.join(handlersDir, file);
+      return {
+        file,
+        source: fs.readFileSync(fullPath, 'utf8'),
+        exports: require(fullPath)
+      };
+    });
+}
+
+/**
+ * Obtiene los intents de un modelo con sus slots
+ * @param {Object} model - Modelo de interacción
+ * @returns {Object} - Nombres de slot por intent
+ */
+function getModelIntents(model) {
+  return model.interactionModel.languageModel.intents.reduce((intents, intent) => {
+    intents[intent.name] = (intent.slots || []).map(slot => slot.name);
+    return intents;
+  }, {});
+}
+
+/**
+ * Crea una petición ficticia de un intent para preguntar a canHandle
+ * @param {string} intentName - Nombre del intent
+ * @returns {Object} - handlerInput mínimo
+ */
+function buildProbeInput(intentName) {
+  return {
+    requestEnvelope: {
+      request: { type: 'IntentRequest', locale: 'es-ES', intent: { name: intentName, slots: {} } },
+      context: { System: { user: { userId: 'consistency-check' } } },
+      session: { attributes: {} }
+    },
+    attributesManager: {
+      getSessionAttributes: () => ({}),
+      getRequestAttributes: () => ({})
+    }
+  };
+}
+
+/**
+ * Obtiene los intents que atiende un manejador
+ * Se pregunta a canHandle por cada intent candidato y se añaden los intents
+ * citados en su código, para los que dependen de la sesión (AMAZON.YesIntent)
+ * @param {Object} handler - Manejador { canHandle, handle }
+ * @param {Array<string>} candidates - Intents candidatos
+ * @returns {Array<string>} - Intents atendidos
+ */
+function getHandledIntents(handler, candidates) {
+  const probed = candidates.filter(intentName => {
+    try {
+      return handler.canHandle(buildProbeInput(intentName)) === true;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  const quoted = [...handler.canHandle.toString().matchAll(INTENT_NAME_PATTERN)]
+    .map(match => match[1]);
+
+  return [...new Set([...probed, ...quoted])];
+}
+
+/**
+ * Obtiene los nombres de slot que lee el código de un módulo
+ * @param {string} source - Código fuente
+ * @returns {Array<string>} - Nombres de slot
+ */
+function getSlotReads(source) {
+  const names = SLOT_READ_PATTERNS.reduce((all, pattern) => all.concat(
+    [...source.matchAll(pattern)].map(match => match[1])
+  ), []);
+
+  return [...new Set(names)];
+}
+
+/**
+ * Comprueba la coherencia entre modelos y manejadores
+ * @param {Object} options - Modelos por locale, manejadores registrados y módulos de manejadores
+ * @returns {Array<string>} - Problemas encontrados (vacío si es coherente)
+ */
+function checkConsistency({ models, handlers, modules = [] }) {
+  const problems = [];
+  const modelIntents = Object.entries(models)
+    .reduce((all, [locale, model]) => ({ ...all, [locale]: getModelIntents(model) }), {});
+
+  const allModelIntents = [...new Set(Object.values(modelIntents)
+    .reduce((names, intents) => names.concat(Object.keys(intents)), []))];
+  const candidates = [...new Set([...allModelIntents, ...REQUIRED_AUDIO_PLAYER_INTENTS])];
+
+  const handledBy = new Map(handlers
+    .map(handler => [handler, getHandledIntents(handler, candidates)]));
+  const handledIntents = new Set([].concat(...handledBy.values()));
+
+  for (const [locale, intents] of Object.entries(modelIntents)) {
+    for (const intentName of Object.keys(intents)) {
+      if (!handledIntents.has(intentName)) {
+        problems.push(`${locale}: el intent ${intentName} no tiene manejador`);
+      }
+    }
+
+    for (const intentName of REQUIRED_AUDIO_PLAYER_INTENTS) {
+      if (!intents[intentName]) {
+        problems.push(`${locale}: falta el intent obligatorio del AudioPlayer ${intentName}`);
+      }
+    }
+  }
+
+  for (const intentName of handledIntents) {
+    if (!allModelIntents.includes(intentName)) {
+      problems.push(`el intent ${intentName} tiene manejador pero no está en ningún modelo`);
+    }
+  }
+
+  for (const intentName of REQUIRED_AUDIO_PLAYER_INTENTS) {
+    if (!handledIntents.has(intentName)) {
+      problems.push(`el intent obligatorio del AudioPlayer ${intentName} no tiene manejador`);
+    }
+  }
+
+  for (const module of modules) {
+    const moduleIntents = Object.values(module.exports)
+      .filter(value => handledBy.has(value))
+      .reduce((names, handler) => names.concat(handledBy.get(handler)), []);
+
+    if (moduleIntents.length === 0) {
+      continue;
+    }
+
+    for (const slotName of getSlotReads(module.source)) {
+      const existsInModel = Object.values(modelIntents).some(intents => moduleIntents
+        .some(intentName => (intents[intentName] || []).includes(slotName)));
+
+      if (!existsInModel) {
+        problems.push(
+          `${module.file} lee el slot ${slotName}, que no existe en ${moduleIntents.join(', ')}`
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Comprueba los modelos de skill-package contra los manejadores de la skill
+ * @returns {Array<string>} - Problemas encontrados (vacío si es coherente)
+ */
+function checkProject() {
+  return checkConsistency({
+    models: loadModels(),
+    handlers: getRequestHandlers(),
+    modules: loadHandlerModules()
+  });
+}
+
+if (require.main === module) {
+  const problems = checkProject();
+
+  if (problems.length > 0) {
+    console.error(`Modelos y manejadores no coinciden:\n${problems.join('\n')}`);
+    process.exitCode = 1;
+  } else {
+    console.log('Modelos y manejadores coherentes');
+  }
+}
+
+module.exports = {
+  REQUIRED_AUDIO_PLAYER_INTENTS,
+  loadModels,
+  getHandledIntents,
+  getSlotReads,
+  checkConsistency,
+  checkProject
+};
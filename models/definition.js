@@ -0,0 +1,136 @@
+/**
+ * Definición única del modelo de interacción de la skill
+ * Contiene los intents, sus slots y los valores de los tipos personalizados;
+ * los textos de cada idioma (muestras, sinónimos y preguntas) están en models/samples
+ * Los modelos de skill-package se generan con `npm run build:models`
+ */
+
+module.exports = {
+  intents: [
+    { name: 'AMAZON.CancelIntent' },
+    { name: 'AMAZON.HelpIntent' },
+    { name: 'AMAZON.StopIntent' },
+    { name: 'AMAZON.NavigateHomeIntent' },
+    {
+      name: 'PlayMusicIntent',
+      slots: [
+        { name: 'artist', type: 'AMAZON.MusicGroup' },
+        { name: 'song', type: 'AMAZON.MusicRecording' },
+        { name: 'album', type: 'AMAZON.MusicAlbum' },
+        { name: 'playlist', type: 'AMAZON.MusicPlaylist' },
+        // Los slots que el manejador pregunta con Dialog.ElicitSlot necesitan muestras y pregunta
+        { name: 'query', type: 'AMAZON.SearchQuery', elicited: true },
+        { name: 'musicType', type: 'SEARCH_RESULT_TYPE', elicited: true }
+      ],
+      delegationStrategy: 'SKILL_RESPONSE'
+    },
+    {
+      name: 'AddToQueueIntent',
+      slots: [
+        { name: 'artist', type: 'AMAZON.MusicGroup' },
+        { name: 'song', type: 'AMAZON.MusicRecording' },
+        { name: 'album', type: 'AMAZON.MusicAlbum' },
+        { name: 'playlist', type: 'AMAZON.MusicPlaylist' }
+      ]
+    },
+    {
+      name: 'PlayNextIntent',
+      slots: [
+        { name: 'artist', type: 'AMAZON.MusicGroup' },
+        { name: 'song', type: 'AMAZON.MusicRecording' },
+        { name: 'album', type: 'AMAZON.MusicAlbum' },
+        { name: 'playlist', type: 'AMAZON.MusicPlaylist' }
+      ]
+    },
+    {
+      name: 'SelectSearchResultIntent',
+      slots: [
+        { name: 'resultType', type: 'SEARCH_RESULT_TYPE' },
+        { name: 'ordinal', type: 'ORDINAL' }
+      ]
+    },
+    { name: 'AMAZON.YesIntent' },
+    { name: 'AMAZON.NoIntent' },
+    {
+      name: 'PlayCollectionIntent',
+      slots: [
+        { name: 'collection', type: 'COLLECTION_TYPE' }
+      ]
+    },
+    { name: 'PlayRecommendationsIntent' },
+    {
+      name: 'PlayRadioIntent',
+      slots: [
+        { name: 'artist', type: 'AMAZON.MusicGroup' }
+      ]
+    },
+    {
+      name: 'SearchMusicIntent',
+      slots: [
+        { name: 'searchTerm', type: 'AMAZON.SearchQuery' }
+      ]
+    },
+    { name: 'NowPlayingIntent' },
+    { name: 'LikeTrackIntent' },
+    { name: 'UnlikeTrackIntent' },
+    { name: 'SaveAlbumIntent' },
+    { name: 'AMAZON.PauseIntent' },
+    { name: 'AMAZON.ResumeIntent' },
+    { name: 'AMAZON.NextIntent' },
+    { name: 'AMAZON.PreviousIntent' },
+    {
+      name: 'SkipForwardIntent',
+      slots: [
+        { name: 'duration', type: 'AMAZON.DURATION' }
+      ]
+    },
+    {
+      name: 'SkipBackwardIntent',
+      slots: [
+        { name: 'duration', type: 'AMAZON.DURATION' }
+      ]
+    },
+    {
+      name: 'SeekToIntent',
+      slots: [
+        { name: 'minutes', type: 'AMAZON.NUMBER' },
+        { name: 'seconds', type: 'AMAZON.NUMBER' }
+      ]
+    },
+    { name: 'AMAZON.StartOverIntent' },
+    {
+      name: 'NameDeviceIntent',
+      slots: [
+        { name: 'room', type: 'AMAZON.Room' }
+      ]
+    },
+    {
+      name: 'TransferPlaybackIntent',
+      slots: [
+        { name: 'room', type: 'AMAZON.Room' }
+      ]
+    },
+    { name: 'AMAZON.ShuffleOnIntent' },
+    { name: 'AMAZON.ShuffleOffIntent' },
+    { name: 'AMAZON.LoopOnIntent' },
+    { name: 'AMAZON.LoopOffIntent' },
+    { name: 'AMAZON.RepeatIntent' },
+    { name: 'DiagnosticsIntent' },
+    {
+      name: 'ClearCacheIntent',
+      slots: [
+        { name: 'cacheType', type: 'CACHE_TYPE' }
+      ]
+    }
+  ],
+
+  // Identificadores de los valores de cada tipo; el manejador recibe el id resuelto
+  types: {
+    SEARCH_RESULT_TYPE: ['track', 'album', 'artist', 'playlist'],
+    // Llega hasta el tamaño máximo de la lista de resultados en pantalla
+    ORDINAL: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', 'last'],
+    COLLECTION_TYPE: ['tracks', 'albums', 'artists'],
+    // Deben coincidir con las claves de CACHE_TTL en tidalService
+    CACHE_TYPE: ['tracks', 'albums', 'artists', 'playlists', 'userInfo', 'search', 'streamUrl']
+  }
+};
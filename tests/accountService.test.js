@@ -0,0 +1,85 @@
+/**
+ * Pruebas unitarias para el servicio del ciclo de vida de la cuenta
+ * Verifica el guardado de tokens al vincular y la eliminación de datos al desvincular
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const accountService = require('../lambda/services/accountService');
+const tidalService = require('../lambda/services/tidalService');
+const cacheService = require('../lambda/services/cacheService');
+const tokenPersistenceService = require('../lambda/services/tokenPersistenceService');
+const playbackPersistenceService = require('../lambda/services/playbackPersistenceService');
+
+describe('Account Service Test Suite', function() {
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('linkAccount()', function() {
+    it('debe guardar el token sin refreshToken y con expiración explícita', async function() {
+      sinon.stub(tidalService, 'getUserInfo').resolves({ userId: 987 });
+      const saveTokens = sinon.stub(tokenPersistenceService, 'saveTokens').resolves({});
+
+      const userInfo = await accountService.linkAccount('user-1', 'access-token');
+
+      expect(userInfo.userId).to.equal(987);
+      expect(saveTokens.calledOnceWith('user-1', 'access-token', null, 3600, 987)).to.be.true;
+    });
+
+    it('no debe guardar tokens que Tidal rechaza', async function() {
+      sinon.stub(tidalService, 'getUserInfo').rejects(new Error('401'));
+      const saveTokens = sinon.stub(tokenPersistenceService, 'saveTokens').resolves({});
+
+      let thrown = null;
+      try {
+        await accountService.linkAccount('user-1', 'bad-token');
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).to.be.an('error');
+      expect(saveTokens.called).to.be.false;
+    });
+  });
+
+  describe('purgeUserData()', function() {
+    it('debe eliminar tokens, estado de reproducción y caché del usuario', async function() {
+      const deleteAllUserTokens = sinon.stub(tokenPersistenceService, 'deleteAllUserTokens')
+        .resolves(true);
+      const clearPlaybackState = sinon.stub(playbackPersistenceService, 'clearPlaybackState')
+        .resolves(true);
+      sinon.stub(playbackPersistenceService, 'getActiveListener')
+        .resolves({ stateOwnerId: 'user-1#person-1', personIds: ['person-1'] });
+      const clearActiveListener = sinon.stub(playbackPersistenceService, 'clearActiveListener')
+        .resolves(true);
+      cacheService.set('tidal', cacheService.makeKey('favorites', 'tracks', 'user-1'), []);
+      cacheService.set('tidal', cacheService.makeKey('favorites', 'tracks', 'user-1#person-1'), []);
+      cacheService.set('tidal', cacheService.makeKey('favorites', 'tracks', 'user-2'), []);
+
+      const success = await accountService.purgeUserData('user-1');
+
+      expect(success).to.be.true;
+      expect(deleteAllUserTokens.calledOnceWith('user-1')).to.be.true;
+      expect(clearPlaybackState.calledWith('user-1')).to.be.true;
+      expect(clearPlaybackState.calledWith('user-1#person-1')).to.be.true;
+      expect(clearActiveListener.calledOnceWith('user-1')).to.be.true;
+      expect(cacheService.has('tidal', 'favorites:tracks:user-1')).to.be.false;
+      expect(cacheService.has('tidal', 'favorites:tracks:user-1#person-1')).to.be.false;
+      expect(cacheService.has('tidal', 'favorites:tracks:user-2')).to.be.true;
+    });
+
+    it('debe seguir eliminando datos aunque falle un paso', async function() {
+      sinon.stub(tokenPersistenceService, 'deleteAllUserTokens').rejects(new Error('DynamoDB'));
+      const clearPlaybackState = sinon.stub(playbackPersistenceService, 'clearPlaybackState')
+        .resolves(true);
+      sinon.stub(playbackPersistenceService, 'getActiveListener').resolves(null);
+      sinon.stub(playbackPersistenceService, 'clearActiveListener').resolves(true);
+
+      const success = await accountService.purgeUserData('user-1');
+
+      expect(success).to.be.false;
+      expect(clearPlaybackState.calledOnce).to.be.true;
+    });
+  });
+});
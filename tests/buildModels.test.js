@@ -0,0 +1,106 @@
+/**
+ * Pruebas unitarias para el generador de modelos de interacción
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const definition = require('../models/definition');
+const {
+  OUTPUT_DIR,
+  expandTemplate,
+  buildModel,
+  buildAll,
+  serializeModel
+} = require('../models/build');
+
+describe('Build Models Test Suite', function() {
+  const minimalDefinition = {
+    intents: [
+      { name: 'AMAZON.HelpIntent' },
+      { name: 'SearchMusicIntent', slots: [{ name: 'searchTerm', type: 'AMAZON.SearchQuery' }] }
+    ],
+    types: {
+      CACHE_TYPE: ['tracks']
+    }
+  };
+
+  const minimalSamples = {
+    invocationName: 'tidal',
+    intents: {
+      SearchMusicIntent: { samples: ['(buscar|encontrar) {searchTerm}'] }
+    },
+    types: {
+      CACHE_TYPE: { tracks: ['tracks', 'canciones'] }
+    }
+  };
+
+  describe('expandTemplate()', function() {
+    it('debe generar una muestra por cada alternativa', function() {
+      expect(expandTemplate('(pon|reproduce) la canción {song}'))
+        .to.deep.equal(['pon la canción {song}', 'reproduce la canción {song}']);
+    });
+
+    it('debe tratar una alternativa vacía como opcional', function() {
+      expect(expandTemplate('(|el) {musicType}')).to.deep.equal(['{musicType}', 'el {musicType}']);
+    });
+  });
+
+  describe('buildModel()', function() {
+    it('debe construir intents y tipos del idioma', function() {
+      const model = buildModel(minimalDefinition, minimalSamples, 'es-ES');
+      const { languageModel } = model.interactionModel;
+
+      expect(languageModel.invocationName).to.equal('tidal');
+      expect(languageModel.intents[0]).to.deep.equal({ name: 'AMAZON.HelpIntent', samples: [] });
+      expect(languageModel.intents[1].samples)
+        .to.deep.equal(['buscar {searchTerm}', 'encontrar {searchTerm}']);
+      expect(languageModel.types[0].values[0]).to.deep.equal({
+        id: 'tracks',
+        name: { value: 'tracks', synonyms: ['canciones'] }
+      });
+    });
+
+    it('debe fallar si un intent no tiene muestras en el idioma', function() {
+      const samples = { ...minimalSamples, intents: {} };
+
+      expect(() => buildModel(minimalDefinition, samples, 'en-US'))
+        .to.throw('en-US: el intent SearchMusicIntent no tiene muestras');
+    });
+
+    it('debe fallar si una muestra usa un slot que no existe', function() {
+      const samples = {
+        ...minimalSamples,
+        intents: { SearchMusicIntent: { samples: ['buscar {song}'] } }
+      };
+
+      expect(() => buildModel(minimalDefinition, samples, 'es-ES'))
+        .to.throw('usa el slot desconocido song');
+    });
+  });
+
+  describe('buildAll()', function() {
+    it('debe generar un modelo por idioma con los mismos intents', function() {
+      const models = buildAll();
+      const intentNames = definition.intents.map(intent => intent.name);
+
+      expect(Object.keys(models)).to.include.members(['es-ES', 'en-US']);
+
+      for (const model of Object.values(models)) {
+        expect(model.interactionModel.languageModel.intents.map(intent => intent.name))
+          .to.deep.equal(intentNames);
+      }
+    });
+
+    it('debe coincidir con los modelos de skill-package', function() {
+      const models = buildAll();
+
+      for (const [locale, model] of Object.entries(models)) {
+        const file = fs.readFileSync(path.join(OUTPUT_DIR, `${locale}.json`), 'utf8');
+
+        expect(file, `${locale}.json desactualizado: ejecuta npm run build:models`)
+          .to.equal(serializeModel(model));
+      }
+    });
+  });
+});
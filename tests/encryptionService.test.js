@@ -0,0 +1,207 @@
+/**
+ * Pruebas unitarias para el cifrado de sobre de los refresh tokens
+ * Verifica los proveedores de claves, el guardado cifrado y la rotación perezosa
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const encryptionService = require('../lambda/services/encryptionService');
+const tokenPersistenceService = require('../lambda/services/tokenPersistenceService');
+const LocalKeyProvider = require('../lambda/clients/localKeyProvider');
+const KmsKeyProvider = require('../lambda/clients/kmsKeyProvider');
+const config = require('../lambda/services/configService');
+
+describe('Encryption Service Test Suite', function() {
+  let keyDir;
+  let provider;
+
+  beforeEach(function() {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tidal-keys-'));
+    provider = new LocalKeyProvider({ keyFile: path.join(keyDir, 'token-keys.json') });
+    encryptionService.setProvider(provider);
+  });
+
+  afterEach(function() {
+    encryptionService.setProvider(null);
+    tokenPersistenceService.clearCache();
+    fs.rmSync(keyDir, { recursive: true, force: true });
+    sinon.restore();
+  });
+
+  describe('encrypt() y decrypt()', function() {
+    it('debe cifrar con una clave de datos propia y descifrar el valor', async function() {
+      const envelope = await encryptionService.encrypt('refresh-token');
+
+      expect(encryptionService.isEncrypted(envelope)).to.be.true;
+      expect(JSON.stringify(envelope)).to.not.include('refresh-token');
+      expect(await encryptionService.decrypt(envelope))
+        .to.deep.equal({ plaintext: 'refresh-token', needsReencryption: false });
+    });
+
+    it('debe rechazar un valor cifrado manipulado', async function() {
+      const envelope = await encryptionService.encrypt('refresh-token');
+      const tampered = { ...envelope, ciphertext: Buffer.from('otro-token').toString('base64') };
+
+      let thrown = null;
+      try {
+        await encryptionService.decrypt(tampered);
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).to.be.an('error');
+    });
+
+    it('debe pedir volver a cifrar valores en claro o de claves anteriores', async function() {
+      const envelope = await encryptionService.encrypt('refresh-token');
+      provider.rotateKey();
+
+      expect(await encryptionService.decrypt('legacy-token'))
+        .to.deep.equal({ plaintext: 'legacy-token', needsReencryption: true });
+      expect(await encryptionService.decrypt(envelope))
+        .to.deep.equal({ plaintext: 'refresh-token', needsReencryption: true });
+    });
+  });
+
+  describe('KmsKeyProvider', function() {
+    it('debe usar KMS para generar y descifrar las claves de datos', async function() {
+      const dataKey = Buffer.alloc(32, 7);
+      const kms = {
+        generateDataKey: sinon.stub().returns({
+          promise: () => Promise.resolve({
+            Plaintext: dataKey,
+            CiphertextBlob: Buffer.from('blob')
+          })
+        }),
+        decrypt: sinon.stub().returns({
+          promise: () => Promise.resolve({ Plaintext: dataKey })
+        })
+      };
+      encryptionService.setProvider(new KmsKeyProvider({ keyId: 'alias/tidal-tokens', kms }));
+
+      const envelope = await encryptionService.encrypt('refresh-token');
+      const { plaintext } = await encryptionService.decrypt(envelope);
+
+      expect(plaintext).to.equal('refresh-token');
+      expect(envelope.keyId).to.equal('alias/tidal-tokens');
+      expect(kms.generateDataKey.firstCall.args[0])
+        .to.deep.equal({ KeyId: 'alias/tidal-tokens', KeySpec: 'AES_256' });
+      expect(kms.decrypt.firstCall.args[0].KeyId).to.equal('alias/tidal-tokens');
+    });
+  });
+
+  describe('TokenPersistenceService', function() {
+    it('debe guardar el refresh token cifrado', async function() {
+      const putItem = sinon.stub(tokenPersistenceService.dynamoDb, 'putItem').resolves({});
+
+      await tokenPersistenceService.saveTokens('user-1', 'access-token', 'refresh-token', 3600);
+
+      const [item] = putItem.firstCall.args;
+      expect(encryptionService.isEncrypted(item.refreshToken)).to.be.true;
+      expect((await encryptionService.decrypt(item.refreshToken)).plaintext)
+        .to.equal('refresh-token');
+    });
+
+    it('debe volver a cifrar al leer un token guardado en claro', async function() {
+      sinon.stub(tokenPersistenceService.dynamoDb, 'query').resolves([{
+        userId: 'user-1',
+        accessToken: 'access-token',
+        refreshToken: 'legacy-token',
+        expiresAt: new Date().toISOString()
+      }]);
+      const updateItem = sinon.stub(tokenPersistenceService.dynamoDb, 'updateItem').resolves({});
+
+      const tokens = await tokenPersistenceService.getTokensByUserId('user-1');
+
+      expect(tokens.refreshToken).to.equal('legacy-token');
+      expect(updateItem.firstCall.args[0])
+        .to.deep.equal({ userId: 'user-1', accessToken: 'access-token' });
+      expect(encryptionService.isEncrypted(updateItem.firstCall.args[1].refreshToken)).to.be.true;
+    });
+
+    it('no debe volver a cifrar los tokens cifrados con la clave actual', async function() {
+      sinon.stub(tokenPersistenceService.dynamoDb, 'query').resolves([{
+        userId: 'user-1',
+        accessToken: 'access-token',
+        refreshToken: await encryptionService.encrypt('refresh-token'),
+        expiresAt: new Date().toISOString()
+      }]);
+      const updateItem = sinon.stub(tokenPersistenceService.dynamoDb, 'updateItem').resolves({});
+
+      const tokens = await tokenPersistenceService.getTokensByUserId('user-1');
+
+      expect(tokens.refreshToken).to.equal('refresh-token');
+      expect(updateItem.called).to.be.false;
+    });
+  });
+
+  describe('configuración del proveedor en Lambda', function() {
+    const ENV_KEYS = [
+      'AWS_LAMBDA_FUNCTION_NAME',
+      'ENVIRONMENT',
+      'TOKEN_ENCRYPTION_PROVIDER',
+      'TOKEN_KMS_KEY_ID'
+    ];
+    let savedEnv;
+
+    beforeEach(function() {
+      savedEnv = ENV_KEYS.reduce((env, key) => ({ ...env, [key]: process.env[key] }), {});
+      process.env.AWS_LAMBDA_FUNCTION_NAME = 'tidal-music-skill';
+      process.env.ENVIRONMENT = 'prod';
+      sinon.stub(console, 'warn');
+    });
+
+    afterEach(function() {
+      ENV_KEYS.forEach(key => {
+        if (savedEnv[key] === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = savedEnv[key];
+        }
+      });
+    });
+
+    it('debe usar KMS por defecto al ejecutarse en Lambda', function() {
+      process.env.TOKEN_KMS_KEY_ID = 'alias/tidal-tokens';
+
+      const lambdaConfig = new config.constructor();
+
+      expect(lambdaConfig.get('encryption.provider')).to.equal('kms');
+    });
+
+    it('no debe detener el arranque con el proveedor local o sin clave de KMS', function() {
+      process.env.TOKEN_ENCRYPTION_PROVIDER = 'local';
+      expect(() => new config.constructor()).to.not.throw();
+
+      process.env.TOKEN_ENCRYPTION_PROVIDER = 'kms';
+      expect(() => new config.constructor()).to.not.throw();
+      expect(console.warn.calledWithMatch(/TOKEN_KMS_KEY_ID/)).to.be.true;
+    });
+
+    it('debe rechazar el cifrado con el proveedor local o sin clave de KMS', async function() {
+      const lambdaEncryption = new encryptionService.constructor();
+      lambdaEncryption.isLambda = true;
+
+      lambdaEncryption.settings = { provider: 'local', keyFile: path.join(keyDir, 'keys.json') };
+      let thrown = null;
+      try {
+        await lambdaEncryption.encrypt('refresh-token');
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown.message).to.match(/local/);
+
+      lambdaEncryption.settings = { provider: 'kms', kmsKeyId: null };
+      thrown = null;
+      try {
+        await lambdaEncryption.decrypt({ v: 1, keyId: 'k', encryptedKey: '', iv: '', tag: '' });
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown.message).to.match(/TOKEN_KMS_KEY_ID/);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Pruebas unitarias para la comparación aproximada de nombres
+ */
+
+const { expect } = require('chai');
+const {
+  normalize,
+  removeFillerWords,
+  phoneticKey,
+  similarity,
+  findBestMatch
+} = require('../lambda/utils/fuzzyMatch');
+
+describe('Fuzzy Match Test Suite', function() {
+  describe('normalize()', function() {
+    it('debe ignorar mayúsculas, tildes y signos', function() {
+      expect(normalize('¡Canción Única!')).to.equal('cancion unica');
+    });
+  });
+
+  describe('phoneticKey()', function() {
+    it('debe igualar nombres que suenan igual en español', function() {
+      expect(phoneticKey('bad buny')).to.equal(phoneticKey('Bad Bunny'));
+      expect(phoneticKey('Despasito')).to.equal(phoneticKey('Despacito'));
+      expect(phoneticKey('jerardo')).to.equal(phoneticKey('Gerardo'));
+    });
+  });
+
+  describe('removeFillerWords()', function() {
+    it('debe quitar las palabras con las que se nombra una playlist', function() {
+      expect(removeFillerWords('mi lista de gimnasio')).to.equal('gimnasio');
+      expect(removeFillerWords('mi lista')).to.equal('mi lista');
+    });
+  });
+
+  describe('similarity()', function() {
+    it('debe ignorar tildes y tolerar errores fonéticos', function() {
+      expect(similarity('rosalia', 'Rosalía')).to.equal(1);
+      expect(similarity('mana', 'Maná')).to.equal(1);
+      expect(similarity('bad buny', 'Bad Bunny')).to.be.at.least(0.9);
+    });
+
+    it('debe puntuar más alto las coincidencias más cercanas', function() {
+      expect(similarity('gym', 'Gym')).to.equal(1);
+      expect(similarity('gym', 'Gym 2024')).to.be.above(similarity('gym', 'Chill'));
+    });
+  });
+
+  describe('findBestMatch()', function() {
+    const playlists = [{ title: 'Chill' }, { title: 'Gym 2024' }, { title: 'Fiesta' }];
+
+    it('debe devolver la playlist más parecida', function() {
+      const match = findBestMatch('gym', playlists, playlist => playlist.title);
+
+      expect(match.item.title).to.equal('Gym 2024');
+    });
+
+    it('debe traducir nombres habituales de playlists', function() {
+      const collection = [{ title: 'Chill' }, { title: 'Gym 🏋️' }];
+      const match = findBestMatch(
+        removeFillerWords('mi lista de gimnasio'),
+        collection,
+        playlist => removeFillerWords(playlist.title)
+      );
+
+      expect(match.item.title).to.equal('Gym 🏋️');
+    });
+
+    it('debe devolver null si nada supera el umbral', function() {
+      expect(findBestMatch('jazz', playlists, playlist => playlist.title)).to.be.null;
+    });
+  });
+});
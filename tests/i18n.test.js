@@ -0,0 +1,73 @@
+/**
+ * Pruebas unitarias para la internacionalización de las respuestas
+ */
+
+const { expect } = require('chai');
+const { resolveLocale, translate, t } = require('../lambda/utils/i18n');
+const esES = require('../lambda/i18n/es-ES');
+const enUS = require('../lambda/i18n/en-US');
+
+/**
+ * Lista las claves de un catálogo con su ruta completa ("play.playing")
+ * @param {Object} catalog - Catálogo de mensajes
+ * @param {string} prefix - Ruta del nodo actual
+ * @returns {Array<string>} - Claves ordenadas
+ */
+function listKeys(catalog, prefix = '') {
+  return Object.keys(catalog).reduce((keys, name) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    return typeof catalog[name] === 'string'
+      ? keys.concat(path)
+      : keys.concat(listKeys(catalog[name], path));
+  }, []).sort();
+}
+
+describe('i18n Test Suite', function() {
+  describe('resolveLocale()', function() {
+    it('debe usar el catálogo exacto si existe', function() {
+      expect(resolveLocale('en-US')).to.equal('en-US');
+    });
+
+    it('debe usar otro catálogo del mismo idioma', function() {
+      expect(resolveLocale('es-MX')).to.equal('es-ES');
+      expect(resolveLocale('en-GB')).to.equal('en-US');
+    });
+
+    it('debe usar español si el idioma no está soportado', function() {
+      expect(resolveLocale('fr-FR')).to.equal('es-ES');
+      expect(resolveLocale(undefined)).to.equal('es-ES');
+    });
+  });
+
+  describe('translate()', function() {
+    it('debe sustituir los marcadores por los parámetros', function() {
+      expect(translate('en-US', 'play.playing', { label: 'Motomami' })).to.equal('Playing Motomami');
+      expect(translate('es-ES', 'play.playing', { label: 'Motomami' })).to.equal('Reproduciendo Motomami');
+    });
+
+    it('debe devolver la clave si no existe el mensaje', function() {
+      expect(translate('en-US', 'missing.key')).to.equal('missing.key');
+    });
+  });
+
+  describe('t()', function() {
+    it('debe traducir al idioma de la petición', function() {
+      const handlerInput = { requestEnvelope: { request: { locale: 'en-US' } } };
+
+      expect(t(handlerInput, 'goodbye.speech')).to.equal('See you soon!');
+    });
+
+    it('debe aceptar los descriptores de musicResolverService', function() {
+      const handlerInput = { requestEnvelope: { request: { locale: 'en-US' } } };
+      const label = { key: 'labels.album', params: { title: 'El Mal Querer', artist: 'Rosalía' } };
+
+      expect(t(handlerInput, label)).to.equal('the album El Mal Querer by Rosalía');
+    });
+  });
+
+  describe('catálogos', function() {
+    it('deben tener las mismas claves en todos los idiomas', function() {
+      expect(listKeys(enUS)).to.deep.equal(listKeys(esES));
+    });
+  });
+});
@@ -15,11 +15,36 @@ const {
 } = require('../lambda/handlers/commonHandlers');
 const {
   PlayMusicIntentHandler,
-  SearchMusicIntentHandler
+  SearchMusicIntentHandler,
+  AudioPlayerEventHandler
 } = require('../lambda/handlers/musicHandlers');
+const {
+  PlaybackControllerNextHandler
+} = require('../lambda/handlers/playbackControllerHandlers');
+const { NowPlayingIntentHandler } = require('../lambda/handlers/nowPlayingHandlers');
+const { LikeTrackIntentHandler } = require('../lambda/handlers/favoritesHandlers');
+const {
+  SelectSearchResultIntentHandler,
+  SearchResultNoIntentHandler
+} = require('../lambda/handlers/searchDialogHandlers');
+const {
+  NowPlayingNextEventHandler,
+  SearchResultSelectedEventHandler
+} = require('../lambda/handlers/aplHandlers');
+const {
+  AccountLinkedHandler,
+  AccountLinkDeletedHandler,
+  SkillDisabledHandler
+} = require('../lambda/handlers/authHandler');
+const { TransferPlaybackIntentHandler } = require('../lambda/handlers/deviceHandlers');
+const { ResumeSessionYesIntentHandler } = require('../lambda/handlers/resumeSessionHandlers');
 
 // Mock para el servicio de Tidal
 const tidalService = require('../lambda/services/tidalService');
+const playbackPersistenceService = require('../lambda/services/playbackPersistenceService');
+const queueService = require('../lambda/services/queueService');
+const musicResolverService = require('../lambda/services/musicResolverService');
+const accountService = require('../lambda/services/accountService');
 
 describe('Tidal Skill Test Suite', function() {
   
@@ -77,10 +102,13 @@ describe('Tidal Skill Test Suite', function() {
       speak: sinon.stub().returnsThis(),
       reprompt: sinon.stub().returnsThis(),
       withSimpleCard: sinon.stub().returnsThis(),
+      withStandardCard: sinon.stub().returnsThis(),
       withLinkAccountCard: sinon.stub().returnsThis(),
       withShouldEndSession: sinon.stub().returnsThis(),
+      addElicitSlotDirective: sinon.stub().returnsThis(),
       addAudioPlayerPlayDirective: sinon.stub().returnsThis(),
       addAudioPlayerStopDirective: sinon.stub().returnsThis(),
+      addDirective: sinon.stub().returnsThis(),
       getResponse: sinon.stub().returns({ responseObj: 'test' })
     };
     
@@ -104,6 +132,11 @@ describe('Tidal Skill Test Suite', function() {
 
   // Tests para LaunchRequestHandler
   describe('LaunchRequestHandler', function() {
+    beforeEach(function() {
+      // Sin estado guardado salvo que la prueba lo indique
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves(null);
+    });
+    
     it('debe manejar LaunchRequest', function() {
       const handlerInput = getMockHandlerInput('LaunchRequest');
       expect(LaunchRequestHandler.canHandle(handlerInput)).to.be.true;
@@ -121,12 +154,114 @@ describe('Tidal Skill Test Suite', function() {
       
       // Mock para tidalService.getUserInfo
       sinon.stub(tidalService, 'getUserInfo').resolves({ userId: '123', username: 'testUser' });
+      sinon.stub(tidalService, 'getRecommendations').resolves({});
       
       await LaunchRequestHandler.handle(handlerInput);
       
       expect(handlerInput.responseBuilder.speak.calledOnce).to.be.true;
       expect(handlerInput.responseBuilder.withLinkAccountCard.called).to.be.false;
     });
+    
+    it('debe sugerir una mezcla recomendada al iniciar', async function() {
+      const handlerInput = getMockHandlerInput('LaunchRequest', null, {}, 'fake-token');
+      
+      sinon.stub(tidalService, 'getUserInfo').resolves({ userId: '123', username: 'testUser' });
+      sinon.stub(tidalService, 'getRecommendations').resolves({
+        items: [
+          { title: 'Vacía', items: [] },
+          { title: 'Mi Mix Diario', items: [{ uuid: 'mix-1', title: 'Mix 1' }] }
+        ]
+      });
+      
+      await LaunchRequestHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0]).to.contain('Hoy te sugiero Mi Mix Diario');
+    });
+    
+    it('debe ofrecer continuar la última reproducción sin terminar', async function() {
+      const handlerInput = getMockHandlerInput('LaunchRequest', null, {}, 'fake-token');
+      playbackPersistenceService.getLatestPlaybackState.resolves({
+        trackList: [{ id: 'track-1', title: 'Uno', artist: 'Artista' }],
+        currentIndex: 0,
+        offsetInMilliseconds: 42000,
+        pausedAt: new Date().toISOString()
+      });
+      sinon.stub(tidalService, 'getUserInfo').resolves({ userId: '123' });
+      const getRecommendations = sinon.stub(tidalService, 'getRecommendations').resolves({});
+      
+      await LaunchRequestHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.contain('La última vez escuchabas Uno de Artista, ¿quieres continuar?');
+      expect(handlerInput.attributesManager.getSessionAttributes().pendingQuestion)
+        .to.equal('resumeSession');
+      expect(getRecommendations.called).to.be.false;
+    });
+    
+    it('no debe ofrecer continuar una reproducción terminada o antigua', async function() {
+      const handlerInput = getMockHandlerInput('LaunchRequest', null, {}, 'fake-token');
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+      playbackPersistenceService.getLatestPlaybackState.resolves({
+        title: 'Uno',
+        artist: 'Artista',
+        updatedAt: yesterday
+      });
+      sinon.stub(tidalService, 'getUserInfo').resolves({ userId: '123' });
+      sinon.stub(tidalService, 'getRecommendations').resolves({});
+      
+      await LaunchRequestHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0]).to.not.contain('La última vez');
+      expect(handlerInput.attributesManager.getSessionAttributes().pendingQuestion)
+        .to.be.undefined;
+    });
+    
+    it('debe avisar del error que dejó la última transición', async function() {
+      const handlerInput = getMockHandlerInput('LaunchRequest', null, {}, 'fake-token');
+      playbackPersistenceService.getLatestPlaybackState.resolves({
+        title: 'Uno',
+        artist: 'Artista',
+        isComplete: true,
+        error: 'No se pudo reproducir la siguiente pista',
+        errorTimestamp: new Date().toISOString()
+      });
+      const savePlaybackState = sinon.stub(playbackPersistenceService, 'savePlaybackState')
+        .resolves();
+      sinon.stub(tidalService, 'getUserInfo').resolves({ userId: '123' });
+      sinon.stub(tidalService, 'getRecommendations').resolves({});
+      
+      await LaunchRequestHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.contain('La última vez no pude reproducir la siguiente canción.');
+      expect(savePlaybackState.firstCall.args[1]).to.not.have.property('error');
+    });
+  });
+  
+  // Tests para la respuesta a la oferta de continuar la última sesión
+  describe('ResumeSessionYesIntentHandler', function() {
+    it('debe reanudar en la posición guardada al aceptar la oferta', async function() {
+      const handlerInput = getMockHandlerInput(
+        'IntentRequest',
+        'AMAZON.YesIntent',
+        {},
+        'fake-token'
+      );
+      handlerInput.attributesManager.getSessionAttributes().pendingQuestion = 'resumeSession';
+      sinon.stub(queueService, 'getResumePoint').resolves({
+        streamUrl: 'https://stream-url.example.com/1',
+        offset: 42000,
+        metadata: { token: 'track-1', title: 'Uno' }
+      });
+      
+      expect(ResumeSessionYesIntentHandler.canHandle(handlerInput)).to.be.true;
+      await ResumeSessionYesIntentHandler.handle(handlerInput);
+      
+      const directiveArgs = handlerInput.responseBuilder.addAudioPlayerPlayDirective.firstCall.args;
+      expect(directiveArgs[2]).to.equal('track-1');
+      expect(directiveArgs[3]).to.equal(42000);
+      expect(handlerInput.attributesManager.getSessionAttributes().pendingQuestion).to.be.null;
+    });
   });
 
   // Tests para HelpIntentHandler
@@ -156,6 +291,11 @@ describe('Tidal Skill Test Suite', function() {
       const handlerInput = getMockHandlerInput('IntentRequest', 'AMAZON.StopIntent');
       expect(CancelAndStopIntentHandler.canHandle(handlerInput)).to.be.true;
     });
+
+    it('debe manejar NavigateHomeIntent', function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'AMAZON.NavigateHomeIntent');
+      expect(CancelAndStopIntentHandler.canHandle(handlerInput)).to.be.true;
+    });
     
     it('debe detener reproducción y finalizar sesión', async function() {
       const handlerInput = getMockHandlerInput('IntentRequest', 'AMAZON.StopIntent');
@@ -183,6 +323,53 @@ describe('Tidal Skill Test Suite', function() {
     });
   });
 
+  // Tests para los eventos del ciclo de vida de la cuenta
+  describe('AccountLinkedHandler y AccountLinkDeletedHandler', function() {
+    function getSkillEventInput(type, body) {
+      const handlerInput = getMockHandlerInput(type);
+      handlerInput.requestEnvelope.request.body = body;
+      handlerInput.requestEnvelope.context.System.user.userId = 'user-1';
+      return handlerInput;
+    }
+    
+    it('debe distinguir la vinculación de la desvinculación', function() {
+      const linked = getSkillEventInput('AlexaSkillEvent.SkillAccountLinked', {
+        accessToken: 'access-token'
+      });
+      const unlinked = getSkillEventInput('AlexaSkillEvent.SkillAccountLinked', {});
+      
+      expect(AccountLinkedHandler.canHandle(linked)).to.be.true;
+      expect(AccountLinkDeletedHandler.canHandle(linked)).to.be.false;
+      expect(AccountLinkedHandler.canHandle(unlinked)).to.be.false;
+      expect(AccountLinkDeletedHandler.canHandle(unlinked)).to.be.true;
+    });
+    
+    it('debe guardar los tokens al vincular la cuenta', async function() {
+      const handlerInput = getSkillEventInput('AlexaSkillEvent.SkillAccountLinked', {
+        accessToken: 'access-token'
+      });
+      sinon.stub(accountService, 'linkAccount').resolves({ userId: 987 });
+      
+      const response = await AccountLinkedHandler.handle(handlerInput);
+      
+      expect(response.statusCode).to.equal(200);
+      expect(accountService.linkAccount.calledOnceWith('user-1', 'access-token')).to.be.true;
+    });
+    
+    it('debe eliminar los datos del usuario al deshabilitar la skill', async function() {
+      const handlerInput = getSkillEventInput('AlexaSkillEvent.SkillDisabled', {
+        userInformationPersistenceStatus: 'NOT_PERSISTED'
+      });
+      sinon.stub(accountService, 'purgeUserData').resolves(true);
+      
+      expect(SkillDisabledHandler.canHandle(handlerInput)).to.be.true;
+      const response = await SkillDisabledHandler.handle(handlerInput);
+      
+      expect(response.statusCode).to.equal(200);
+      expect(accountService.purgeUserData.calledOnceWith('user-1')).to.be.true;
+    });
+  });
+
   // Tests para PlayMusicIntentHandler
   describe('PlayMusicIntentHandler', function() {
     it('debe manejar PlayMusicIntent', function() {
@@ -225,6 +412,104 @@ describe('Tidal Skill Test Suite', function() {
       expect(tidalService.getStreamUrl.called).to.be.true;
       expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.calledOnce).to.be.true;
     });
+    
+    it('debe pedir confirmación si la coincidencia es poco fiable', async function() {
+      const slots = { song: { value: 'Despasito' } };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'PlayMusicIntent', slots, 'fake-token');
+      
+      sinon.stub(tidalService, 'searchTrack').resolves({
+        tracks: [{
+          id: '999',
+          title: 'Despacito (Karaoke)',
+          artist: { name: 'Karaoke Hits' },
+          album: { cover: 'cover-url', title: 'Karaoke' }
+        }],
+        confidence: 0.4
+      });
+      
+      await PlayMusicIntentHandler.handle(handlerInput);
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.called).to.be.false;
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.include('¿Quieres escuchar Despacito (Karaoke) de Karaoke Hits?');
+      expect(sessionAttributes.pendingQuestion).to.equal('searchResults');
+      expect(sessionAttributes.lastSearchOptions[0].item.id).to.equal('999');
+    });
+  });
+
+  // Tests para el diálogo de PlayMusicIntent
+  describe('PlayMusicIntentHandler (diálogo)', function() {
+    it('debe preguntar qué reproducir si no hay nada utilizable', async function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'PlayMusicIntent', {}, 'fake-token');
+      
+      await PlayMusicIntentHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.addElicitSlotDirective.firstCall.args[0]).to.equal('query');
+    });
+    
+    it('debe preguntar el tipo si el nombre es a la vez canción y álbum', async function() {
+      const slots = { query: { name: 'query', value: 'Motomami' } };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'PlayMusicIntent', slots, 'fake-token');
+      
+      sinon.stub(tidalService, 'search').resolves({
+        tracks: [{ id: 't1', title: 'MOTOMAMI', artist: { name: 'Rosalía' } }],
+        albums: [{ id: 'a1', title: 'MOTOMAMI', artist: { name: 'Rosalía' } }],
+        artists: [{ id: 'r1', name: 'Rosalía' }],
+        playlists: []
+      });
+      
+      await PlayMusicIntentHandler.handle(handlerInput);
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      expect(handlerInput.responseBuilder.addElicitSlotDirective.firstCall.args[0]).to.equal('musicType');
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.equal('He encontrado Motomami como canción y como álbum. ¿La canción, el álbum o el artista?');
+      expect(sessionAttributes.pendingPlayMusic.slots.query.value).to.equal('Motomami');
+    });
+    
+    it('debe confirmar si se piden canción y álbum a la vez', async function() {
+      const slots = {
+        song: { name: 'song', value: 'Malamente' },
+        album: { name: 'album', value: 'Motomami' }
+      };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'PlayMusicIntent', slots, 'fake-token');
+      
+      await PlayMusicIntentHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.equal('¿Quieres la canción Malamente o el álbum Motomami?');
+    });
+    
+    it('debe completar la petición con la respuesta del usuario', async function() {
+      const slots = {
+        musicType: {
+          name: 'musicType',
+          value: 'álbum',
+          resolutions: {
+            resolutionsPerAuthority: [{
+              status: { code: 'ER_SUCCESS_MATCH' },
+              values: [{ value: { id: 'album' } }]
+            }]
+          }
+        }
+      };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'PlayMusicIntent', slots, 'fake-token');
+      handlerInput.requestEnvelope.request.dialogState = 'IN_PROGRESS';
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.pendingPlayMusic = {
+        slots: { query: { name: 'query', value: 'Motomami' } },
+        elicitedSlot: 'musicType'
+      };
+      
+      sinon.stub(musicResolverService, 'resolve').resolves(null);
+      
+      await PlayMusicIntentHandler.handle(handlerInput);
+      
+      expect(musicResolverService.resolve.firstCall.args[1])
+        .to.deep.equal({ album: { name: 'album', value: 'Motomami' } });
+      expect(sessionAttributes.pendingPlayMusic).to.be.undefined;
+    });
   });
 
   // Tests para SearchMusicIntentHandler
@@ -258,5 +543,414 @@ describe('Tidal Skill Test Suite', function() {
       // Verificar que se guardaron los resultados en la sesión
       expect(handlerInput.attributesManager.setSessionAttributes.calledOnce).to.be.true;
     });
+    
+    it('debe mostrar todos los resultados como lista táctil en dispositivos con APL', async function() {
+      const slots = { searchTerm: { value: 'Rosalía' } };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'SearchMusicIntent', slots, 'fake-token');
+      handlerInput.requestEnvelope.context.System.device = {
+        supportedInterfaces: { 'Alexa.Presentation.APL': {} }
+      };
+      
+      sinon.stub(tidalService, 'search').resolves({
+        artists: [{ name: 'Rosalía', id: '12345', picture: 'aa-bb' }],
+        tracks: [{ title: 'Malamente', artist: { name: 'Rosalía' }, id: '67890', album: { cover: 'cc-dd' } }],
+        albums: [{ title: 'El Mal Querer', artist: { name: 'Rosalía' }, id: '54321', cover: 'ee-ff' }],
+        playlists: [{ title: 'This Is Rosalía', uuid: 'pl-1', squareImage: 'gg-hh' }]
+      });
+      
+      await SearchMusicIntentHandler.handle(handlerInput);
+      
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      expect(sessionAttributes.lastSearchOptions.map(option => option.type))
+        .to.deep.equal(['track', 'artist', 'album', 'playlist']);
+      expect(sessionAttributes.pendingQuestion).to.equal('searchResults');
+      
+      const directive = handlerInput.responseBuilder.addDirective.firstCall.args[0];
+      expect(directive.datasources.searchResults.items[3]).to.deep.equal({
+        primaryText: 'This Is Rosalía',
+        secondaryText: 'Playlist',
+        imageThumbnailSource: 'https://resources.tidal.com/images/gg/hh/320x320.jpg'
+      });
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.include('He encontrado 4 resultados para "Rosalía"');
+    });
+  });
+
+  // Tests para AudioPlayerEventHandler
+  describe('AudioPlayerEventHandler', function() {
+    const queueState = {
+      type: 'album',
+      token: 'track-1',
+      currentIndex: 0,
+      trackList: [
+        { id: 'track-1', title: 'Uno', artist: 'Artista' },
+        { id: 'track-2', title: 'Dos', artist: 'Artista' }
+      ]
+    };
+    
+    function getAudioPlayerInput(eventName, token) {
+      const handlerInput = getMockHandlerInput(`AudioPlayer.${eventName}`, null, {}, 'fake-token');
+      handlerInput.requestEnvelope.request.token = token;
+      handlerInput.requestEnvelope.context.System.user.userId = 'user-1';
+      return handlerInput;
+    }
+    
+    it('debe encolar la siguiente pista en PlaybackNearlyFinished', async function() {
+      const handlerInput = getAudioPlayerInput('PlaybackNearlyFinished', 'track-1');
+      
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves(queueState);
+      sinon.stub(playbackPersistenceService, 'getPlaylist').resolves({
+        trackList: queueState.trackList,
+        currentIndex: 0
+      });
+      sinon.stub(playbackPersistenceService, 'savePlaybackState').resolves();
+      sinon.stub(tidalService, 'getStreamUrl').resolves('https://stream-url.example.com/2');
+      
+      await AudioPlayerEventHandler.handle(handlerInput);
+      
+      const directiveArgs = handlerInput.responseBuilder.addAudioPlayerPlayDirective.firstCall.args;
+      expect(directiveArgs[0]).to.equal('ENQUEUE');
+      expect(directiveArgs[2]).to.equal('track-2');
+      expect(directiveArgs[4]).to.equal('track-1');
+      expect(playbackPersistenceService.savePlaybackState.firstCall.args[1].enqueuedToken)
+        .to.equal('track-2');
+    });
+    
+    it('debe avanzar el índice persistido en PlaybackStarted', async function() {
+      const handlerInput = getAudioPlayerInput('PlaybackStarted', 'track-2');
+      
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        ...queueState,
+        enqueuedToken: 'track-2'
+      });
+      sinon.stub(playbackPersistenceService, 'updatePlaylistIndex').resolves();
+      
+      await AudioPlayerEventHandler.handle(handlerInput);
+      
+      expect(playbackPersistenceService.updatePlaylistIndex.calledWith('user-1', 1)).to.be.true;
+    });
+  });
+
+  // Tests para continuar en un dispositivo lo que sonaba en otro
+  describe('TransferPlaybackIntentHandler', function() {
+    const household = {
+      stateOwnerId: 'user-1@kitchen',
+      devices: {
+        kitchen: { name: 'cocina', stateOwnerId: 'user-1@kitchen', updatedAt: '2026-01-01' },
+        bedroom: { name: 'dormitorio', stateOwnerId: 'user-1@bedroom', updatedAt: '2025-12-31' }
+      }
+    };
+    
+    function getTransferInput(room) {
+      const slots = room ? { room: { name: 'room', value: room } } : {};
+      const handlerInput = getMockHandlerInput(
+        'IntentRequest',
+        'TransferPlaybackIntent',
+        slots,
+        'fake-token'
+      );
+      handlerInput.requestEnvelope.context.System.user.userId = 'user-1';
+      handlerInput.requestEnvelope.context.System.device = { deviceId: 'bedroom' };
+      return handlerInput;
+    }
+    
+    it('debe continuar aquí lo que sonaba en el dispositivo indicado', async function() {
+      const handlerInput = getTransferInput('la cocina');
+      sinon.stub(playbackPersistenceService, 'getActiveListener').resolves(household);
+      const copyPlaybackState = sinon.stub(playbackPersistenceService, 'copyPlaybackState')
+        .resolves({ token: 'track-1' });
+      sinon.stub(queueService, 'getResumePoint').resolves({
+        streamUrl: 'https://stream-url.example.com/1',
+        offset: 42000,
+        metadata: { token: 'track-1', title: 'Uno' }
+      });
+      
+      await TransferPlaybackIntentHandler.handle(handlerInput);
+      
+      expect(copyPlaybackState.calledOnceWith('user-1@kitchen', 'user-1@bedroom')).to.be.true;
+      const directiveArgs = handlerInput.responseBuilder.addAudioPlayerPlayDirective.firstCall.args;
+      expect(directiveArgs[2]).to.equal('track-1');
+      expect(directiveArgs[3]).to.equal(42000);
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0]).to.include('cocina');
+    });
+    
+    it('no debe traer nada de un dispositivo sin nombre conocido', async function() {
+      const handlerInput = getTransferInput('garaje');
+      sinon.stub(playbackPersistenceService, 'getActiveListener').resolves(household);
+      const copyPlaybackState = sinon.stub(playbackPersistenceService, 'copyPlaybackState');
+      
+      await TransferPlaybackIntentHandler.handle(handlerInput);
+      
+      expect(copyPlaybackState.called).to.be.false;
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.called).to.be.false;
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0]).to.include('garaje');
+    });
+  });
+
+  // Tests para los manejadores de PlaybackController
+  describe('PlaybackControllerNextHandler', function() {
+    it('debe manejar PlaybackController.NextCommandIssued', function() {
+      const handlerInput = getMockHandlerInput('PlaybackController.NextCommandIssued');
+      expect(PlaybackControllerNextHandler.canHandle(handlerInput)).to.be.true;
+    });
+    
+    it('debe reproducir la siguiente pista sin respuesta de voz', async function() {
+      const handlerInput = getMockHandlerInput(
+        'PlaybackController.NextCommandIssued', null, {}, 'fake-token'
+      );
+      
+      sinon.stub(queueService, 'skip').resolves({
+        status: 'ok',
+        track: { id: 'track-2', title: 'Dos', artist: 'Artista' },
+        index: 1,
+        streamUrl: 'https://stream-url.example.com/2'
+      });
+      
+      await PlaybackControllerNextHandler.handle(handlerInput);
+      
+      expect(queueService.skip.firstCall.args[2]).to.equal(1);
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.calledOnce).to.be.true;
+      expect(handlerInput.responseBuilder.speak.called).to.be.false;
+    });
+  });
+
+  // Tests para NowPlayingIntentHandler
+  describe('NowPlayingIntentHandler', function() {
+    it('debe manejar NowPlayingIntent', function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'NowPlayingIntent');
+      expect(NowPlayingIntentHandler.canHandle(handlerInput)).to.be.true;
+    });
+    
+    it('debe usar el token del dispositivo aunque el estado persistido difiera', async function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'NowPlayingIntent', {}, 'fake-token');
+      handlerInput.requestEnvelope.context.AudioPlayer = {
+        token: 'track-2',
+        playerActivity: 'PLAYING'
+      };
+      
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({ token: 'track-1' });
+      sinon.stub(tidalService, 'getTrackDetails').resolves({
+        title: 'Malamente',
+        artists: [{ name: 'Rosalía' }],
+        album: { title: 'El Mal Querer', releaseDate: '2018-11-02', cover: 'aa-bb-cc' },
+        duration: 150
+      });
+      
+      await NowPlayingIntentHandler.handle(handlerInput);
+      
+      expect(tidalService.getTrackDetails.firstCall.args[1]).to.equal('track-2');
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.equal('Está sonando Malamente de Rosalía, del álbum El Mal Querer, de 2018. Dura 2 minutos y 30 segundos.');
+      expect(handlerInput.responseBuilder.withStandardCard.firstCall.args[2])
+        .to.equal('https://resources.tidal.com/images/aa/bb/cc/640x640.jpg');
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.called).to.be.false;
+    });
+    
+    it('debe responder en inglés si la petición es en-US', async function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'NowPlayingIntent', {}, 'fake-token');
+      handlerInput.requestEnvelope.request.locale = 'en-US';
+      handlerInput.requestEnvelope.context.AudioPlayer = { token: 'track-2' };
+      
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves(null);
+      sinon.stub(tidalService, 'getTrackDetails').resolves({
+        title: 'Malamente',
+        artists: [{ name: 'Rosalía' }, { name: 'C. Tangana' }],
+        duration: 61
+      });
+      
+      await NowPlayingIntentHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.equal('This is Malamente by Rosalía and C. Tangana. It lasts 1 minute and 1 second.');
+      expect(handlerInput.responseBuilder.withStandardCard.firstCall.args[0])
+        .to.equal('Tidal Music - Now playing');
+    });
+    
+    it('debe mostrar la pantalla de reproducción solo si el dispositivo soporta APL', async function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'NowPlayingIntent', {}, 'fake-token');
+      handlerInput.requestEnvelope.context.AudioPlayer = { token: 'track-2', offsetInMilliseconds: 30000 };
+      
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves(null);
+      sinon.stub(tidalService, 'getTrackDetails').resolves({
+        title: 'Malamente',
+        artists: [{ name: 'Rosalía' }],
+        album: { title: 'El Mal Querer', cover: 'aa-bb-cc' },
+        duration: 150
+      });
+      
+      await NowPlayingIntentHandler.handle(handlerInput);
+      expect(handlerInput.responseBuilder.addDirective.called).to.be.false;
+      
+      handlerInput.requestEnvelope.context.System.device = {
+        supportedInterfaces: { 'Alexa.Presentation.APL': { runtime: { maxVersion: '2023.2' } } }
+      };
+      await NowPlayingIntentHandler.handle(handlerInput);
+      
+      const directive = handlerInput.responseBuilder.addDirective.firstCall.args[0];
+      expect(directive.type).to.equal('Alexa.Presentation.APL.RenderDocument');
+      expect(directive.datasources.nowPlaying).to.include({
+        title: 'Malamente',
+        artist: 'Rosalía',
+        albumName: 'El Mal Querer',
+        albumArtUrl: 'https://resources.tidal.com/images/aa/bb/cc/640x640.jpg',
+        durationInMilliseconds: 150000,
+        offsetInMilliseconds: 30000
+      });
+    });
+  });
+
+  // Tests para los botones de la pantalla de reproducción
+  describe('NowPlayingNextEventHandler', function() {
+    /**
+     * Crea un evento táctil de la pantalla de reproducción
+     * @param {Array} args - Argumentos del SendEvent
+     * @returns {Object} - handlerInput con un dispositivo con pantalla
+     */
+    function getUserEventInput(args) {
+      const handlerInput = getMockHandlerInput('Alexa.Presentation.APL.UserEvent', null, {}, 'fake-token');
+      handlerInput.requestEnvelope.request.arguments = args;
+      handlerInput.requestEnvelope.context.System.user.userId = 'test-user';
+      handlerInput.requestEnvelope.context.System.device = {
+        supportedInterfaces: { 'Alexa.Presentation.APL': {} }
+      };
+      return handlerInput;
+    }
+    
+    it('debe manejar solo el botón "siguiente" de la pantalla', function() {
+      expect(NowPlayingNextEventHandler.canHandle(getUserEventInput(['nowPlaying', 'next']))).to.be.true;
+      expect(NowPlayingNextEventHandler.canHandle(getUserEventInput(['nowPlaying', 'like']))).to.be.false;
+    });
+    
+    it('debe pasar a la siguiente pista y actualizar la pantalla', async function() {
+      const handlerInput = getUserEventInput(['nowPlaying', 'next']);
+      
+      sinon.stub(queueService, 'skip').resolves({
+        status: 'ok',
+        track: { id: 'track-3', title: 'Bagdad', artist: 'Rosalía' },
+        index: 2,
+        streamUrl: 'https://stream/track-3'
+      });
+      sinon.stub(tidalService, 'getTrackDetails').resolves({ title: 'Bagdad', artists: [{ name: 'Rosalía' }] });
+      
+      await NowPlayingNextEventHandler.handle(handlerInput);
+      
+      expect(queueService.skip.calledWith('test-user', 'fake-token', 1)).to.be.true;
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.firstCall.args[1])
+        .to.equal('https://stream/track-3');
+      expect(handlerInput.responseBuilder.addDirective.firstCall.args[0].datasources.nowPlaying.title)
+        .to.equal('Bagdad');
+      expect(handlerInput.responseBuilder.speak.called).to.be.false;
+    });
+  });
+
+  // Tests para los manejadores de la colección
+  describe('LikeTrackIntentHandler', function() {
+    it('debe manejar LikeTrackIntent', function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'LikeTrackIntent');
+      expect(LikeTrackIntentHandler.canHandle(handlerInput)).to.be.true;
+    });
+    
+    it('debe añadir a favoritos la pista del AudioPlayer', async function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'LikeTrackIntent', {}, 'fake-token');
+      handlerInput.requestEnvelope.context.AudioPlayer = { token: 'track-7' };
+      
+      sinon.stub(tidalService, 'getTrackDetails').resolves({ title: 'Malamente' });
+      sinon.stub(tidalService, 'addFavorite').resolves(true);
+      
+      await LikeTrackIntentHandler.handle(handlerInput);
+      
+      expect(tidalService.addFavorite.firstCall.args.slice(1, 3)).to.deep.equal(['tracks', 'track-7']);
+      expect(handlerInput.responseBuilder.speak.firstCall.args[0])
+        .to.equal('He añadido Malamente a tus canciones favoritas.');
+    });
+  });
+
+  describe('SelectSearchResultIntentHandler', function() {
+    function withSearchOptions(handlerInput) {
+      const sessionAttributes = handlerInput.attributesManager.getSessionAttributes();
+      sessionAttributes.pendingQuestion = 'searchResults';
+      sessionAttributes.lastSearchOptions = [
+        { type: 'track', item: { id: '67890', title: 'Malamente' } },
+        { type: 'album', item: { id: '54321', title: 'El Mal Querer' } }
+      ];
+      return sessionAttributes;
+    }
+    
+    function resolvedSlot(id) {
+      return {
+        value: id,
+        resolutions: {
+          resolutionsPerAuthority: [{
+            status: { code: 'ER_SUCCESS_MATCH' },
+            values: [{ value: { id } }]
+          }]
+        }
+      };
+    }
+    
+    it('debe reproducir el resultado elegido por su posición', async function() {
+      const slots = { ordinal: resolvedSlot('2') };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'SelectSearchResultIntent', slots, 'fake-token');
+      const sessionAttributes = withSearchOptions(handlerInput);
+      
+      sinon.stub(musicResolverService, 'resolveSearchResult').resolves({
+        type: 'album',
+        trackList: [{ id: '1', title: 'Malamente', artist: 'Rosalía' }],
+        label: { key: 'labels.album', params: { title: 'El Mal Querer', artist: 'Rosalía' } },
+        display: {},
+        context: { type: 'album' }
+      });
+      sinon.stub(tidalService, 'getStreamUrl').resolves('https://stream-url.example.com');
+      sinon.stub(playbackPersistenceService, 'savePlaylist').resolves(true);
+      
+      await SelectSearchResultIntentHandler.handle(handlerInput);
+      
+      expect(musicResolverService.resolveSearchResult.firstCall.args[1]).to.equal('album');
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.calledOnce).to.be.true;
+      expect(sessionAttributes.pendingQuestion).to.equal(null);
+    });
+    
+    it('debe volver a preguntar si no reconoce la opción', async function() {
+      const slots = { resultType: resolvedSlot('playlist') };
+      const handlerInput = getMockHandlerInput('IntentRequest', 'SelectSearchResultIntent', slots, 'fake-token');
+      withSearchOptions(handlerInput);
+      
+      await SelectSearchResultIntentHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.reprompt.calledOnce).to.be.true;
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.called).to.be.false;
+    });
+    
+    it('debe cerrar la sesión si el usuario no quiere ningún resultado', async function() {
+      const handlerInput = getMockHandlerInput('IntentRequest', 'AMAZON.NoIntent');
+      withSearchOptions(handlerInput);
+      
+      expect(SearchResultNoIntentHandler.canHandle(handlerInput)).to.be.true;
+      await SearchResultNoIntentHandler.handle(handlerInput);
+      
+      expect(handlerInput.responseBuilder.withShouldEndSession.calledWith(true)).to.be.true;
+    });
+    
+    it('debe reproducir el elemento tocado en la lista de resultados', async function() {
+      const handlerInput = getMockHandlerInput('Alexa.Presentation.APL.UserEvent', null, {}, 'fake-token');
+      handlerInput.requestEnvelope.request.arguments = ['searchResults', 2];
+      withSearchOptions(handlerInput);
+      
+      sinon.stub(musicResolverService, 'resolveSearchResult').resolves({
+        type: 'album',
+        trackList: [{ id: '1', title: 'Malamente', artist: 'Rosalía' }],
+        label: { key: 'labels.album', params: { title: 'El Mal Querer', artist: 'Rosalía' } },
+        display: {},
+        context: { type: 'album' }
+      });
+      sinon.stub(tidalService, 'getStreamUrl').resolves('https://stream-url.example.com');
+      sinon.stub(playbackPersistenceService, 'savePlaylist').resolves(true);
+      
+      expect(SearchResultSelectedEventHandler.canHandle(handlerInput)).to.be.true;
+      await SearchResultSelectedEventHandler.handle(handlerInput);
+      
+      expect(musicResolverService.resolveSearchResult.firstCall.args[2].id).to.equal('54321');
+      expect(handlerInput.responseBuilder.addAudioPlayerPlayDirective.calledOnce).to.be.true;
+    });
   });
 });
@@ -0,0 +1,128 @@
+/**
+ * Pruebas de coherencia entre los modelos de interacción y los manejadores
+ */
+
+const { expect } = require('chai');
+const {
+  REQUIRED_AUDIO_PLAYER_INTENTS,
+  getHandledIntents,
+  getSlotReads,
+  checkConsistency,
+  checkProject
+} = require('../models/consistency');
+
+describe('Model Consistency Test Suite', function() {
+  /**
+   * Crea un modelo mínimo con los intents indicados
+   * @param {Array<Object>} intents - Intents del modelo
+   * @returns {Object} - Modelo de interacción
+   */
+  function buildModel(intents) {
+    return { interactionModel: { languageModel: { invocationName: 'tidal', intents } } };
+  }
+
+  /**
+   * Crea un manejador que atiende los intents indicados
+   * @param {Array<string>} intentNames - Intents atendidos
+   * @returns {Object} - Manejador { canHandle, handle }
+   */
+  function buildHandler(intentNames) {
+    return {
+      canHandle: handlerInput => handlerInput.requestEnvelope.request.type === 'IntentRequest'
+        && intentNames.includes(handlerInput.requestEnvelope.request.intent.name),
+      handle: () => ({})
+    };
+  }
+
+  const audioPlayerIntents = REQUIRED_AUDIO_PLAYER_INTENTS.map(name => ({ name }));
+  const audioPlayerHandler = buildHandler(REQUIRED_AUDIO_PLAYER_INTENTS);
+
+  describe('checkProject()', function() {
+    it('debe encontrar coherentes los modelos y manejadores de la skill', function() {
+      expect(checkProject()).to.deep.equal([]);
+    });
+  });
+
+  describe('checkConsistency()', function() {
+    it('debe detectar intents del modelo sin manejador', function() {
+      const models = {
+        'es-ES': buildModel([...audioPlayerIntents, { name: 'AMAZON.NavigateHomeIntent' }])
+      };
+
+      expect(checkConsistency({ models, handlers: [audioPlayerHandler] }))
+        .to.deep.equal(['es-ES: el intent AMAZON.NavigateHomeIntent no tiene manejador']);
+    });
+
+    it('debe detectar manejadores de intents que no están en ningún modelo', function() {
+      const OldIntentHandler = {
+        canHandle(handlerInput) {
+          return handlerInput.requestEnvelope.request.intent.name === 'OldIntent';
+        },
+        handle: () => ({})
+      };
+      const models = { 'es-ES': buildModel(audioPlayerIntents) };
+
+      expect(checkConsistency({ models, handlers: [audioPlayerHandler, OldIntentHandler] }))
+        .to.deep.equal(['el intent OldIntent tiene manejador pero no está en ningún modelo']);
+    });
+
+    it('debe detectar intents obligatorios del AudioPlayer que faltan', function() {
+      const models = {
+        'en-US': buildModel(audioPlayerIntents.filter(({ name }) => name !== 'AMAZON.ResumeIntent'))
+      };
+      const handlers = [
+        buildHandler(REQUIRED_AUDIO_PLAYER_INTENTS.filter(name => name !== 'AMAZON.ResumeIntent'))
+      ];
+
+      expect(checkConsistency({ models, handlers })).to.deep.equal([
+        'en-US: falta el intent obligatorio del AudioPlayer AMAZON.ResumeIntent',
+        'el intent obligatorio del AudioPlayer AMAZON.ResumeIntent no tiene manejador'
+      ]);
+    });
+
+    it('debe detectar slots leídos que no existen en el modelo', function() {
+      const PlayHandler = buildHandler(['PlayMusicIntent']);
+      const models = {
+        'es-ES': buildModel([
+          ...audioPlayerIntents,
+          { name: 'PlayMusicIntent', slots: [{ name: 'song', type: 'AMAZON.MusicRecording' }] }
+        ])
+      };
+      const modules = [{
+        file: 'playHandlers.js',
+        source: 'const song = getSlotValue(slots, \'song\'); const name = slots.songName.value;',
+        exports: { PlayHandler }
+      }];
+
+      expect(checkConsistency({ models, handlers: [audioPlayerHandler, PlayHandler], modules }))
+        .to.deep.equal(['playHandlers.js lee el slot songName, que no existe en PlayMusicIntent']);
+    });
+  });
+
+  describe('getHandledIntents()', function() {
+    it('debe incluir los intents citados en canHandle que dependen de la sesión', function() {
+      const YesHandler = {
+        canHandle(handlerInput) {
+          return handlerInput.requestEnvelope.request.intent.name === 'AMAZON.YesIntent'
+            && handlerInput.attributesManager.getSessionAttributes().pendingQuestion === 'results';
+        },
+        handle: () => ({})
+      };
+
+      expect(getHandledIntents(YesHandler, ['AMAZON.YesIntent']))
+        .to.deep.equal(['AMAZON.YesIntent']);
+    });
+  });
+
+  describe('getSlotReads()', function() {
+    it('debe encontrar los slots leídos con cualquiera de los accesos habituales', function() {
+      const source = [
+        'const artist = slots && slots.artist && slots.artist.value;',
+        'const minutes = getNumberSlot(slots, \'minutes\');',
+        'const cacheTypeSlot = intent.slots && intent.slots.cacheType;'
+      ].join('\n');
+
+      expect(getSlotReads(source)).to.have.members(['artist', 'minutes', 'cacheType']);
+    });
+  });
+});
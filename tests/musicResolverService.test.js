@@ -0,0 +1,143 @@
+/**
+ * Pruebas unitarias para el servicio de resolución de música
+ * Verifica que la colección del usuario tiene prioridad sobre el catálogo
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const musicResolverService = require('../lambda/services/musicResolverService');
+const tidalService = require('../lambda/services/tidalService');
+
+describe('Music Resolver Service Test Suite', function() {
+  const playlistTracks = [
+    { id: 't1', title: 'Uno', artist: { name: 'Artista' }, album: { title: 'Álbum' } }
+  ];
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('resolvePlaylist()', function() {
+    it('debe preferir una playlist del usuario con nombre parecido', async function() {
+      sinon.stub(tidalService, 'getUserPlaylists').resolves([
+        { data: { uuid: 'mine', name: 'Gym 2024' } }
+      ]);
+      sinon.stub(tidalService, 'searchPlaylist').resolves({ playlists: [] });
+      sinon.stub(tidalService, 'getPlaylistTracks').resolves(playlistTracks);
+
+      const selection = await musicResolverService.resolvePlaylist('token', 'gym', 'user');
+
+      expect(selection.label).to.deep.equal({ key: 'labels.userPlaylist', params: { title: 'Gym 2024' } });
+      expect(selection.context.playlistId).to.equal('mine');
+      expect(tidalService.searchPlaylist.called).to.be.false;
+    });
+
+    it('debe buscar en el catálogo si no hay coincidencia en la colección', async function() {
+      sinon.stub(tidalService, 'getUserPlaylists').resolves([{ uuid: 'mine', title: 'Chill' }]);
+      sinon.stub(tidalService, 'searchPlaylist').resolves({
+        playlists: [{ id: 'public', title: 'Gym Hits' }]
+      });
+      sinon.stub(tidalService, 'getPlaylistTracks').resolves(playlistTracks);
+
+      const selection = await musicResolverService.resolvePlaylist('token', 'gym', 'user');
+
+      expect(selection.context.playlistId).to.equal('public');
+    });
+  });
+
+  describe('resolveTrack()', function() {
+    it('debe pedir confirmación si la coincidencia es poco fiable', async function() {
+      sinon.stub(tidalService, 'searchTrack').resolves({
+        tracks: [{ id: 't9', title: 'Otra', artist: { name: 'Alguien' }, album: {} }],
+        confidence: 0.4
+      });
+
+      const selection = await musicResolverService.resolveTrack('token', 'una', null, 'user');
+
+      expect(selection.confirmation.type).to.equal('track');
+      expect(selection.confirmation.item.id).to.equal('t9');
+    });
+
+    it('no debe pedir confirmación si la coincidencia es buena', async function() {
+      sinon.stub(tidalService, 'searchTrack').resolves({
+        tracks: [{ id: 't1', title: 'Uno', artist: { name: 'Artista' }, album: {} }],
+        confidence: 0.95
+      });
+
+      const selection = await musicResolverService.resolveTrack('token', 'uno', 'artista', 'user');
+
+      expect(selection.confirmation).to.be.undefined;
+      expect(selection.confidence).to.equal(0.95);
+    });
+  });
+
+  describe('resolveAlbum()', function() {
+    const album = { id: 'a9', title: 'Otro', artist: { name: 'Alguien' }, cover: null };
+
+    it('no debe pedir las pistas de una coincidencia poco fiable sin confirmar', async function() {
+      sinon.stub(tidalService, 'searchAlbum').resolves({ albums: [album], confidence: 0.4 });
+      sinon.stub(tidalService, 'getAlbumTracks').resolves(playlistTracks);
+
+      const selection = await musicResolverService.resolveAlbum('token', 'uno', null, 'user');
+
+      expect(selection.confirmation).to.deep.equal({ type: 'album', item: album });
+      expect(selection.label).to.deep.equal({
+        key: 'labels.album',
+        params: { title: 'Otro', artist: 'Alguien' }
+      });
+      expect(selection.trackList).to.be.undefined;
+      expect(tidalService.getAlbumTracks.called).to.be.false;
+    });
+
+    it('debe pedir las pistas si la coincidencia es buena', async function() {
+      sinon.stub(tidalService, 'searchAlbum').resolves({ albums: [album], confidence: 0.95 });
+      sinon.stub(tidalService, 'getAlbumTracks').resolves(playlistTracks);
+
+      const selection = await musicResolverService.resolveAlbum('token', 'otro', null, 'user');
+
+      expect(selection.confirmation).to.be.undefined;
+      expect(selection.trackList).to.deep.equal([{ id: 't1', title: 'Uno', artist: 'Artista' }]);
+      expect(tidalService.getAlbumTracks.calledOnceWith('token', 'a9', 'user')).to.be.true;
+    });
+  });
+
+  describe('resolveCollection()', function() {
+    it('debe reproducir las canciones favoritas', async function() {
+      sinon.stub(tidalService, 'getFavorites').resolves([{ item: playlistTracks[0] }]);
+
+      const selection = await musicResolverService.resolveCollection('token', 'tracks', 'user');
+
+      expect(selection.trackList).to.deep.equal([{ id: 't1', title: 'Uno', artist: 'Artista' }]);
+      expect(selection.label).to.deep.equal({ key: 'labels.collectionTracks', params: {} });
+    });
+  });
+
+  describe('resolveRecommendations()', function() {
+    it('debe construir la cola con la primera sección de pistas', async function() {
+      sinon.stub(tidalService, 'getRecommendations').resolves({
+        items: [
+          { title: 'Novedades para ti', items: [{ ...playlistTracks[0], duration: 200 }] }
+        ]
+      });
+
+      const selection = await musicResolverService.resolveRecommendations('token', 'user');
+
+      expect(selection.label).to.deep.equal({
+        key: 'labels.recommendations',
+        params: { title: 'Novedades para ti' }
+      });
+      expect(selection.trackList).to.have.lengthOf(1);
+    });
+
+    it('debe fallar si no hay secciones reproducibles', async function() {
+      sinon.stub(tidalService, 'getRecommendations').resolves({ items: [] });
+
+      try {
+        await musicResolverService.resolveRecommendations('token', 'user');
+        expect.fail('Debería haber lanzado un error');
+      } catch (error) {
+        expect(error.message).to.equal('No hay recomendaciones');
+      }
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Pruebas unitarias para el servicio de persistencia de reproducción
+ * Verifica la manipulación de la cola guardada sin acceder a DynamoDB
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const playbackPersistenceService = require('../lambda/services/playbackPersistenceService');
+const queueService = require('../lambda/services/queueService');
+
+describe('Playback Persistence Service Test Suite', function() {
+  const trackList = [
+    { id: 'a', title: 'A' },
+    { id: 'b', title: 'B' },
+    { id: 'c', title: 'C' }
+  ];
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('insertTracks()', function() {
+    beforeEach(function() {
+      sinon.stub(playbackPersistenceService, 'savePlaybackState').resolves({});
+    });
+
+    it('debe insertar tras la pista actual y desplazar la pista encolada', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackList,
+        currentIndex: 0,
+        enqueuedToken: 'b',
+        enqueuedIndex: 1
+      });
+
+      const state = await playbackPersistenceService.insertTracks('user', [{ id: 'x' }], 'next');
+
+      expect(state.trackList.map(track => track.id)).to.deep.equal(['a', 'x', 'b', 'c']);
+      expect(state.enqueuedIndex).to.equal(2);
+    });
+
+    it('debe añadir al final y al orden aleatorio', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackList,
+        currentIndex: 2,
+        shuffle: true,
+        playOrder: [2, 0, 1]
+      });
+
+      const state = await playbackPersistenceService.insertTracks('user', [{ id: 'x' }], 'end');
+
+      expect(state.trackList.map(track => track.id)).to.deep.equal(['a', 'b', 'c', 'x']);
+      expect(state.playOrder).to.deep.equal([2, 0, 1, 3]);
+    });
+
+    it('debe colocar las pistas tras la actual en el orden aleatorio', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackList,
+        currentIndex: 1,
+        shuffle: true,
+        playOrder: [2, 1, 0]
+      });
+
+      const state = await playbackPersistenceService.insertTracks('user', [{ id: 'x' }], 'next');
+
+      expect(state.trackList.map(track => track.id)).to.deep.equal(['a', 'b', 'x', 'c']);
+      expect(state.playOrder).to.deep.equal([3, 1, 2, 0]);
+    });
+
+    it('debe devolver null si no hay cola', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves(null);
+
+      const state = await playbackPersistenceService.insertTracks('user', [{ id: 'x' }], 'end');
+
+      expect(state).to.be.null;
+    });
+  });
+
+  describe('setShuffle()', function() {
+    const longTrackList = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ id, title: id }));
+
+    beforeEach(function() {
+      sinon.stub(playbackPersistenceService, 'savePlaybackState').resolves({});
+    });
+
+    it('debe barajar solo las pistas que quedan por sonar', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackList: longTrackList,
+        currentIndex: 2,
+        enqueuedIndex: 3
+      });
+
+      const state = await playbackPersistenceService.setShuffle('user', true);
+
+      expect(state.playOrder.slice(0, 4)).to.deep.equal([0, 1, 2, 3]);
+      expect(state.playOrder.slice(4)).to.have.members([4, 5]);
+    });
+
+    it('debe permitir volver a la anterior tras activar el aleatorio', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackList: longTrackList,
+        currentIndex: 2
+      });
+
+      const state = await playbackPersistenceService.setShuffle('user', true);
+
+      expect(queueService.getAdjacentIndex(state, 2, -1)).to.equal(1);
+    });
+  });
+
+  describe('registro del hogar', function() {
+    it('debe registrar el oyente de cada dispositivo sin perder su nombre', async function() {
+      sinon.stub(playbackPersistenceService.dynamoDb, 'getItem').resolves({
+        stateOwnerId: 'user@kitchen',
+        personIds: [],
+        stateOwnerIds: ['user@kitchen'],
+        devices: { kitchen: { name: 'cocina', stateOwnerId: 'user@kitchen' } }
+      });
+      const putItem = sinon.stub(playbackPersistenceService.dynamoDb, 'putItem').resolves({});
+
+      await playbackPersistenceService.setActiveListener('user', 'user#person@kitchen', {
+        personId: 'person',
+        deviceId: 'kitchen'
+      });
+
+      const [item] = putItem.firstCall.args;
+      expect(item.devices.kitchen.name).to.equal('cocina');
+      expect(item.devices.kitchen.stateOwnerId).to.equal('user#person@kitchen');
+      expect(item.stateOwnerIds).to.deep.equal(['user@kitchen', 'user#person@kitchen']);
+      expect(item.personIds).to.deep.equal(['person']);
+      expect(item).to.not.have.property('ttl');
+    });
+
+    it('debe devolver el oyente del dispositivo pedido', async function() {
+      sinon.stub(playbackPersistenceService.dynamoDb, 'getItem').resolves({
+        stateOwnerId: 'user@kitchen',
+        devices: { kitchen: { stateOwnerId: 'user@kitchen' } }
+      });
+
+      expect((await playbackPersistenceService.getActiveListener('user', 'kitchen')).stateOwnerId)
+        .to.equal('user@kitchen');
+      expect((await playbackPersistenceService.getActiveListener('user', 'bedroom')).stateOwnerId)
+        .to.be.null;
+    });
+
+    it('debe mover el nombre al dispositivo que lo recibe', async function() {
+      sinon.stub(playbackPersistenceService.dynamoDb, 'getItem').resolves({
+        devices: { kitchen: { name: 'Cocina' } }
+      });
+      const putItem = sinon.stub(playbackPersistenceService.dynamoDb, 'putItem').resolves({});
+
+      await playbackPersistenceService.nameDevice('user', 'bedroom', 'cocina');
+
+      const [item] = putItem.firstCall.args;
+      expect(item.devices.kitchen).to.not.have.property('name');
+      expect(item.devices.bedroom.name).to.equal('cocina');
+    });
+
+    it('debe copiar el estado a otro dispositivo sin lo de su reproductor', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackList,
+        currentIndex: 1,
+        offsetInMilliseconds: 42000,
+        enqueuedToken: 'c',
+        enqueuedIndex: 2,
+        error: 'No se pudo reproducir la siguiente pista',
+        errorTimestamp: new Date().toISOString()
+      });
+      const savePlaybackState = sinon.stub(playbackPersistenceService, 'savePlaybackState')
+        .resolvesArg(1);
+
+      const state = await playbackPersistenceService
+        .copyPlaybackState('user@kitchen', 'user@bedroom');
+
+      expect(savePlaybackState.calledOnceWith('user@bedroom')).to.be.true;
+      expect(state.offsetInMilliseconds).to.equal(42000);
+      expect(state).to.not.have.property('enqueuedToken');
+      expect(state).to.not.have.property('enqueuedIndex');
+      expect(state).to.not.have.property('error');
+      expect(state).to.not.have.property('errorTimestamp');
+      expect(state.currentIndex).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Pruebas unitarias para el servicio de cola de reproducción
+ * Verifica la navegación con orden aleatorio, modos de repetición, saltos y radio
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const queueService = require('../lambda/services/queueService');
+const tidalService = require('../lambda/services/tidalService');
+const playbackPersistenceService = require('../lambda/services/playbackPersistenceService');
+const musicResolverService = require('../lambda/services/musicResolverService');
+
+describe('Queue Service Test Suite', function() {
+  const trackList = [
+    { id: 'a', title: 'A' },
+    { id: 'b', title: 'B' },
+    { id: 'c', title: 'C' }
+  ];
+
+  describe('getAdjacentIndex()', function() {
+    it('debe avanzar en el orden original sin modos activos', function() {
+      const playlist = { trackList, currentIndex: 0, playOrder: null, loopMode: 'off' };
+
+      expect(queueService.getAdjacentIndex(playlist, 0, 1)).to.equal(1);
+      expect(queueService.getAdjacentIndex(playlist, 2, 1)).to.equal(-1);
+      expect(queueService.getAdjacentIndex(playlist, 0, -1)).to.equal(-1);
+    });
+
+    it('debe seguir la permutación guardada en modo aleatorio', function() {
+      const playlist = { trackList, currentIndex: 2, playOrder: [2, 0, 1], loopMode: 'off' };
+
+      expect(queueService.getAdjacentIndex(playlist, 2, 1)).to.equal(0);
+      expect(queueService.getAdjacentIndex(playlist, 0, -1)).to.equal(2);
+      expect(queueService.getAdjacentIndex(playlist, 1, 1)).to.equal(-1);
+    });
+
+    it('debe volver al principio al repetir la cola', function() {
+      const playlist = { trackList, currentIndex: 2, playOrder: null, loopMode: 'queue' };
+
+      expect(queueService.getAdjacentIndex(playlist, 2, 1, true)).to.equal(0);
+      expect(queueService.getAdjacentIndex(playlist, 0, -1)).to.equal(2);
+    });
+
+    it('debe repetir la pista solo en el avance automático', function() {
+      const playlist = { trackList, currentIndex: 1, playOrder: null, loopMode: 'track' };
+
+      expect(queueService.getAdjacentIndex(playlist, 1, 1, true)).to.equal(1);
+      expect(queueService.getAdjacentIndex(playlist, 1, 1)).to.equal(2);
+    });
+  });
+
+  describe('seek()', function() {
+    beforeEach(function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({
+        trackId: '42',
+        token: '42',
+        title: 'Canción',
+        offsetInMilliseconds: 10000
+      });
+      sinon.stub(playbackPersistenceService, 'updateTrackState').resolves({});
+      sinon.stub(tidalService, 'getTrackDetails').resolves({ duration: 120 });
+      sinon.stub(tidalService, 'getStreamUrl').resolves('https://stream/42');
+    });
+
+    afterEach(function() {
+      sinon.restore();
+    });
+
+    it('debe partir del offset del AudioPlayer si corresponde a la pista', async function() {
+      const result = await queueService.seek('user', 'token', {
+        deltaInMilliseconds: 30000,
+        audioPlayer: { token: '42', offsetInMilliseconds: 60000 }
+      });
+
+      expect(result.offset).to.equal(90000);
+      expect(result.streamUrl).to.equal('https://stream/42');
+    });
+
+    it('debe limitar la posición a la duración de la pista', async function() {
+      const result = await queueService.seek('user', 'token', { offsetInMilliseconds: 600000 });
+
+      expect(result.offset).to.equal(119000);
+    });
+
+    it('debe usar el offset guardado y no bajar de cero', async function() {
+      const result = await queueService.seek('user', 'token', { deltaInMilliseconds: -60000 });
+
+      expect(result.offset).to.equal(0);
+    });
+  });
+
+  describe('radio', function() {
+    const radio = { seedType: 'artists', seedId: 'r1', artistId: 'r1', offset: 10 };
+
+    afterEach(function() {
+      sinon.restore();
+    });
+
+    it('debe pedir más pistas solo cuando quedan pocas por delante', function() {
+      const playlist = { trackList, currentIndex: 0, playOrder: null, loopMode: 'off', radio };
+
+      expect(queueService.shouldExtendRadio(playlist, 0)).to.be.false;
+      expect(queueService.shouldExtendRadio(playlist, 1)).to.be.true;
+      expect(queueService.shouldExtendRadio({ ...playlist, radio: null }, 2)).to.be.false;
+    });
+
+    it('debe añadir al final las pistas nuevas y avanzar el offset', async function() {
+      sinon.stub(playbackPersistenceService, 'getLatestPlaybackState').resolves({ trackList, radio });
+      sinon.stub(musicResolverService, 'getRadioPage').resolves({
+        tracks: [{ id: 'c' }, { id: 'd' }],
+        nextOffset: 20
+      });
+      sinon.stub(playbackPersistenceService, 'insertTracks').resolves({});
+
+      await queueService.extendRadio('user', 'token');
+
+      const [, tracks, position, extraState] = playbackPersistenceService.insertTracks.firstCall.args;
+      expect(tracks).to.deep.equal([{ id: 'd' }]);
+      expect(position).to.equal('end');
+      expect(extraState.radio.offset).to.equal(20);
+    });
+  });
+});
@@ -6,28 +6,22 @@
 const { expect } = require('chai');
 const sinon = require('sinon');
 const tidalService = require('../lambda/services/tidalService');
-const tidalApi = require('../lambda/utils/tidalApi');
+const tidalApi = require('../lambda/clients/tidalApiClient');
+const cacheService = require('../lambda/services/cacheService');
 
 describe('Tidal Service Test Suite', function() {
-  // Configuración antes de todas las pruebas
-  before(function() {
+  // Configuración antes de cada prueba
+  beforeEach(function() {
     // Suprimir logs durante las pruebas
     sinon.stub(console, 'log');
     sinon.stub(console, 'error');
   });
   
-  // Limpieza después de todas las pruebas
-  after(function() {
-    // Restaurar stubs
-    console.log.restore();
-    console.error.restore();
-    sinon.restore();
-  });
-  
   // Limpieza después de cada prueba
   afterEach(function() {
-    // Restaurar solo los stubs específicos de cada prueba
+    // Restaurar los stubs y vaciar la caché para que cada prueba llame a la API
     sinon.restore();
+    cacheService.clear();
   });
 
   // Test para getUserInfo
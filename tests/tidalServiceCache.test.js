@@ -0,0 +1,77 @@
+/**
+ * Pruebas unitarias para la caché de los datos de la cuenta de Tidal
+ * Verifica que los miembros del hogar y sus dispositivos comparten la colección cacheada
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const tidalService = require('../lambda/services/tidalService');
+const tidalApi = require('../lambda/clients/tidalApiClient');
+const cacheService = require('../lambda/services/cacheService');
+const tokenManagerService = require('../lambda/services/tokenManagerService');
+
+describe('Tidal Service Cache Test Suite', function() {
+  beforeEach(function() {
+    cacheService.clear();
+    sinon.stub(tokenManagerService, 'getValidAccessToken').resolvesArg(0);
+  });
+
+  afterEach(function() {
+    cacheService.clear();
+    sinon.restore();
+  });
+
+  describe('getFavorites()', function() {
+    it('debe compartir los favoritos cacheados entre los miembros del hogar', async function() {
+      const get = sinon.stub(tidalApi, 'get').resolves({ data: { items: [{ id: 1 }] } });
+
+      await tidalService.getFavorites('access-token', 'tracks', 'account-1#person-1');
+      const favorites = await tidalService
+        .getFavorites('access-token', 'tracks', 'account-1#person-2');
+
+      expect(get.calledOnce).to.be.true;
+      expect(favorites).to.deep.equal([{ id: 1 }]);
+    });
+
+    it('debe descartar los favoritos de todos al dar me gusta uno de ellos', async function() {
+      const get = sinon.stub(tidalApi, 'get');
+      get.onFirstCall().resolves({ data: { items: [{ id: 1 }] } });
+      get.onSecondCall().resolves({ data: { items: [{ id: 1 }, { id: 2 }] } });
+      sinon.stub(tidalApi, 'post').resolves({ data: {} });
+
+      await tidalService.getFavorites('access-token', 'tracks', 'account-1#person-2');
+      await tidalService.addFavorite('access-token', 'tracks', 2, 'account-1#person-1');
+      const favorites = await tidalService
+        .getFavorites('access-token', 'tracks', 'account-1#person-2');
+
+      expect(favorites).to.have.lengthOf(2);
+    });
+
+    it('debe descartar los favoritos de los demás dispositivos al dar me gusta', async function() {
+      const get = sinon.stub(tidalApi, 'get');
+      get.onFirstCall().resolves({ data: { items: [{ id: 1 }] } });
+      get.onSecondCall().resolves({ data: { items: [{ id: 1 }, { id: 2 }] } });
+      sinon.stub(tidalApi, 'post').resolves({ data: {} });
+
+      await tidalService.getFavorites('access-token', 'tracks', 'account-1@living-room');
+      await tidalService.addFavorite('access-token', 'tracks', 2, 'account-1#person-1@kitchen');
+      const favorites = await tidalService
+        .getFavorites('access-token', 'tracks', 'account-1@living-room');
+
+      expect(favorites).to.have.lengthOf(2);
+    });
+  });
+
+  describe('getUserPlaylists() y getRecommendations()', function() {
+    it('debe cachear una sola copia por cuenta para todos los dispositivos', async function() {
+      const get = sinon.stub(tidalApi, 'get').resolves({ data: { items: [] } });
+
+      await tidalService.getUserPlaylists('access-token', 'account-1@kitchen');
+      await tidalService.getUserPlaylists('access-token', 'account-1#person-1@bedroom');
+      await tidalService.getRecommendations('access-token', 'account-1@kitchen');
+      await tidalService.getRecommendations('access-token', 'account-1#person-1@bedroom');
+
+      expect(get.calledTwice).to.be.true;
+    });
+  });
+});
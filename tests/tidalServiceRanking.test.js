@@ -0,0 +1,66 @@
+/**
+ * Pruebas unitarias para la ordenación por relevancia de los resultados de Tidal
+ * Verifica la puntuación de los candidatos y la penalización de versiones
+ */
+
+const { expect } = require('chai');
+const tidalService = require('../lambda/services/tidalService');
+
+describe('Tidal Service Ranking Test Suite', function() {
+  describe('rankCandidates()', function() {
+    const original = {
+      id: '1',
+      title: 'Despacito',
+      artists: [{ name: 'Luis Fonsi' }, { name: 'Daddy Yankee' }],
+      popularity: 90
+    };
+    
+    it('debe preferir la versión original frente a karaoke y remix', function() {
+      const karaoke = {
+        id: '2',
+        title: 'Despacito (Karaoke Version)',
+        artist: { name: 'Karaoke Hits' },
+        popularity: 95
+      };
+      const remix = {
+        id: '3',
+        title: 'Despacito',
+        version: 'Remix',
+        artists: [{ name: 'Luis Fonsi' }]
+      };
+      
+      const ranked = tidalService.rankCandidates('track', [karaoke, remix, original], {
+        name: 'despacito',
+        artistName: 'luis fonsi'
+      });
+      
+      expect(ranked.map(candidate => candidate.item.id)).to.deep.equal(['1', '3', '2']);
+      expect(tidalService.isConfidentMatch(ranked[0].score)).to.be.true;
+    });
+    
+    it('no debe penalizar una versión que el usuario pidió', function() {
+      const live = {
+        id: '4',
+        title: 'Despacito (Live)',
+        artists: [{ name: 'Luis Fonsi' }],
+        popularity: 40
+      };
+      
+      const ranked = tidalService.rankCandidates('track', [original, live], {
+        name: 'despacito live',
+        artistName: 'luis fonsi'
+      });
+      
+      expect(ranked[0].item.id).to.equal('4');
+    });
+    
+    it('debe dar poca confianza a un artista distinto del pedido', function() {
+      const [best] = tidalService.rankCandidates('track', [original], {
+        name: 'despacito',
+        artistName: 'rosalía'
+      });
+      
+      expect(tidalService.isConfidentMatch(best.score)).to.be.false;
+    });
+  });
+});
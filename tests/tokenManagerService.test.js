@@ -0,0 +1,187 @@
+/**
+ * Pruebas unitarias para el gestor de tokens
+ * Verifica el refresco anticipado, la deduplicación (también entre instancias)
+ * y el barrido del mantenimiento
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const tokenManagerService = require('../lambda/services/tokenManagerService');
+const tokenPersistenceService = require('../lambda/services/tokenPersistenceService');
+const tidalApi = require('../lambda/clients/tidalApiClient');
+
+describe('Token Manager Service Test Suite', function() {
+  /**
+   * Crea los tokens guardados de un usuario que expiran en los segundos indicados
+   * @param {number} seconds - Segundos hasta la expiración
+   * @returns {Object} - Tokens { accessToken, refreshToken, expiresAt, tidalUserId }
+   */
+  function storedTokens(seconds) {
+    return {
+      accessToken: 'old-access',
+      refreshToken: 'refresh-token',
+      expiresAt: new Date(Date.now() + seconds * 1000),
+      tidalUserId: '987'
+    };
+  }
+
+  beforeEach(function() {
+    sinon.stub(tidalApi, 'refreshAccessToken').resolves({
+      access_token: 'new-access',
+      refresh_token: 'new-refresh',
+      expires_in: 3600
+    });
+    sinon.stub(tokenPersistenceService, 'updateTokens').callsFake(
+      (userId, oldAccessToken, accessToken, refreshToken, expiresIn) => Promise.resolve({
+        accessToken,
+        refreshToken,
+        expiresAt: new Date(Date.now() + expiresIn * 1000)
+      })
+    );
+    sinon.stub(tokenPersistenceService, 'claimRefresh').resolves(true);
+  });
+
+  afterEach(function() {
+    tokenManagerService.clearState();
+    sinon.restore();
+  });
+
+  describe('getValidAccessToken()', function() {
+    it('debe usar el token guardado si no está próximo a expirar', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(storedTokens(3000));
+
+      const token = await tokenManagerService.getValidAccessToken('alexa-access', 'user-1');
+
+      expect(token).to.equal('old-access');
+      expect(tidalApi.refreshAccessToken.called).to.be.false;
+    });
+
+    it('debe refrescar antes de la llamada si el token está próximo a expirar', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(storedTokens(60));
+
+      const token = await tokenManagerService.getValidAccessToken('alexa-access', 'user-1');
+
+      expect(token).to.equal('new-access');
+      expect(tidalApi.refreshAccessToken.calledOnceWith('refresh-token')).to.be.true;
+      expect(tokenPersistenceService.updateTokens.firstCall.args)
+        .to.deep.equal(['user-1', 'old-access', 'new-access', 'new-refresh', 3600, '987']);
+    });
+
+    it('debe compartir un único refresco entre llamadas simultáneas', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(storedTokens(60));
+
+      const tokens = await Promise.all([
+        tokenManagerService.getValidAccessToken('alexa-access', 'user-1'),
+        tokenManagerService.getValidAccessToken('alexa-access', 'user-1'),
+        tokenManagerService.getValidAccessToken('alexa-access', 'user-1')
+      ]);
+
+      expect(tokens).to.deep.equal(['new-access', 'new-access', 'new-access']);
+      expect(tidalApi.refreshAccessToken.calledOnce).to.be.true;
+    });
+
+    it('debe usar el token de la petición si no hay tokens guardados', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(null);
+
+      const token = await tokenManagerService.getValidAccessToken('alexa-access', 'user-1');
+
+      expect(token).to.equal('alexa-access');
+    });
+  });
+
+  describe('refreshAfterUnauthorized()', function() {
+    it('debe refrescar el token rechazado aunque no haya expirado', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(storedTokens(3000));
+
+      const token = await tokenManagerService.refreshAfterUnauthorized('old-access', 'user-1');
+
+      expect(token).to.equal('new-access');
+      expect(tidalApi.refreshAccessToken.calledOnce).to.be.true;
+    });
+
+    it('debe reutilizar el token guardado si el rechazado ya no es el vigente', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(storedTokens(3000));
+
+      const token = await tokenManagerService.refreshAfterUnauthorized('alexa-access', 'user-1');
+
+      expect(token).to.equal('old-access');
+      expect(tidalApi.refreshAccessToken.called).to.be.false;
+    });
+  });
+
+  describe('refresco entre instancias', function() {
+    it('debe usar el token de la otra instancia si pierde la reserva', async function() {
+      tokenPersistenceService.claimRefresh.resolves(false);
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId')
+        .resolves(storedTokens(60))
+        .onThirdCall().resolves({ ...storedTokens(3600), accessToken: 'other-access' });
+
+      const token = await tokenManagerService.getValidAccessToken('alexa-access', 'user-1');
+
+      expect(token).to.equal('other-access');
+      expect(tokenPersistenceService.claimRefresh.calledOnceWith('user-1', 'old-access'))
+        .to.be.true;
+      expect(tidalApi.refreshAccessToken.called).to.be.false;
+      expect(tokenPersistenceService.updateTokens.called).to.be.false;
+    });
+
+    it('debe reservar el refresco con una condición sobre la expiración', async function() {
+      tokenPersistenceService.claimRefresh.restore();
+      const expiresAt = new Date('2026-01-01T10:00:00.000Z');
+      const updateItem = sinon.stub(tokenPersistenceService.dynamoDb, 'updateItem').resolves({});
+
+      const claimed = await tokenPersistenceService.claimRefresh('user-1', 'old-access', expiresAt);
+
+      const [key, updates, options] = updateItem.firstCall.args;
+      expect(claimed).to.be.true;
+      expect(key).to.deep.equal({ userId: 'user-1', accessToken: 'old-access' });
+      expect(updates).to.have.property('refreshClaimedAt');
+      expect(options.ConditionExpression).to.include('#expiresAt = :expectedExpiresAt');
+      expect(options.ExpressionAttributeValues[':expectedExpiresAt'])
+        .to.equal('2026-01-01T10:00:00.000Z');
+    });
+
+    it('debe indicar que otra instancia se adelantó si falla la condición', async function() {
+      tokenPersistenceService.claimRefresh.restore();
+      sinon.stub(tokenPersistenceService.dynamoDb, 'updateItem').rejects(Object.assign(
+        new Error('La condición de la operación no se cumplió'),
+        { isCustom: true, originalError: { code: 'ConditionalCheckFailedException' } }
+      ));
+
+      const claimed = await tokenPersistenceService.claimRefresh(
+        'user-1',
+        'old-access',
+        new Date()
+      );
+
+      expect(claimed).to.be.false;
+    });
+  });
+
+  describe('refreshExpiringTokens()', function() {
+    it('debe refrescar una vez por usuario los tokens próximos a expirar', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensExpiringBefore').resolves([
+        { userId: 'user-1', accessToken: 'old-access', hasRefreshToken: true },
+        { userId: 'user-1', accessToken: 'older-access', hasRefreshToken: true },
+        { userId: 'anonymous', accessToken: 'anonymous-access', hasRefreshToken: true }
+      ]);
+      sinon.stub(tokenPersistenceService, 'getTokensByUserId').resolves(storedTokens(600));
+
+      const summary = await tokenManagerService.refreshExpiringTokens(900);
+
+      expect(summary).to.deep.equal({ checked: 1, refreshed: 1, failed: 0 });
+      expect(tidalApi.refreshAccessToken.calledOnce).to.be.true;
+    });
+
+    it('debe ignorar los tokens sin refreshToken de la vinculación', async function() {
+      sinon.stub(tokenPersistenceService, 'getTokensExpiringBefore').resolves([
+        { userId: 'user-2', accessToken: 'linked-access', hasRefreshToken: false }
+      ]);
+
+      const summary = await tokenManagerService.refreshExpiringTokens(900);
+
+      expect(summary).to.deep.equal({ checked: 0, refreshed: 0, failed: 0 });
+      expect(tidalApi.refreshAccessToken.called).to.be.false;
+    });
+  });
+});
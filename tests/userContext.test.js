@@ -0,0 +1,122 @@
+/**
+ * Pruebas unitarias para la identificación del usuario de cada petición
+ * Verifica el estado por miembro del hogar y los interceptores del oyente activo
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const playbackPersistenceService = require('../lambda/services/playbackPersistenceService');
+const {
+  getStateOwnerId,
+  toAccountUserId
+} = require('../lambda/utils/userContext');
+const {
+  StateOwnerRequestInterceptor,
+  ActiveListenerResponseInterceptor
+} = require('../lambda/interceptors/stateOwnerInterceptors');
+
+describe('User Context Test Suite', function() {
+  /**
+   * Crea un handlerInput mínimo
+   * @param {string} type - Tipo de petición
+   * @param {string} personId - ID de la persona reconocida (opcional)
+   * @param {string} deviceId - ID del dispositivo (opcional)
+   * @returns {Object} - handlerInput
+   */
+  function buildHandlerInput(type, personId = null, deviceId = null) {
+    const requestAttributes = {};
+    const System = { user: { userId: 'account-1' } };
+
+    if (deviceId) {
+      System.device = { deviceId };
+    }
+
+    if (personId) {
+      System.person = { personId };
+    }
+
+    return {
+      requestEnvelope: { request: { type }, context: { System } },
+      attributesManager: { getRequestAttributes: () => requestAttributes }
+    };
+  }
+
+  afterEach(function() {
+    sinon.restore();
+  });
+
+  describe('getStateOwnerId()', function() {
+    it('debe usar la persona reconocida y, si no hay, la cuenta', function() {
+      expect(getStateOwnerId(buildHandlerInput('IntentRequest', 'person-1')))
+        .to.equal('account-1#person-1');
+      expect(getStateOwnerId(buildHandlerInput('IntentRequest'))).to.equal('account-1');
+    });
+
+    it('debe separar el estado de cada dispositivo', function() {
+      expect(getStateOwnerId(buildHandlerInput('IntentRequest', 'person-1', 'kitchen')))
+        .to.equal('account-1#person-1@kitchen');
+      expect(getStateOwnerId(buildHandlerInput('IntentRequest', null, 'bedroom')))
+        .to.equal('account-1@bedroom');
+    });
+
+    it('debe obtener la cuenta a partir del propietario del estado', function() {
+      expect(toAccountUserId('account-1#person-1@kitchen')).to.equal('account-1');
+      expect(toAccountUserId('account-1@kitchen')).to.equal('account-1');
+      expect(toAccountUserId('account-1')).to.equal('account-1');
+    });
+  });
+
+  describe('StateOwnerRequestInterceptor', function() {
+    it('debe aplicar los eventos del AudioPlayer a la cola del oyente activo', async function() {
+      const getActiveListener = sinon.stub(playbackPersistenceService, 'getActiveListener')
+        .resolves({ stateOwnerId: 'account-1#person-1@kitchen', personIds: ['person-1'] });
+      const handlerInput = buildHandlerInput('AudioPlayer.PlaybackNearlyFinished', null, 'kitchen');
+
+      await StateOwnerRequestInterceptor.process(handlerInput);
+
+      expect(getActiveListener.calledOnceWith('account-1', 'kitchen')).to.be.true;
+      expect(getStateOwnerId(handlerInput)).to.equal('account-1#person-1@kitchen');
+    });
+
+    it('debe usar la cola del dispositivo si nadie ha reproducido en él', async function() {
+      sinon.stub(playbackPersistenceService, 'getActiveListener')
+        .resolves({ stateOwnerId: null, personIds: ['person-1'] });
+      const handlerInput = buildHandlerInput('AudioPlayer.PlaybackFinished', null, 'bedroom');
+
+      await StateOwnerRequestInterceptor.process(handlerInput);
+
+      expect(getStateOwnerId(handlerInput)).to.equal('account-1@bedroom');
+    });
+
+    it('no debe consultar el oyente activo en peticiones de voz', async function() {
+      const getActiveListener = sinon.stub(playbackPersistenceService, 'getActiveListener');
+
+      await StateOwnerRequestInterceptor.process(buildHandlerInput('IntentRequest'));
+
+      expect(getActiveListener.called).to.be.false;
+    });
+  });
+
+  describe('ActiveListenerResponseInterceptor', function() {
+    it('debe registrar a quien empieza a reproducir por voz', async function() {
+      const setActiveListener = sinon.stub(playbackPersistenceService, 'setActiveListener')
+        .resolves({});
+      const response = { directives: [{ type: 'AudioPlayer.Play' }] };
+
+      await ActiveListenerResponseInterceptor.process(
+        buildHandlerInput('IntentRequest', 'person-1', 'kitchen'),
+        response
+      );
+      await ActiveListenerResponseInterceptor.process(
+        buildHandlerInput('AudioPlayer.PlaybackNearlyFinished', null, 'kitchen'),
+        response
+      );
+
+      expect(setActiveListener.calledOnceWith(
+        'account-1',
+        'account-1#person-1@kitchen',
+        { personId: 'person-1', deviceId: 'kitchen' }
+      )).to.be.true;
+    });
+  });
+});